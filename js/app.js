@@ -9,12 +9,28 @@ document.addEventListener('DOMContentLoaded', () => {
   const githubBranchInput = document.getElementById('github-branch');
   const githubPathInput = document.getElementById('github-path');
   const githubLoadButton = document.getElementById('github-load');
+  const githubFindButton = document.getElementById('github-find');
+  const githubBoardList = document.getElementById('github-board-list');
+  const recentBoardsList = document.getElementById('recent-boards');
   const fileSection = document.getElementById('file-section');
   const boardContainer = document.getElementById('board-container');
   
+  // Most markdown files a board search opens before giving up, and how many
+  // it reads at the same time
+  const BOARD_SEARCH_LIMIT = 50;
+  const BOARD_SEARCH_CONCURRENCY = 4;
+  
+  // Markdown files a board search skips: project documents and files in
+  // dependency or hidden folders
+  const NOT_A_BOARD = /(^|\/)(node_modules|\.[^/]+)\/|(^|\/)(readme|changelog|license|contributing|code_of_conduct|security)\.md$/i;
+  
   // Event listeners
   fileInput.addEventListener('change', handleFileUpload);
   githubLoadButton.addEventListener('click', handleGithubLoad);
+  githubFindButton.addEventListener('click', handleFindBoards);
+  
+  window.repoPicker.initRepoPicker(document.getElementById('repo-picker'), loadPickedBoard);
+  renderRecentBoards();
   
   /**
    * Handle local file upload
@@ -32,9 +48,12 @@ document.addEventListener('DOMContentLoaded', () => {
     
     const reader = new FileReader();
     
-    reader.onload = (e) => {
+    reader.onload = async (e) => {
       const content = e.target.result;
-      processKanbanContent(content);
+      await window.sync.closeBoard();
+      if (processKanbanContent(content)) {
+        window.sync.setLocalFile(file.name);
+      }
     };
     
     reader.onerror = () => {
@@ -48,18 +67,31 @@ document.addEventListener('DOMContentLoaded', () => {
    * Handle loading from GitHub repository
    */
   function handleGithubLoad() {
-    const repoUrl = githubRepoInput.value.trim();
     const filePath = githubPathInput.value.trim() || 'kanban.md';
-    const userBranch = githubBranchInput.value.trim();
     
-    if (!repoUrl) {
-      showError('Please enter a GitHub repository URL');
+    let source;
+    try {
+      source = parseRepoInput();
+    } catch (error) {
+      showError(error.message);
       return;
     }
     
-    // Create loading indicator
-    const loadingIndicator = createLoadingIndicator();
-    document.querySelector('.github-file').appendChild(loadingIndicator);
+    loadGithubBoard(source.owner, source.repo, source.branch, filePath);
+  }
+  
+  /**
+   * Read the repository and branch from the GitHub inputs
+   * @returns {Object} { owner, repo, branch }
+   * @throws {Error} If the repository is missing or not understood
+   */
+  function parseRepoInput() {
+    const repoUrl = githubRepoInput.value.trim();
+    const userBranch = githubBranchInput.value.trim();
+    
+    if (!repoUrl) {
+      throw new Error('Please enter a GitHub repository URL');
+    }
     
     // Extract owner and repo from URL
     let owner, repo, branch = userBranch || 'master';
@@ -92,11 +124,25 @@ document.addEventListener('DOMContentLoaded', () => {
         }
       }
     } catch (error) {
-      removeLoadingIndicator(loadingIndicator);
-      showError(`Invalid GitHub repository URL: ${error.message}`);
-      return;
+      throw new Error(`Invalid GitHub repository URL: ${error.message}`);
     }
     
+    return { owner, repo, branch };
+  }
+  
+  /**
+   * Load a board file from a GitHub repository and make it the open board
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} branch - Branch name
+   * @param {string} filePath - Path of the board file
+   * @returns {Promise<void>}
+   */
+  async function loadGithubBoard(owner, repo, branch, filePath) {
+    // Create loading indicator
+    const loadingIndicator = createLoadingIndicator();
+    document.querySelector('.github-file').appendChild(loadingIndicator);
+    
     // Show loading state
     githubLoadButton.textContent = 'Loading...';
     githubLoadButton.disabled = true;
@@ -104,44 +150,316 @@ document.addEventListener('DOMContentLoaded', () => {
     // Update status
     loadingIndicator.textContent = `Fetching ${filePath} from ${owner}/${repo} (${branch})...`;
     
-    // Fetch file from GitHub API
-    const apiUrl = `https://api.github.com/repos/${owner}/${repo}/contents/${filePath}?ref=${branch}`;
+    try {
+      const file = await fetchGithubFile(owner, repo, branch, filePath);
+      
+      // Update status
+      loadingIndicator.textContent = 'Parsing kanban data...';
+      
+      // Validate the content is a kanban board markdown file
+      if (!isValidKanbanMarkdown(file.content)) {
+        throw new Error('The file does not appear to be a valid kanban board markdown file');
+      }
+      
+      await openGithubBoard(owner, repo, branch, filePath, file);
+      removeLoadingIndicator(loadingIndicator);
+    } catch (error) {
+      removeLoadingIndicator(loadingIndicator);
+      showError(`GitHub Error: ${error.message}`);
+    } finally {
+      // Reset button state
+      githubLoadButton.textContent = 'Load';
+      githubLoadButton.disabled = false;
+    }
+  }
+  
+  /**
+   * Fetch a file from a GitHub repository
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} branch - Branch name
+   * @param {string} filePath - Path of the file
+   * @returns {Promise<Object>} { content, sha } of the file
+   * @throws {Error} If the file cannot be fetched
+   */
+  async function fetchGithubFile(owner, repo, branch, filePath) {
+    const apiUrl = `https://api.github.com/repos/${owner}/${repo}/contents/${filePath.split('/').map(encodeURIComponent).join('/')}?ref=${encodeURIComponent(branch)}`;
     
-    fetch(apiUrl)
-      .then(response => {
-        if (!response.ok) {
-          if (response.status === 404) {
-            throw new Error(`File '${filePath}' not found in repository. Check the path and try again.`);
-          } else {
-            throw new Error(`Failed to fetch file from GitHub (Status: ${response.status})`);
-          }
-        }
-        return response.json();
-      })
-      .then(data => {
-        // Update status
-        loadingIndicator.textContent = 'Parsing kanban data...';
-        
-        // GitHub API returns content as base64 encoded
-        const content = atob(data.content);
-        
-        // Validate the content is a kanban board markdown file
-        if (!isValidKanbanMarkdown(content)) {
-          throw new Error('The file does not appear to be a valid kanban board markdown file');
-        }
-        
-        processKanbanContent(content);
-        removeLoadingIndicator(loadingIndicator);
-      })
-      .catch(error => {
-        removeLoadingIndicator(loadingIndicator);
-        showError(`GitHub Error: ${error.message}`);
-      })
-      .finally(() => {
-        // Reset button state
-        githubLoadButton.textContent = 'Load';
-        githubLoadButton.disabled = false;
+    const response = await fetch(apiUrl, { headers: window.auth.getGitHubHeaders() });
+    if (!response.ok) {
+      throw new Error(window.auth.describeGitHubError(response, `'${filePath}' in ${owner}/${repo} (${branch})`));
+    }
+    const data = await response.json();
+    if (Array.isArray(data)) {
+      throw new Error(`'${filePath}' is a folder, not a board file.`);
+    }
+    
+    // The contents API leaves out the content of files over 1 MB, which have
+    // to be fetched from the blob API instead
+    let encoded = data.content;
+    if (data.encoding === 'none') {
+      encoded = await fetchGithubBlob(owner, repo, data.sha, filePath);
+    }
+    
+    // GitHub API returns content as base64 encoded UTF-8
+    return { content: window.codec.decodeBase64(encoded), sha: data.sha };
+  }
+  
+  /**
+   * Fetch the base64 content of a file by its blob SHA, for files up to 100 MB
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} sha - Blob SHA of the file
+   * @param {string} filePath - Path of the file, for error messages
+   * @returns {Promise<string>} Base64 encoded content
+   * @throws {Error} If the blob cannot be fetched
+   */
+  async function fetchGithubBlob(owner, repo, sha, filePath) {
+    const response = await fetch(
+      `https://api.github.com/repos/${owner}/${repo}/git/blobs/${sha}`,
+      { headers: window.auth.getGitHubHeaders() }
+    );
+    if (!response.ok) {
+      throw new Error(window.auth.describeGitHubError(response, `'${filePath}' in ${owner}/${repo}`));
+    }
+    const blob = await response.json();
+    return blob.content;
+  }
+  
+  /**
+   * Make a board fetched from GitHub the open board
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} branch - Branch name
+   * @param {string} filePath - Path of the board file
+   * @param {Object} file - { content, sha } from fetchGithubFile
+   * @returns {Promise<void>}
+   */
+  async function openGithubBoard(owner, repo, branch, filePath, file) {
+    // Save the board that was open before replacing it
+    await window.sync.closeBoard();
+    
+    // The board may be saved in this browser with changes GitHub does not have yet
+    const source = { repo: `${owner}/${repo}`, path: filePath, branch };
+    if (window.sync.hasUnsyncedChanges(source)) {
+      const keep = confirm(`${filePath} has changes in this browser that are not on GitHub yet.\n\n` +
+        'Press OK to keep them and merge them with the version on GitHub, or Cancel to discard them.');
+      if (keep && window.sync.restoreBoardWithRemote(source, file)) {
+        showBoard();
+        return;
+      }
+      await window.sync.discardUnsyncedChanges(source);
+    }
+    
+    // Remember where the board came from so changes can be synced back
+    if (processKanbanContent(file.content)) {
+      window.sync.setBaseVersion(file.content);
+      window.sync.setRepoInfo(`${owner}/${repo}`, filePath, branch, file.sha);
+    }
+  }
+  
+  /**
+   * Open a file picked in the repository picker, refusing files that are not
+   * kanban boards so the open board is kept
+   * @param {Object} source - { owner, repo, branch, path } of the file
+   * @returns {Promise<void>}
+   * @throws {Error} If the file cannot be fetched or is not a kanban board
+   */
+  async function loadPickedBoard(source) {
+    const file = await fetchGithubFile(source.owner, source.repo, source.branch, source.path);
+    if (!isValidKanbanMarkdown(file.content)) {
+      throw new Error(`${source.path} does not appear to be a kanban board.`);
+    }
+    
+    githubRepoInput.value = `${source.owner}/${source.repo}`;
+    githubBranchInput.value = source.branch;
+    githubPathInput.value = source.path;
+    await openGithubBoard(source.owner, source.repo, source.branch, source.path, file);
+  }
+  
+  /**
+   * Find the Obsidian Kanban boards in a repository and list them to pick from
+   */
+  async function handleFindBoards() {
+    let source;
+    try {
+      source = parseRepoInput();
+    } catch (error) {
+      showError(error.message);
+      return;
+    }
+    
+    githubBoardList.innerHTML = '';
+    githubFindButton.textContent = 'Searching...';
+    githubFindButton.disabled = true;
+    
+    try {
+      const { paths, skipped, truncated } = await findBoardFiles(source.owner, source.repo, source.branch);
+      
+      // Say when the search did not look at every file
+      const notes = [];
+      if (truncated) {
+        notes.push('This repository is too large to list every file, so some were not searched.');
+      }
+      if (skipped > 0) {
+        notes.push(`Only ${BOARD_SEARCH_LIMIT} markdown files were searched and ${skipped} skipped; enter the path of a board that is missing to load it.`);
+      }
+      if (notes.length > 0) {
+        const note = document.createElement('p');
+        note.className = 'board-search-note';
+        note.textContent = notes.join(' ');
+        githubBoardList.appendChild(note);
+      }
+      
+      if (paths.length === 0) {
+        githubBoardList.prepend('No kanban boards found in this repository.');
+        return;
+      }
+      
+      paths.forEach(path => {
+        const button = document.createElement('button');
+        button.className = 'board-choice';
+        button.textContent = path;
+        button.addEventListener('click', () => {
+          githubPathInput.value = path;
+          loadGithubBoard(source.owner, source.repo, source.branch, path);
+        });
+        githubBoardList.insertBefore(button, githubBoardList.querySelector('.board-search-note'));
       });
+    } catch (error) {
+      showError(`GitHub Error: ${error.message}`);
+    } finally {
+      githubFindButton.textContent = 'Find boards';
+      githubFindButton.disabled = false;
+    }
+  }
+  
+  /**
+   * List the markdown files of a repository that the Obsidian Kanban plugin
+   * would open as a board, i.e. those with `kanban-plugin` in their front matter
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} branch - Branch name
+   * @returns {Promise<Object>} { paths, skipped, truncated } with the paths of the
+   *   board files, the number of files left unread because of BOARD_SEARCH_LIMIT
+   *   and whether GitHub listed only part of the repository
+   */
+  async function findBoardFiles(owner, repo, branch) {
+    const { paths, truncated } = await window.repoPicker.listMarkdownFiles(`${owner}/${repo}`, branch);
+    
+    // Files named like boards are checked first in case the search is cut short
+    const looksLikeBoard = (path) => /kanban|board/i.test(path) ? 0 : 1;
+    const candidates = paths
+      .filter(path => !NOT_A_BOARD.test(path))
+      .sort((a, b) => looksLikeBoard(a) - looksLikeBoard(b));
+    const checked = candidates.slice(0, BOARD_SEARCH_LIMIT);
+    
+    // A few readers take the next unread file until none are left
+    const boards = [];
+    let next = 0;
+    const readFiles = async () => {
+      while (next < checked.length) {
+        const path = checked[next++];
+        if (await isBoardFile(owner, repo, branch, path)) {
+          boards.push(path);
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: BOARD_SEARCH_CONCURRENCY }, readFiles));
+    
+    return { paths: boards.sort(), skipped: candidates.length - checked.length, truncated };
+  }
+  
+  /**
+   * Check whether a markdown file has `kanban-plugin` in its front matter
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} branch - Branch name
+   * @param {string} path - Path of the file
+   * @returns {Promise<boolean>} True if the file is a board; files that cannot be read are not
+   */
+  async function isBoardFile(owner, repo, branch, path) {
+    const response = await fetch(
+      `https://api.github.com/repos/${owner}/${repo}/contents/${path.split('/').map(encodeURIComponent).join('/')}?ref=${encodeURIComponent(branch)}`,
+      { headers: { ...window.auth.getGitHubHeaders(), Accept: 'application/vnd.github.raw' } }
+    );
+    if (!response.ok) return false;
+    
+    const content = await response.text();
+    return /^---\s*\n[\s\S]*?\bkanban-plugin:/.test(content);
+  }
+  
+  /**
+   * List the recently opened boards in the file selection
+   */
+  function renderRecentBoards() {
+    recentBoardsList.innerHTML = '';
+    const recent = window.sync.getRecentBoards();
+    if (recent.length === 0) return;
+    
+    const title = document.createElement('h3');
+    title.textContent = 'Recent Boards';
+    recentBoardsList.appendChild(title);
+    
+    recent.forEach(entry => {
+      const button = document.createElement('button');
+      button.className = 'board-choice';
+      button.textContent = entry.name;
+      button.title = `Last opened ${new Date(entry.openedAt).toLocaleString()}`;
+      button.addEventListener('click', () => openRecentBoard(entry.key));
+      recentBoardsList.appendChild(button);
+    });
+  }
+  
+  /**
+   * Switch to a recently opened board, from its saved state if there is one
+   * and otherwise from GitHub
+   * @param {string} boardKey - Key of the board
+   * @returns {Promise<void>}
+   */
+  async function openRecentBoard(boardKey) {
+    const entry = window.sync.getRecentBoards().find(item => item.key === boardKey);
+    if (!entry) return;
+    
+    // The open board is already loaded, possibly with unsaved changes
+    if (boardKey === window.sync.getCurrentBoardKey() && window.boardStore.getBoard()) {
+      showBoard();
+      return;
+    }
+    
+    await window.sync.closeBoard();
+    if (window.sync.restoreBoard(boardKey)) {
+      showBoard();
+      return;
+    }
+    
+    if (entry.repo) {
+      const [owner, repo] = entry.repo.split('/');
+      await loadGithubBoard(owner, repo, entry.branch, entry.path);
+    } else {
+      window.sync.forgetBoard(boardKey);
+      showFileSelection();
+      alert(`${entry.name} is no longer saved in this browser. Please upload the file again.`);
+    }
+  }
+  
+  /**
+   * Show the board and hide the file selection
+   */
+  function showBoard() {
+    fileSection.style.display = 'none';
+    boardContainer.classList.remove('hidden');
+    document.querySelectorAll('.board-controls').forEach(el => el.classList.remove('hidden'));
+  }
+  
+  /**
+   * Show the file selection with the recent boards
+   */
+  function showFileSelection() {
+    renderRecentBoards();
+    fileSection.style.display = 'block';
+    boardContainer.classList.add('hidden');
+    document.querySelectorAll('.board-controls').forEach(el => el.classList.add('hidden'));
   }
   
   /**
@@ -237,20 +555,28 @@ document.addEventListener('DOMContentLoaded', () => {
   
   /**
    * Process the kanban markdown content
+   * @param {string} content - Markdown content of the board file
+   * @returns {boolean} Whether the board was loaded
    */
   function processKanbanContent(content) {
     try {
-      // Parse markdown to kanban structure
-      const kanbanData = parseMarkdown(content);
-      
-      // Render kanban board
-      renderKanbanBoard(boardContainer, kanbanData);
+      // Parse markdown to kanban structure and load it into the board store,
+      // which renders the board
+      window.boardStore.loadBoard(parseBoard(content));
       
       // Show board and hide file section
-      fileSection.style.display = 'none';
-      boardContainer.classList.remove('hidden');
+      showBoard();
+      return true;
     } catch (error) {
       alert(`Error processing kanban file: ${error.message}`);
+      return false;
     }
   }
+  
+  // Export functions for use in other modules
+  window.app = {
+    openRecentBoard,
+    showFileSelection,
+    fetchGithubFile
+  };
 });
@@ -259,6 +259,28 @@ function generateRandomState() {
          Math.random().toString(36).substring(2, 15);
 }
 
+/**
+ * Update the sync status indicator in the header
+ * @param {string} status - One of 'synced', 'syncing', 'conflict' or 'offline'
+ */
+function updateSyncStatus(status) {
+  const labels = {
+    synced: 'Synced',
+    syncing: 'Syncing...',
+    conflict: 'Conflict',
+    offline: 'Offline'
+  };
+  
+  if (syncIndicator) {
+    syncIndicator.classList.remove('online', 'offline', 'syncing', 'conflict');
+    syncIndicator.classList.add(status === 'synced' ? 'online' : status);
+  }
+  
+  if (syncText) {
+    syncText.textContent = labels[status] || status;
+  }
+}
+
 /**
  * Get the GitHub token if available
  * @returns {string|null} - GitHub token or null if not available
@@ -273,6 +295,57 @@ function getGitHubToken() {
   return authState.githubToken;
 }
 
+/**
+ * Build the headers for a GitHub API request
+ * @returns {Object} Request headers, with the user's token when logged in
+ */
+function getGitHubHeaders() {
+  const headers = { Accept: 'application/vnd.github+json' };
+  const token = getGitHubToken();
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  return headers;
+}
+
+/**
+ * Explain why a GitHub API request failed, telling missing permissions,
+ * missing files and exhausted rate limits apart
+ * @param {Response} response - The failed response
+ * @param {string} resource - What was requested, e.g. "'kanban.md' in owner/repo"
+ * @returns {string} Message for the user
+ */
+function describeGitHubError(response, resource) {
+  const loggedIn = Boolean(getGitHubToken());
+  const loginHint = loggedIn ? '' : ' Log in with GitHub to access private repositories.';
+  
+  // GitHub answers 403 or 429 when the hourly quota or the secondary limit is used up
+  const rateLimited = response.status === 429 ||
+    (response.status === 403 && (response.headers.get('x-ratelimit-remaining') === '0' || response.headers.get('retry-after')));
+  if (rateLimited) {
+    const reset = Number(response.headers.get('x-ratelimit-reset'));
+    const retry = reset ? `Try again after ${new Date(reset * 1000).toLocaleTimeString()}.` : 'Try again in a few minutes.';
+    return loggedIn ?
+      `GitHub rate limit reached. ${retry}` :
+      `GitHub rate limit for anonymous requests reached. ${retry} Logging in with GitHub raises the limit.`;
+  }
+  
+  switch (response.status) {
+    case 401:
+      return loggedIn ?
+        'Your GitHub login has expired or was revoked. Please log out and log in again.' :
+        `GitHub requires a login to access ${resource}.`;
+    case 403:
+      return `You do not have permission to access ${resource}.${loginHint}`;
+    case 404:
+      return loggedIn ?
+        `${resource} was not found, or your GitHub account has no access to it. Check the repository, branch and path.` :
+        `${resource} was not found. Check the repository, branch and path.${loginHint}`;
+    default:
+      return `GitHub request for ${resource} failed (Status: ${response.status})`;
+  }
+}
+
 // Initialize authentication when the DOM is loaded
 document.addEventListener('DOMContentLoaded', initAuth);
 
@@ -280,6 +353,9 @@ document.addEventListener('DOMContentLoaded', initAuth);
 window.auth = {
   isAuthenticated: () => authState.isAuthenticated,
   getGitHubToken,
+  getGitHubHeaders,
+  describeGitHubError,
+  updateSyncStatus,
   login,
   logout
 };
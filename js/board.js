@@ -2,44 +2,356 @@
  * Kanban board rendering and interaction functionality
  */
 
+/**
+ * Re-render the board whenever the store loads or changes it
+ */
+function handleStoreUpdate() {
+  const container = document.getElementById('board-container');
+  const board = window.boardStore.getBoard();
+  if (container && board) {
+    renderKanbanBoard(container, board.columns);
+  }
+}
+
+window.addEventListener('board:load', handleStoreUpdate);
+window.addEventListener('board:change', handleStoreUpdate);
+
+/**
+ * Handle undo (Ctrl+Z) and redo (Ctrl+Shift+Z or Ctrl+Y) shortcuts
+ * @param {KeyboardEvent} e - The keydown event
+ */
+function handleHistoryShortcut(e) {
+  if (!(e.ctrlKey || e.metaKey)) return;
+  
+  // Leave text fields to their own undo behaviour
+  if (e.target.closest && e.target.closest('input, textarea, [contenteditable="true"]')) return;
+  
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) {
+    e.preventDefault();
+    window.boardStore.undo();
+  } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+    e.preventDefault();
+    window.boardStore.redo();
+  }
+}
+
+document.addEventListener('keydown', handleHistoryShortcut);
+
+// How long a toast message stays on screen, in milliseconds
+const TOAST_DURATION = 6000;
+
+// IDs of the cards selected for bulk actions
+const selectedCardIds = new Set();
+
+// Card that a Shift-click selects a range from
+let selectionAnchorId = null;
+
+/**
+ * Handle clicks on a card to select it
+ * @param {MouseEvent} e - The click event
+ * @param {string} cardId - ID of the clicked card
+ */
+function handleCardClick(e, cardId) {
+  // Clicks on the card's own controls are not selections
+  if (e.target.closest('input, button, textarea, select, a')) return;
+  
+  if (e.ctrlKey || e.metaKey) {
+    if (selectedCardIds.has(cardId)) {
+      selectedCardIds.delete(cardId);
+    } else {
+      selectedCardIds.add(cardId);
+    }
+    selectionAnchorId = cardId;
+  } else if (e.shiftKey) {
+    // Select every card between the anchor and this one, in board order
+    const cardElements = [...document.querySelectorAll('.kanban-card')];
+    const ids = cardElements.map(element => element.dataset.cardId);
+    const anchorIndex = ids.indexOf(selectionAnchorId);
+    const index = ids.indexOf(cardId);
+    if (anchorIndex < 0) {
+      selectedCardIds.add(cardId);
+      selectionAnchorId = cardId;
+    } else {
+      ids.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1)
+        .forEach(id => selectedCardIds.add(id));
+    }
+  } else if (selectedCardIds.size > 0) {
+    clearCardSelection();
+    return;
+  } else {
+    return;
+  }
+  
+  updateSelectionDisplay();
+}
+
+/**
+ * Get the selected card IDs in board order
+ * @returns {Array} Card IDs
+ */
+function getSelectedCardIds() {
+  const board = window.boardStore.getBoard();
+  if (!board) return [];
+  return board.columns.flatMap(column => column.cards)
+    .map(card => card.id)
+    .filter(id => selectedCardIds.has(id));
+}
+
+/**
+ * Clear the card selection
+ */
+function clearCardSelection() {
+  selectedCardIds.clear();
+  selectionAnchorId = null;
+  updateSelectionDisplay();
+}
+
+/**
+ * Mark the selected cards on the board and update the bulk action bar
+ */
+function updateSelectionDisplay() {
+  // Forget cards that no longer exist
+  [...selectedCardIds].forEach(id => {
+    if (!window.boardStore.findCard(id)) {
+      selectedCardIds.delete(id);
+    }
+  });
+  
+  document.querySelectorAll('.kanban-card').forEach(cardElement => {
+    cardElement.classList.toggle('selected', selectedCardIds.has(cardElement.dataset.cardId));
+  });
+  
+  renderBulkActionBar();
+}
+
+// Escape clears the selection
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && selectedCardIds.size > 0 && !document.querySelector('.dialog-overlay') &&
+      !(e.target.closest && e.target.closest('input, textarea, select'))) {
+    clearCardSelection();
+  }
+});
+
+/**
+ * Show the bulk action bar for the selected cards, or remove it if nothing is selected
+ */
+function renderBulkActionBar() {
+  // Keep a tag being typed, and the focus on it, when the bar is rebuilt
+  const previousTagInput = document.querySelector('.bulk-action-bar .bulk-tag');
+  const typedTag = previousTagInput ? previousTagInput.value : '';
+  const tagInputFocused = Boolean(previousTagInput) && document.activeElement === previousTagInput;
+  
+  document.querySelectorAll('.bulk-action-bar').forEach(el => el.remove());
+  
+  const board = window.boardStore.getBoard();
+  if (selectedCardIds.size === 0 || !board) return;
+  
+  const store = window.boardStore;
+  const cardIds = getSelectedCardIds();
+  
+  const bar = document.createElement('div');
+  bar.className = 'bulk-action-bar';
+  
+  const countLabel = document.createElement('span');
+  countLabel.className = 'bulk-count';
+  countLabel.textContent = `${cardIds.length} selected`;
+  bar.appendChild(countLabel);
+  
+  // Build a select whose first option is a prompt, running an action on change
+  const createActionSelect = (className, prompt, options, action) => {
+    const select = document.createElement('select');
+    select.className = className;
+    [['', prompt], ...options].forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.addEventListener('change', () => {
+      if (select.value !== '') {
+        action(select.value);
+      }
+    });
+    return select;
+  };
+  
+  const createActionButton = (label, action) => {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.addEventListener('click', action);
+    return button;
+  };
+  
+  bar.appendChild(createActionSelect('bulk-move', 'Move to...',
+    board.columns.map(column => [column.id, column.title]),
+    (columnId) => {
+      if (!store.moveCards(cardIds, columnId)) {
+        alert('These cards would take the column over its WIP limit.');
+        renderBulkActionBar();
+      }
+    }));
+  
+  bar.appendChild(createActionButton('Complete', () => store.updateCards(cardIds, { completed: true })));
+  bar.appendChild(createActionButton('Reopen', () => store.updateCards(cardIds, { completed: false })));
+  
+  bar.appendChild(createActionSelect('bulk-priority', 'Priority...',
+    [['high', 'High'], ['medium', 'Medium'], ['low', 'Low'], ['none', 'No priority']],
+    (priority) => store.updateCards(cardIds, { priority: priority === 'none' ? null : priority })));
+  
+  // Tags live in the card text, so add them there as the parser would read them
+  const tagInput = document.createElement('input');
+  tagInput.type = 'text';
+  tagInput.className = 'bulk-tag';
+  tagInput.placeholder = '#tag';
+  tagInput.value = typedTag;
+  tagInput.addEventListener('keydown', (e) => {
+    const tag = tagInput.value.trim().replace(/^#/, '');
+    if (e.key === 'Enter' && /^[\w-]+$/.test(tag)) {
+      tagInput.value = '';
+      store.updateCards(cardIds, card => (card.tags || []).includes(tag) ? {} : {
+        text: `${card.text} #${tag}`,
+        tags: [...(card.tags || []), tag]
+      });
+    }
+  });
+  bar.appendChild(tagInput);
+  
+  const dueInput = document.createElement('input');
+  dueInput.type = 'date';
+  dueInput.className = 'bulk-due';
+  dueInput.title = 'Set due date';
+  dueInput.addEventListener('change', () => {
+    store.updateCards(cardIds, { dueDate: dueInput.value || null });
+  });
+  bar.appendChild(dueInput);
+  
+  bar.appendChild(createActionButton('Archive', () => store.archiveCards(cardIds)));
+  
+  const deleteButton = createActionButton('Delete', () => {
+    if (confirm(`Delete ${cardIds.length} card${cardIds.length === 1 ? '' : 's'}?`)) {
+      store.deleteCards(cardIds);
+    }
+  });
+  deleteButton.className = 'bulk-delete';
+  bar.appendChild(deleteButton);
+  
+  const clearButton = createActionButton('\u00d7', clearCardSelection);
+  clearButton.className = 'bulk-clear';
+  clearButton.title = 'Clear selection';
+  bar.appendChild(clearButton);
+  
+  document.body.appendChild(bar);
+  
+  if (tagInputFocused) {
+    tagInput.focus();
+    tagInput.setSelectionRange(typedTag.length, typedTag.length);
+  }
+}
+
 /**
  * Render the kanban board with columns and cards
  * @param {HTMLElement} container - Container element to render the board in
  * @param {Array} columns - Array of column objects with their cards
  */
 function renderKanbanBoard(container, columns) {
+  // Remember the scroll position, which clearing the container can reset
+  const scrollLeft = container.scrollLeft;
+  const pageScrollY = window.scrollY;
+  
   // Clear the container
   container.innerHTML = '';
   
   // Create and append each column
   columns.forEach((column, columnIndex) => {
-    const columnElement = createColumnElement(column, columnIndex);
+    const columnElement = createColumnElement(column, columnIndex, columns.length);
     container.appendChild(columnElement);
   });
   
+  // Add a placeholder lane for creating new columns
+  container.appendChild(createAddColumnElement());
+  
   // Initialize drag and drop functionality
   initDragAndDrop();
+  initColumnDragAndDrop();
   
   // Add button to go back to file selection
   addControlButtons(container);
+  
+  // Dim or hide cards that do not match the active filter
+  window.boardFilter.applyFilter();
+  
+  // Keep keyboard focus on the card it was on before the re-render
+  window.boardKeyboard.restoreCardFocus();
+  
+  // Mark selected cards and show the bulk actions for them
+  updateSelectionDisplay();
+  
+  container.scrollLeft = scrollLeft;
+  if (window.scrollY !== pageScrollY) {
+    window.scrollTo(window.scrollX, pageScrollY);
+  }
+}
+
+/**
+ * Check whether the user is in the middle of editing or dragging, so that
+ * replacing the board now would throw their work away
+ * @returns {boolean} True if an editor, dialog or drag is in progress
+ */
+function isBoardBeingEdited() {
+  return Boolean(document.querySelector(
+    '.card-edit-textarea, .column-title-input, .dialog-overlay, .column-dragging'
+  )) || document.body.classList.contains('card-dragging');
+}
+
+/**
+ * Show a short message at the bottom of the page that disappears by itself
+ * @param {string} message - Message to show
+ */
+function showToast(message) {
+  let toastContainer = document.querySelector('.toast-container');
+  if (!toastContainer) {
+    toastContainer = document.createElement('div');
+    toastContainer.className = 'toast-container';
+    toastContainer.setAttribute('role', 'status');
+    document.body.appendChild(toastContainer);
+  }
+  
+  const toast = document.createElement('div');
+  toast.className = 'toast';
+  toast.textContent = message;
+  toast.addEventListener('click', () => toast.remove());
+  toastContainer.appendChild(toast);
+  
+  setTimeout(() => toast.remove(), TOAST_DURATION);
 }
 
 /**
  * Create a column element with header and cards
  * @param {Object} column - Column data object
  * @param {number} columnIndex - Index of the column
+ * @param {number} columnCount - Number of columns on the board
  * @returns {HTMLElement} The created column element
  */
-function createColumnElement(column, columnIndex) {
+function createColumnElement(column, columnIndex, columnCount) {
   const columnElement = document.createElement('div');
   columnElement.className = 'kanban-column';
   columnElement.dataset.columnIndex = columnIndex;
+  columnElement.dataset.columnId = column.id;
   
-  // Create column header
-  const headerElement = document.createElement('div');
-  headerElement.className = 'column-header';
-  headerElement.textContent = column.title;
-  columnElement.appendChild(headerElement);
+  if (window.boardStore.isColumnCollapsed(column.id)) {
+    columnElement.classList.add('collapsed');
+  }
+  
+  // Highlight lanes that reached or exceeded their work-in-progress limit
+  const wipLimit = window.boardStore.getWipLimit(column.id);
+  if (wipLimit && column.cards.length > wipLimit) {
+    columnElement.classList.add('over-limit');
+  } else if (wipLimit && column.cards.length === wipLimit) {
+    columnElement.classList.add('at-limit');
+  }
+  
+  columnElement.appendChild(createColumnHeader(column, columnCount));
   
   // Create cards container
   const cardsContainer = document.createElement('div');
@@ -56,12 +368,256 @@ function createColumnElement(column, columnIndex) {
   const addButton = document.createElement('button');
   addButton.className = 'add-card-btn';
   addButton.textContent = '+ Add Card';
-  addButton.addEventListener('click', () => handleAddCard(columnIndex));
+  addButton.addEventListener('click', () => window.boardStore.addCard(column.id));
   columnElement.appendChild(addButton);
   
   return columnElement;
 }
 
+/**
+ * Create a column header with the title and lane controls
+ * @param {Object} column - Column data object
+ * @param {number} columnCount - Number of columns on the board
+ * @returns {HTMLElement} The created header element
+ */
+function createColumnHeader(column, columnCount) {
+  const headerElement = document.createElement('div');
+  headerElement.className = 'column-header';
+  
+  // Create drag handle for reordering lanes
+  const dragHandle = document.createElement('span');
+  dragHandle.className = 'column-drag-handle';
+  dragHandle.innerHTML = '&#8942;&#8942;';
+  dragHandle.title = 'Drag to reorder column';
+  
+  // Create title, double-click to rename
+  const titleElement = document.createElement('span');
+  titleElement.className = 'column-title';
+  titleElement.textContent = column.title;
+  titleElement.title = 'Double-click to rename';
+  titleElement.addEventListener('dblclick', () => {
+    handleRenameColumn(titleElement, column.id);
+  });
+  
+  // Create card count, shown against the work-in-progress limit if there is one
+  const wipLimit = window.boardStore.getWipLimit(column.id);
+  const countElement = document.createElement('span');
+  countElement.className = 'column-count';
+  countElement.textContent = wipLimit ? `${column.cards.length}/${wipLimit}` : column.cards.length;
+  if (wipLimit) {
+    countElement.title = `Work-in-progress limit: ${wipLimit}`;
+  }
+  
+  // Create collapse toggle
+  const collapsed = window.boardStore.isColumnCollapsed(column.id);
+  const collapseButton = document.createElement('button');
+  collapseButton.className = 'column-collapse-btn';
+  collapseButton.innerHTML = collapsed ? '&#9656;' : '&#9662;';
+  collapseButton.title = collapsed ? 'Expand column' : 'Collapse column';
+  collapseButton.addEventListener('click', () => {
+    window.boardStore.toggleColumnCollapsed(column.id);
+  });
+  
+  headerElement.appendChild(dragHandle);
+  headerElement.appendChild(titleElement);
+  headerElement.appendChild(countElement);
+  
+  // Create button archiving the column's completed cards
+  const doneCardIds = column.cards.filter(card => card.completed).map(card => card.id);
+  if (doneCardIds.length > 0) {
+    const archiveButton = document.createElement('button');
+    archiveButton.className = 'archive-done-btn';
+    archiveButton.innerHTML = '&#x2913;';
+    archiveButton.title = `Archive ${doneCardIds.length} completed card${doneCardIds.length === 1 ? '' : 's'}`;
+    archiveButton.addEventListener('click', () => {
+      window.boardStore.archiveCards(doneCardIds);
+    });
+    headerElement.appendChild(archiveButton);
+  }
+  
+  headerElement.appendChild(collapseButton);
+  
+  // The last remaining column cannot be deleted
+  if (columnCount > 1) {
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'delete-column-btn';
+    deleteButton.innerHTML = '&times;';
+    deleteButton.title = 'Delete column';
+    deleteButton.addEventListener('click', () => {
+      handleDeleteColumn(column.id);
+    });
+    headerElement.appendChild(deleteButton);
+  }
+  
+  return headerElement;
+}
+
+/**
+ * Create the placeholder lane used to add a new column
+ * @returns {HTMLElement} The created element
+ */
+function createAddColumnElement() {
+  const addColumnElement = document.createElement('div');
+  addColumnElement.className = 'add-column';
+  
+  const addButton = document.createElement('button');
+  addButton.className = 'add-column-btn';
+  addButton.textContent = '+ Add Column';
+  addButton.addEventListener('click', () => {
+    const columnId = window.boardStore.addColumn('New Column');
+    
+    // Let the user name the new column straight away
+    const titleElement = document.querySelector(`.kanban-column[data-column-id="${columnId}"] .column-title`);
+    if (titleElement) {
+      handleRenameColumn(titleElement, columnId);
+    }
+  });
+  
+  addColumnElement.appendChild(addButton);
+  return addColumnElement;
+}
+
+/**
+ * Handle renaming a column in place
+ * @param {HTMLElement} titleElement - The title element to edit
+ * @param {string} columnId - ID of the column to rename
+ */
+function handleRenameColumn(titleElement, columnId) {
+  const column = window.boardStore.findColumn(columnId);
+  if (!column) return;
+  
+  // The limit is edited as part of the heading, e.g. `Doing (3)`
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'column-title-input';
+  input.value = formatColumnHeading(column);
+  
+  titleElement.style.display = 'none';
+  titleElement.parentNode.insertBefore(input, titleElement.nextSibling);
+  input.focus();
+  input.select();
+  
+  let finished = false;
+  
+  // Headings are single lines, so collapse any whitespace the user typed
+  const finish = (save) => {
+    if (finished) return;
+    finished = true;
+    
+    const heading = input.value.replace(/\s+/g, ' ').trim();
+    input.remove();
+    titleElement.style.display = '';
+    
+    if (save && heading !== '') {
+      // The store re-renders the board if anything changed
+      const { title, wipLimit } = parseColumnHeading(heading);
+      window.boardStore.renameColumn(columnId, title);
+      if (wipLimit !== (column.wipLimit || null)) {
+        window.boardStore.setColumnWipLimit(columnId, wipLimit);
+      }
+    }
+  };
+  
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      finish(true);
+    } else if (e.key === 'Escape') {
+      finish(false);
+    }
+  });
+  input.addEventListener('blur', () => finish(true));
+}
+
+/**
+ * Handle deleting a column, asking where its cards should go
+ * @param {string} columnId - ID of the column to delete
+ */
+async function handleDeleteColumn(columnId) {
+  const column = window.boardStore.findColumn(columnId);
+  if (!column) return;
+  
+  // Empty columns can go straight away; undo brings them back
+  if (column.cards.length === 0) {
+    window.boardStore.deleteColumn(columnId);
+    return;
+  }
+  
+  const otherColumns = window.boardStore.getBoard().columns.filter(other => other.id !== columnId);
+  const choice = await showDeleteColumnDialog(column, otherColumns);
+  if (choice === null) return;
+  
+  if (!window.boardStore.deleteColumn(columnId, choice.moveCardsTo) && choice.moveCardsTo) {
+    alert('The cards would take the column over its WIP limit.');
+  }
+}
+
+/**
+ * Show a dialog asking what to do with the cards of a column being deleted
+ * @param {Object} column - Column to delete
+ * @param {Array} otherColumns - Columns the cards can be moved to
+ * @returns {Promise<Object|null>} { moveCardsTo } with a column ID, or null to
+ *   delete the cards; resolves to null if the dialog is cancelled
+ */
+function showDeleteColumnDialog(column, otherColumns) {
+  return new Promise(resolve => {
+    const overlay = document.createElement('div');
+    overlay.className = 'dialog-overlay';
+    
+    const dialog = document.createElement('div');
+    dialog.className = 'dialog';
+    
+    const title = document.createElement('h3');
+    title.textContent = `Delete "${column.title}"`;
+    dialog.appendChild(title);
+    
+    const intro = document.createElement('p');
+    const cardCount = column.cards.length;
+    intro.textContent = `This column has ${cardCount} card${cardCount === 1 ? '' : 's'}. What should happen to them?`;
+    dialog.appendChild(intro);
+    
+    // Select the target column for the cards, or delete them
+    const select = document.createElement('select');
+    select.className = 'delete-column-target';
+    otherColumns.forEach(other => {
+      const option = document.createElement('option');
+      option.value = other.id;
+      option.textContent = `Move to ${other.title}`;
+      select.appendChild(option);
+    });
+    const deleteOption = document.createElement('option');
+    deleteOption.value = '';
+    deleteOption.textContent = 'Delete the cards';
+    select.appendChild(deleteOption);
+    dialog.appendChild(select);
+    
+    const buttonsContainer = document.createElement('div');
+    buttonsContainer.className = 'edit-buttons-container';
+    
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'save-edit-btn';
+    deleteButton.textContent = 'Delete Column';
+    deleteButton.addEventListener('click', () => {
+      overlay.remove();
+      resolve({ moveCardsTo: select.value || null });
+    });
+    
+    const cancelButton = document.createElement('button');
+    cancelButton.className = 'cancel-edit-btn';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', () => {
+      overlay.remove();
+      resolve(null);
+    });
+    
+    buttonsContainer.appendChild(deleteButton);
+    buttonsContainer.appendChild(cancelButton);
+    dialog.appendChild(buttonsContainer);
+    
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+  });
+}
+
 /**
  * Create a card element
  * @param {Object} card - Card data object
@@ -80,7 +636,15 @@ function createCardElement(card, cardIndex, columnIndex) {
   cardElement.className = 'kanban-card';
   cardElement.dataset.cardIndex = cardIndex;
   cardElement.dataset.columnIndex = columnIndex;
-  cardElement.draggable = false; // Only enable dragging via the handle
+  cardElement.dataset.cardId = card.id;
+  cardElement.tabIndex = 0; // Focusable for keyboard navigation
+  
+  // Ctrl/Cmd-click and Shift-click select cards for bulk actions
+  cardElement.addEventListener('click', (e) => handleCardClick(e, card.id));
+  cardElement.addEventListener('mousedown', (e) => {
+    // Keep Shift-click from selecting text
+    if (e.shiftKey) e.preventDefault();
+  });
   
   // Create drag handle
   const dragHandle = document.createElement('div');
@@ -104,13 +668,7 @@ function createCardElement(card, cardIndex, columnIndex) {
   checkbox.addEventListener('change', () => {
     try {
       // Update the data model when checkbox is toggled
-      const boardData = getBoardDataFromDOM();
-      // Make sure we're accessing valid data
-      if (boardData[columnIndex] && boardData[columnIndex].cards && boardData[columnIndex].cards[cardIndex]) {
-        boardData[columnIndex].cards[cardIndex].completed = checkbox.checked;
-        cardElement.classList.toggle('completed', checkbox.checked);
-        saveBoard(boardData);
-      }
+      window.boardStore.updateCard(card.id, { completed: checkbox.checked });
     } catch (error) {
       console.error('Error updating checkbox state:', error);
     }
@@ -125,7 +683,7 @@ function createCardElement(card, cardIndex, columnIndex) {
   // Add double-click to edit
   textSpan.addEventListener('dblclick', () => {
     try {
-      handleEditCard(textSpan, columnIndex, cardIndex);
+      handleEditCard(textSpan, card.id);
     } catch (error) {
       console.error('Error handling edit:', error);
     }
@@ -137,7 +695,25 @@ function createCardElement(card, cardIndex, columnIndex) {
   deleteBtn.innerHTML = '&times;';
   deleteBtn.title = 'Delete card';
   deleteBtn.addEventListener('click', () => {
-    handleDeleteCard(columnIndex, cardIndex);
+    window.boardStore.deleteCard(card.id);
+  });
+  
+  // Create button opening the card detail dialog
+  const detailBtn = document.createElement('button');
+  detailBtn.className = 'card-detail-btn';
+  detailBtn.innerHTML = '&#9998;';
+  detailBtn.title = 'Edit details';
+  detailBtn.addEventListener('click', () => {
+    window.cardDetail.openCardDetail(card.id);
+  });
+  
+  // Create archive button
+  const archiveBtn = document.createElement('button');
+  archiveBtn.className = 'archive-card-btn';
+  archiveBtn.innerHTML = '&#x2913;';
+  archiveBtn.title = 'Archive card';
+  archiveBtn.addEventListener('click', () => {
+    window.boardStore.archiveCards([card.id]);
   });
   
   // Append elements in proper order
@@ -145,8 +721,11 @@ function createCardElement(card, cardIndex, columnIndex) {
   cardContent.appendChild(checkboxContainer);
   cardContent.appendChild(textSpan);
   
+  const { blocks, blockedBy } = getCardRelations(card);
+  
   // Add metadata if available
-  if (card.priority || card.dueDate || (card.tags && card.tags.length > 0)) {
+  if (card.priority || card.dueDate || (card.tags && card.tags.length > 0) ||
+      blocks.length > 0 || blockedBy.length > 0) {
     const metadataElement = document.createElement('div');
     metadataElement.className = 'card-metadata';
     
@@ -181,6 +760,14 @@ function createCardElement(card, cardIndex, columnIndex) {
       metadataElement.appendChild(tagsElement);
     }
     
+    // Add relations to other cards
+    blockedBy.forEach(related => {
+      metadataElement.appendChild(createRelationBadge('Blocked by', related));
+    });
+    blocks.forEach(related => {
+      metadataElement.appendChild(createRelationBadge('Blocks', related));
+    });
+    
     cardContent.appendChild(metadataElement);
   }
   
@@ -188,25 +775,21 @@ function createCardElement(card, cardIndex, columnIndex) {
   if (card.content && card.content.trim().length > 0) {
     const contentElement = document.createElement('div');
     contentElement.className = 'card-extended-content';
-    contentElement.innerHTML = card.content.split('\n').map(line => {
-      // Check if line is a code block marker
-      if (line.trim().startsWith('```')) {
-        return `<div class="code-block-marker">${line}</div>`;
-      }
-      return `<div>${line}</div>`;
-    }).join('');
+    contentElement.innerHTML = window.markdown.renderMarkdown(card.content);
     cardContent.appendChild(contentElement);
   }
   
   // Add subtasks if available
   if (card.subtasks && card.subtasks.length > 0) {
-    const subtasksElement = createSubtasksElement(card.subtasks, columnIndex, cardIndex);
+    const subtasksElement = createSubtasksElement(card.subtasks, card.id);
     cardContent.appendChild(subtasksElement);
   }
   
   // Add elements to card
   cardElement.appendChild(dragHandle);
   cardElement.appendChild(cardContent);
+  cardElement.appendChild(detailBtn);
+  cardElement.appendChild(archiveBtn);
   cardElement.appendChild(deleteBtn);
   
   // Add completed class if needed
@@ -217,14 +800,73 @@ function createCardElement(card, cardIndex, columnIndex) {
   return cardElement;
 }
 
+/**
+ * Collect a card's relations in both directions: a card that blocks this one
+ * is shown as a blocker even when only that card records the relation
+ * @param {Object} card - Card data object
+ * @returns {Object} { blocks, blockedBy } as arrays of related cards, or of
+ *   block IDs where no card has the ID
+ */
+function getCardRelations(card) {
+  const store = window.boardStore;
+  const resolve = (blockId) => {
+    const found = store.findCardByBlockId(blockId);
+    return found ? found.card : blockId;
+  };
+  const blocks = new Set((card.blocks || []).map(resolve));
+  const blockedBy = new Set((card.blockedBy || []).map(resolve));
+  
+  if (card.blockId) {
+    store.getBoard().columns.forEach(column => {
+      column.cards.forEach(other => {
+        if (other === card) return;
+        if ((other.blocks || []).includes(card.blockId)) blockedBy.add(other);
+        if ((other.blockedBy || []).includes(card.blockId)) blocks.add(other);
+      });
+    });
+  }
+  
+  return { blocks: [...blocks], blockedBy: [...blockedBy] };
+}
+
+/**
+ * Create a badge showing a relation to another card
+ * @param {string} label - Relation label, e.g. 'Blocked by'
+ * @param {Object|string} related - Related card, or its block ID if no card has it
+ * @returns {HTMLElement} Badge that navigates to the related card
+ */
+function createRelationBadge(label, related) {
+  const badge = document.createElement('a');
+  badge.href = '#';
+  badge.className = `card-relation ${label === 'Blocks' ? 'relation-blocks' : 'relation-blocked-by'}`;
+  
+  if (typeof related === 'string') {
+    badge.textContent = `${label}: ^${related}`;
+    badge.classList.add('missing');
+    badge.title = 'No card on this board has this block ID';
+    return badge;
+  }
+  
+  badge.textContent = `${label}: ${window.markdown.toPlainText(related.text)}`;
+  if (related.completed) {
+    // A finished blocker no longer holds the card up
+    badge.classList.add('resolved');
+  }
+  badge.addEventListener('click', (e) => {
+    e.preventDefault();
+    window.wiki.navigateToCard(related.id);
+  });
+  
+  return badge;
+}
+
 /**
  * Create a subtasks container element
  * @param {Array} subtasks - Array of subtask objects
- * @param {number} columnIndex - Index of the column containing the parent card
- * @param {number} cardIndex - Index of the parent card
+ * @param {string} cardId - ID of the parent card
  * @returns {HTMLElement} The created subtasks element
  */
-function createSubtasksElement(subtasks, columnIndex, cardIndex) {
+function createSubtasksElement(subtasks, cardId) {
   const subtasksElement = document.createElement('div');
   subtasksElement.className = 'subtasks-container';
   
@@ -241,18 +883,7 @@ function createSubtasksElement(subtasks, columnIndex, cardIndex) {
     checkbox.addEventListener('change', () => {
       try {
         // Update the data model when checkbox is toggled
-        const boardData = getBoardDataFromDOM();
-        // Make sure we're accessing valid data
-        if (boardData[columnIndex] && 
-            boardData[columnIndex].cards && 
-            boardData[columnIndex].cards[cardIndex] &&
-            boardData[columnIndex].cards[cardIndex].subtasks &&
-            boardData[columnIndex].cards[cardIndex].subtasks[subtaskIndex]) {
-          
-          boardData[columnIndex].cards[cardIndex].subtasks[subtaskIndex].completed = checkbox.checked;
-          subtaskElement.classList.toggle('completed', checkbox.checked);
-          saveBoard(boardData);
-        }
+        window.boardStore.updateSubtask(cardId, subtaskIndex, { completed: checkbox.checked });
       } catch (error) {
         console.error('Error updating subtask checkbox state:', error);
       }
@@ -278,270 +909,453 @@ function createSubtasksElement(subtasks, columnIndex, cardIndex) {
   return subtasksElement;
 }
 
+// Card drag state: a pointer that went down on a card but has not picked it
+// up yet, and the card currently being dragged
+const cardDrag = {
+  pending: null,
+  active: null
+};
+
+// Time a touch has to rest on a card before it is picked up, in milliseconds
+const LONG_PRESS_DELAY = 400;
+
+// Distance in pixels a mouse has to move before a drag starts, and a touch may
+// move before it counts as scrolling instead of a long press
+const DRAG_THRESHOLD = 6;
+
+// Distance from the board edges where dragging scrolls, and the scroll speed per frame
+const AUTO_SCROLL_EDGE = 50;
+const AUTO_SCROLL_SPEED = 12;
+
 /**
- * Initialize drag and drop functionality for cards
+ * Initialize drag and drop functionality for cards.
+ * Cards are moved with pointer events so mouse, touch and pen all work: a
+ * mouse drags a card by its handle, a touch or pen picks it up with a long press.
  */
 function initDragAndDrop() {
-  const cards = document.querySelectorAll('.kanban-card');
-  const columns = document.querySelectorAll('.cards-container');
-  
-  // Track the currently dragged card to prevent multiple selections
-  let currentlyDragging = null;
-  
-  // Add drag events to cards
-  cards.forEach(card => {
-    // Make drag handle the trigger for drag operation
-    const dragHandle = card.querySelector('.drag-handle');
-    
-    if (dragHandle) {
-      dragHandle.addEventListener('mousedown', (e) => {
-        // Only allow one card to be draggable at a time
-        if (!currentlyDragging) {
-          card.draggable = true;
-          currentlyDragging = card;
-          // Stop event from bubbling up to prevent issues
-          e.stopPropagation();
-        }
-      });
-    }
-    
-    // Reset draggable state when mouse leaves the card
-    card.addEventListener('mouseleave', () => {
-      if (!card.classList.contains('dragging')) {
-        card.draggable = false;
-      }
-    });
-    
-    // Handle dragstart and dragend events
-    card.addEventListener('dragstart', dragStart);
-    card.addEventListener('dragend', dragEnd);
+  document.querySelectorAll('.kanban-card').forEach(card => {
+    card.addEventListener('pointerdown', handleCardPointerDown);
   });
+}
+
+/**
+ * Start tracking a pointer that went down on a card
+ * @param {PointerEvent} e - The pointerdown event
+ */
+function handleCardPointerDown(e) {
+  if (cardDrag.pending || cardDrag.active) return;
   
-  // Add drop events to columns
-  columns.forEach(column => {
-    column.addEventListener('dragover', dragOver);
-    column.addEventListener('dragenter', dragEnter);
-    column.addEventListener('dragleave', dragLeave);
-    column.addEventListener('drop', drop);
-  });
+  if (e.pointerType === 'mouse') {
+    // Mice drag by the handle only, leaving text selection and clicks alone
+    if (e.button !== 0 || !e.target.closest('.drag-handle')) return;
+    e.preventDefault();
+  } else if (e.target.closest('input, button, textarea, a')) {
+    return;
+  }
   
-  // Reset draggable state for all cards when mouse is clicked elsewhere
-  document.addEventListener('mousedown', (e) => {
-    // Check if click is outside of a drag handle
-    if (!e.target.closest('.drag-handle')) {
-      resetDraggableState();
-    }
-  });
+  const pending = {
+    cardElement: e.currentTarget,
+    pointerId: e.pointerId,
+    pointerType: e.pointerType,
+    startX: e.clientX,
+    startY: e.clientY,
+    timer: null
+  };
   
-  // Reset all cards' draggable state
-  function resetDraggableState() {
-    currentlyDragging = null;
-    document.querySelectorAll('.kanban-card').forEach(c => {
-      c.draggable = false;
-    });
+  // A touch that rests long enough picks the card up; one that moves scrolls
+  if (e.pointerType !== 'mouse') {
+    pending.timer = setTimeout(() => startCardDrag(pending.startX, pending.startY), LONG_PRESS_DELAY);
   }
   
-  // Drag functions
-  function dragStart(e) {
-    // Only one card should be draggable at a time
-    document.querySelectorAll('.kanban-card').forEach(card => {
-      if (card !== this) {
-        card.draggable = false;
-      }
-    });
-    
-    this.classList.add('dragging');
-    
-    // Set a ghost drag image
-    if (e.dataTransfer) {
-      e.dataTransfer.effectAllowed = 'move';
-      // Set delay to ensure proper ghost image
-      setTimeout(() => {
-        this.classList.add('ghost');
-      }, 0);
-    }
+  cardDrag.pending = pending;
+}
+
+/**
+ * Pick up the card of the pending pointer
+ * @param {number} x - Pointer position
+ * @param {number} y - Pointer position
+ */
+function startCardDrag(x, y) {
+  const pending = cardDrag.pending;
+  cardDrag.pending = null;
+  if (!pending || !pending.cardElement.isConnected) return;
+  
+  const cardElement = pending.cardElement;
+  const box = cardElement.getBoundingClientRect();
+  
+  // Dragging a selected card takes the whole selection along
+  const cardId = cardElement.dataset.cardId;
+  const cardIds = selectedCardIds.has(cardId) ? getSelectedCardIds() : [cardId];
+  const cardElements = cardIds
+    .map(id => document.querySelector(`.kanban-card[data-card-id="${id}"]`))
+    .filter(Boolean);
+  
+  // A copy of the card follows the pointer
+  const ghost = cardElement.cloneNode(true);
+  ghost.classList.add('drag-ghost');
+  ghost.removeAttribute('tabindex');
+  ghost.style.width = `${box.width}px`;
+  if (cardIds.length > 1) {
+    const countBadge = document.createElement('span');
+    countBadge.className = 'drag-count';
+    countBadge.textContent = cardIds.length;
+    ghost.appendChild(countBadge);
   }
+  document.body.appendChild(ghost);
+  
+  // The placeholder shows where the card will land
+  const placeholder = document.createElement('div');
+  placeholder.className = 'card-placeholder';
+  placeholder.style.height = `${box.height}px`;
+  cardElement.parentNode.insertBefore(placeholder, cardElement);
+  cardElements.forEach(element => element.classList.add('drag-source'));
+  document.body.classList.add('card-dragging');
+  
+  cardDrag.active = {
+    cardElements,
+    cardIds,
+    pointerId: pending.pointerId,
+    ghost,
+    placeholder,
+    offsetX: pending.startX - box.left,
+    offsetY: pending.startY - box.top,
+    x,
+    y,
+    scrollFrame: null
+  };
   
-  function dragEnd() {
-    this.classList.remove('dragging');
-    this.classList.remove('ghost');
-    this.draggable = false;
-    currentlyDragging = null;
-    
-    // Force a small delay before allowing dragging again to prevent glitches
-    setTimeout(() => {
-      document.querySelectorAll('.kanban-card').forEach(card => {
-        card.draggable = false;
-      });
-    }, 50);
+  updateCardDrag();
+  autoScrollWhileDragging(cardDrag.active, updateCardDrag);
+}
+
+/**
+ * Move the ghost to the pointer and the placeholder to the slot under it
+ */
+function updateCardDrag() {
+  const active = cardDrag.active;
+  active.ghost.style.left = `${active.x - active.offsetX}px`;
+  active.ghost.style.top = `${active.y - active.offsetY}px`;
+  
+  const target = document.elementFromPoint(active.x, active.y);
+  const columnElement = target && target.closest('.kanban-column:not(.collapsed)');
+  if (!columnElement) return;
+  
+  const cardsContainer = columnElement.querySelector('.cards-container');
+  document.querySelectorAll('.drag-over, .wip-blocked').forEach(el => {
+    el.classList.remove('drag-over');
+    el.classList.remove('wip-blocked');
+  });
+  
+  // Refuse cards from other lanes when this one is at its enforced limit
+  if (isCardDropBlocked(active.cardIds, columnElement)) {
+    cardsContainer.classList.add('wip-blocked');
+    active.placeholder.remove();
+    return;
   }
   
-  function dragOver(e) {
-    e.preventDefault();
-    e.dataTransfer.dropEffect = 'move';
-    
-    // Get dragged card
-    const draggedCard = document.querySelector('.dragging');
-    if (!draggedCard) return;
-    
-    // Find closest card to insert before
-    const cards = [...this.querySelectorAll('.kanban-card:not(.dragging)')];
-    const closestCard = findClosestCard(e.clientY, cards);
-    
-    // Insert dragged card in the right position
-    if (closestCard) {
-      this.insertBefore(draggedCard, closestCard);
-    } else {
-      this.appendChild(draggedCard);
-    }
+  cardsContainer.classList.add('drag-over');
+  const cards = [...cardsContainer.querySelectorAll('.kanban-card:not(.drag-source)')];
+  const closestCard = findClosestCard(active.y, cards);
+  if (closestCard) {
+    cardsContainer.insertBefore(active.placeholder, closestCard);
+  } else {
+    cardsContainer.appendChild(active.placeholder);
+  }
+}
+
+/**
+ * Scroll the board while a dragged card or column is held near its edges
+ * @param {Object} active - The drag, with the pointer position { x, y } and
+ *   the scrollFrame to cancel when it ends
+ * @param {Function} update - Updates the drag for what is under the pointer now
+ */
+function autoScrollWhileDragging(active, update) {
+  const container = document.getElementById('board-container');
+  const box = container.getBoundingClientRect();
+  let scrolled = false;
+  
+  if (active.x < box.left + AUTO_SCROLL_EDGE && container.scrollLeft > 0) {
+    container.scrollLeft -= AUTO_SCROLL_SPEED;
+    scrolled = true;
+  } else if (active.x > box.right - AUTO_SCROLL_EDGE &&
+             container.scrollLeft < container.scrollWidth - container.clientWidth) {
+    container.scrollLeft += AUTO_SCROLL_SPEED;
+    scrolled = true;
   }
   
-  function findClosestCard(clientY, cards) {
-    // Find the closest card based on mouse position
-    return cards.reduce((closest, card) => {
-      const box = card.getBoundingClientRect();
-      const offset = clientY - box.top - box.height / 2;
-      
-      if (offset < 0 && offset > closest.offset) {
-        return { offset, element: card };
-      } else {
-        return closest;
-      }
-    }, { offset: Number.NEGATIVE_INFINITY }).element;
+  if (active.y < AUTO_SCROLL_EDGE) {
+    window.scrollBy(0, -AUTO_SCROLL_SPEED);
+    scrolled = true;
+  } else if (active.y > window.innerHeight - AUTO_SCROLL_EDGE) {
+    window.scrollBy(0, AUTO_SCROLL_SPEED);
+    scrolled = true;
   }
   
-  function dragEnter(e) {
-    e.preventDefault();
-    this.classList.add('drag-over');
+  // Different cards or columns are under the pointer after scrolling
+  if (scrolled) {
+    update();
   }
   
-  function dragLeave() {
-    this.classList.remove('drag-over');
+  active.scrollFrame = requestAnimationFrame(() => autoScrollWhileDragging(active, update));
+}
+
+/**
+ * Drop or cancel the dragged card
+ * @param {boolean} drop - True to move the card to the placeholder, false to cancel
+ */
+function finishCardDrag(drop) {
+  const active = cardDrag.active;
+  cardDrag.active = null;
+  
+  cancelAnimationFrame(active.scrollFrame);
+  active.ghost.remove();
+  document.body.classList.remove('card-dragging');
+  document.querySelectorAll('.drag-over, .wip-blocked').forEach(el => {
+    el.classList.remove('drag-over');
+    el.classList.remove('wip-blocked');
+  });
+  
+  // The placeholder is gone if the drop was refused or the board re-rendered
+  const placeholder = active.placeholder;
+  const columnElement = placeholder.isConnected ? placeholder.closest('.kanban-column') : null;
+  let targetIndex = 0;
+  if (columnElement) {
+    for (let node = placeholder.previousElementSibling; node; node = node.previousElementSibling) {
+      if (node.classList.contains('kanban-card') && !node.classList.contains('drag-source')) {
+        targetIndex++;
+      }
+    }
   }
   
-  function drop() {
-    this.classList.remove('drag-over');
-    
+  placeholder.remove();
+  active.cardElements.forEach(element => element.classList.remove('drag-source'));
+  
+  if (drop && columnElement) {
     try {
-      // Get the dragged card
-      const draggedCard = document.querySelector('.dragging');
-      if (!draggedCard) return;
-      
-      // Get a fresh copy of the board data
-      const boardData = getBoardDataFromDOM();
-      
-      // Get the source and target indices
-      // These might be stale since the DOM may have changed, so we get them from scratch
-      const sourceColumnElement = draggedCard.closest('.kanban-column');
-      const targetColumnElement = this.closest('.kanban-column');
-      
-      if (!sourceColumnElement || !targetColumnElement) {
-        console.error('Could not find column elements');
-        return;
-      }
-      
-      // Get the actual index based on DOM position, not dataset
-      const sourceColumnIndex = Array.from(document.querySelectorAll('.kanban-column')).indexOf(sourceColumnElement);
-      const targetColumnIndex = Array.from(document.querySelectorAll('.kanban-column')).indexOf(targetColumnElement);
-      
-      if (sourceColumnIndex < 0 || targetColumnIndex < 0) {
-        console.error('Invalid column indices', sourceColumnIndex, targetColumnIndex);
-        return;
-      }
-      
-      // Get the card indices
-      const sourceCardElements = sourceColumnElement.querySelectorAll('.kanban-card');
-      const sourceCardIndex = Array.from(sourceCardElements).indexOf(draggedCard);
-      
-      if (sourceCardIndex < 0 || !boardData[sourceColumnIndex] || !boardData[sourceColumnIndex].cards[sourceCardIndex]) {
-        console.error('Invalid card index or data', sourceCardIndex);
-        return;
-      }
-      
-      // Get the actual card data
-      const cardData = {
-        text: draggedCard.querySelector('.card-text')?.textContent || 'New Card',
-        completed: draggedCard.querySelector('input[type="checkbox"]')?.checked || false
-      };
-      
-      // Get target position based on DOM order - where the card should be inserted
-      const targetCardIndex = findCardPositionInColumn(draggedCard, this);
-      
-      // Remove card from source column
-      boardData[sourceColumnIndex].cards.splice(sourceCardIndex, 1);
-      
-      // Make sure the target column has a cards array
-      if (!boardData[targetColumnIndex].cards) {
-        boardData[targetColumnIndex].cards = [];
+      if (active.cardIds.length > 1) {
+        window.boardStore.moveCards(active.cardIds, columnElement.dataset.columnId, targetIndex);
+      } else {
+        window.boardStore.moveCard(active.cardIds[0], columnElement.dataset.columnId, targetIndex);
       }
-      
-      // Add card to target column at correct position
-      boardData[targetColumnIndex].cards.splice(targetCardIndex, 0, cardData);
-      
-      // Re-render board with updated data
-      renderKanbanBoard(document.getElementById('board-container'), boardData);
-      
-      // Save the updated board
-      saveBoard(boardData);
     } catch (error) {
       console.error('Error during drag and drop:', error);
       // If anything goes wrong, just refresh the board
-      renderKanbanBoard(document.getElementById('board-container'), getBoardDataFromDOM());
-    } finally {
-      // Always reset drag state
-      document.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
-      document.querySelectorAll('.dragging').forEach(el => el.classList.remove('dragging'));
-      document.querySelectorAll('.ghost').forEach(el => el.classList.remove('ghost'));
+      handleStoreUpdate();
     }
   }
-  
-  /**
-   * Find the position where a card should be inserted in a column
-   * @param {HTMLElement} draggedCard - The card being dragged
-   * @param {HTMLElement} targetColumn - The column to insert into
-   * @returns {number} The position to insert at
-   */
-  function findCardPositionInColumn(draggedCard, targetColumn) {
-    const cards = [...targetColumn.querySelectorAll('.kanban-card')];
-    const draggedCardIndex = cards.indexOf(draggedCard);
-    
-    // If the card is not found, add to the end
-    if (draggedCardIndex === -1) return cards.length;
-    
-    return draggedCardIndex;
-  }
 }
 
 /**
- * Handle adding a new card to a column
- * @param {number} columnIndex - Index of the column to add card to
+ * Check whether cards may not be dropped into a column because of its limit
+ * @param {Array} cardIds - IDs of the dragged cards
+ * @param {HTMLElement} columnElement - Target column element
+ * @returns {boolean} True if the drop is refused
  */
-function handleAddCard(columnIndex) {
-  const boardData = getBoardDataFromDOM();
+function isCardDropBlocked(cardIds, columnElement) {
+  const columnId = columnElement.dataset.columnId;
+  const incoming = cardIds.filter(cardId => {
+    const found = window.boardStore.findCard(cardId);
+    return found && found.column.id !== columnId;
+  }).length;
+  return incoming > 0 && !window.boardStore.canAcceptCard(columnId, incoming);
+}
+
+/**
+ * Find the card a dragged card should be inserted before
+ * @param {number} clientY - Vertical pointer position
+ * @param {Array} cards - Card elements of the target column
+ * @returns {HTMLElement|undefined} The card below the pointer, or undefined for the end
+ */
+function findClosestCard(clientY, cards) {
+  // Find the closest card based on mouse position
+  return cards.reduce((closest, card) => {
+    const box = card.getBoundingClientRect();
+    const offset = clientY - box.top - box.height / 2;
+    
+    if (offset < 0 && offset > closest.offset) {
+      return { offset, element: card };
+    } else {
+      return closest;
+    }
+  }, { offset: Number.NEGATIVE_INFINITY }).element;
+}
+
+document.addEventListener('pointermove', (e) => {
+  const pending = cardDrag.pending;
+  if (pending && e.pointerId === pending.pointerId) {
+    const distance = Math.hypot(e.clientX - pending.startX, e.clientY - pending.startY);
+    if (distance > DRAG_THRESHOLD) {
+      if (pending.pointerType === 'mouse') {
+        startCardDrag(e.clientX, e.clientY);
+      } else {
+        // The touch is scrolling the page rather than picking the card up
+        clearTimeout(pending.timer);
+        cardDrag.pending = null;
+      }
+    }
+    return;
+  }
   
-  // Create new card with default text
-  boardData[columnIndex].cards.push({
-    text: 'New Card',
-    completed: false
+  const active = cardDrag.active;
+  if (active && e.pointerId === active.pointerId) {
+    e.preventDefault();
+    active.x = e.clientX;
+    active.y = e.clientY;
+    updateCardDrag();
+  }
+});
+
+document.addEventListener('pointerup', (e) => {
+  if (cardDrag.pending && e.pointerId === cardDrag.pending.pointerId) {
+    clearTimeout(cardDrag.pending.timer);
+    cardDrag.pending = null;
+  }
+  if (cardDrag.active && e.pointerId === cardDrag.active.pointerId) {
+    finishCardDrag(true);
+  }
+});
+
+document.addEventListener('pointercancel', (e) => {
+  if (cardDrag.pending && e.pointerId === cardDrag.pending.pointerId) {
+    clearTimeout(cardDrag.pending.timer);
+    cardDrag.pending = null;
+  }
+  if (cardDrag.active && e.pointerId === cardDrag.active.pointerId) {
+    finishCardDrag(false);
+  }
+});
+
+// Escape puts a dragged card or column back where it came from
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && cardDrag.active) {
+    finishCardDrag(false);
+  }
+  if (e.key === 'Escape' && columnDrag) {
+    finishColumnDrag(false);
+  }
+});
+
+// Stop the page from scrolling under a card held by a touch, and the long
+// press from opening the context menu
+document.addEventListener('touchmove', (e) => {
+  if (cardDrag.active) {
+    e.preventDefault();
+  }
+}, { passive: false });
+
+document.addEventListener('contextmenu', (e) => {
+  if (cardDrag.pending || cardDrag.active || columnDrag) {
+    e.preventDefault();
+  }
+});
+
+// Column drag state: the column being moved by its header handle
+let columnDrag = null;
+
+/**
+ * Initialize reordering columns by their header handle.
+ * Like cards, columns are moved with pointer events, so a touch works too;
+ * the handle takes no touch gestures of its own, so it picks the column up
+ * straight away.
+ */
+function initColumnDragAndDrop() {
+  document.querySelectorAll('.column-drag-handle').forEach(handle => {
+    handle.addEventListener('pointerdown', handleColumnPointerDown);
   });
+}
+
+/**
+ * Pick up the column whose handle a pointer went down on
+ * @param {PointerEvent} e - The pointerdown event
+ */
+function handleColumnPointerDown(e) {
+  if (columnDrag || cardDrag.pending || cardDrag.active) return;
+  if (e.pointerType === 'mouse' && e.button !== 0) return;
+  e.preventDefault();
+  
+  const columnElement = e.currentTarget.closest('.kanban-column');
+  columnElement.classList.add('column-dragging');
+  document.body.classList.add('card-dragging');
+  
+  columnDrag = {
+    columnElement,
+    pointerId: e.pointerId,
+    x: e.clientX,
+    y: e.clientY,
+    scrollFrame: null
+  };
+  autoScrollWhileDragging(columnDrag, updateColumnDrag);
+}
+
+/**
+ * Move the dragged column before or after the column under the pointer
+ */
+function updateColumnDrag() {
+  const { columnElement, x, y } = columnDrag;
+  const target = document.elementFromPoint(x, y);
+  const overColumn = target && target.closest('.kanban-column');
+  if (!overColumn || overColumn === columnElement) return;
+  
+  // Columns stack on narrow screens, so compare along the way they are laid out
+  const box = overColumn.getBoundingClientRect();
+  const stacked = getComputedStyle(overColumn.parentNode).flexDirection === 'column';
+  const before = stacked ? y < box.top + box.height / 2 : x < box.left + box.width / 2;
+  overColumn.parentNode.insertBefore(columnElement, before ? overColumn : overColumn.nextSibling);
+}
+
+/**
+ * Drop or cancel the dragged column
+ * @param {boolean} drop - True to move the column to where it was dragged, false to cancel
+ */
+function finishColumnDrag(drop) {
+  const { columnElement, scrollFrame } = columnDrag;
+  columnDrag = null;
+  
+  cancelAnimationFrame(scrollFrame);
+  columnElement.classList.remove('column-dragging');
+  document.body.classList.remove('card-dragging');
+  
+  if (!drop || !columnElement.isConnected) {
+    // Put the columns back in the order of the store
+    handleStoreUpdate();
+    return;
+  }
   
-  // Re-render the board
-  renderKanbanBoard(document.getElementById('board-container'), boardData);
-  
-  // Save the updated board
-  saveBoard(boardData);
+  // The column has already been moved in the DOM by updateColumnDrag
+  const position = [...document.querySelectorAll('.kanban-column')].indexOf(columnElement);
+  window.boardStore.moveColumn(columnElement.dataset.columnId, position);
 }
 
+document.addEventListener('pointermove', (e) => {
+  if (columnDrag && e.pointerId === columnDrag.pointerId) {
+    e.preventDefault();
+    columnDrag.x = e.clientX;
+    columnDrag.y = e.clientY;
+    updateColumnDrag();
+  }
+});
+
+document.addEventListener('pointerup', (e) => {
+  if (columnDrag && e.pointerId === columnDrag.pointerId) {
+    finishColumnDrag(true);
+  }
+});
+
+document.addEventListener('pointercancel', (e) => {
+  if (columnDrag && e.pointerId === columnDrag.pointerId) {
+    finishColumnDrag(false);
+  }
+});
+
 /**
  * Handle editing a card's text
  * @param {HTMLElement} textElement - The text element to edit
- * @param {number} columnIndex - Index of the column containing the card
- * @param {number} cardIndex - Index of the card to edit
+ * @param {string} cardId - ID of the card to edit
  */
-function handleEditCard(textElement, columnIndex, cardIndex) {
-  // Get either the original text from dataset (in case of formatted text)
-  // or the actual textContent
-  const currentText = textElement.dataset.originalText || textElement.textContent;
+function handleEditCard(textElement, cardId) {
+  // Edit the raw markdown text from the store rather than the formatted text
+  const found = window.boardStore.findCard(cardId);
+  const currentText = found ? found.card.text : textElement.textContent;
   
   // Hide the text element
   textElement.style.display = 'none';
@@ -600,50 +1414,19 @@ function handleEditCard(textElement, columnIndex, cardIndex) {
   const saveChanges = () => {
     const newText = textarea.value.trim();
     if (newText !== '') {
-      // Store the original text as a data attribute
-      textElement.dataset.originalText = newText;
-      // Display formatted text
-      textElement.innerHTML = formatCardText(newText);
+      // Extract metadata like tags, priorities and due dates from the new text.
+      // Due date, priority, relations and the block ID are only changed when
+      // the new text sets them.
+      const { text, tags, dueDate, priority, blockId, blocks, blockedBy, links } = parseCardText(newText);
+      const changes = { text, tags, links };
+      if (dueDate) changes.dueDate = dueDate;
+      if (priority) changes.priority = priority;
+      if (blockId) changes.blockId = blockId;
+      if (blocks.length > 0) changes.blocks = blocks;
+      if (blockedBy.length > 0) changes.blockedBy = blockedBy;
       
-      // Update the data model
-      const boardData = getBoardDataFromDOM();
-      // Make sure we're accessing valid data
-      if (boardData[columnIndex] && boardData[columnIndex].cards && boardData[columnIndex].cards[cardIndex]) {
-        boardData[columnIndex].cards[cardIndex].text = newText;
-        
-        // Attempt to extract metadata like tags, priorities, due dates
-        const card = boardData[columnIndex].cards[cardIndex];
-        
-        // Extract tags
-        const tagRegex = /#([\w-]+)/g;
-        const tags = [];
-        let tagMatch;
-        while ((tagMatch = tagRegex.exec(newText)) !== null) {
-          tags.push(tagMatch[1]);
-        }
-        if (tags.length > 0) {
-          card.tags = tags;
-        }
-        
-        // Extract due date
-        const dueDateRegex = /@due\((\d{4}-\d{2}-\d{2})\)/;
-        const dueDateMatch = newText.match(dueDateRegex);
-        if (dueDateMatch) {
-          card.dueDate = dueDateMatch[1];
-        }
-        
-        // Extract priority
-        const priorityRegex = /!(high|medium|low)/i;
-        const priorityMatch = newText.match(priorityRegex);
-        if (priorityMatch) {
-          card.priority = priorityMatch[1].toLowerCase();
-        }
-        
-        saveBoard(boardData);
-        
-        // Re-render the board to reflect all changes
-        renderKanbanBoard(document.getElementById('board-container'), boardData);
-      }
+      // The store re-renders the board to reflect all changes
+      window.boardStore.updateCard(cardId, changes);
     }
     cleanup();
   };
@@ -701,6 +1484,7 @@ function showMarkdownHelp() {
   formatList.innerHTML = 
     '<li><code>**bold**</code> or <code>__bold__</code> &rarr; <strong>bold</strong></li>' +
     '<li><code>*italic*</code> or <code>_italic_</code> &rarr; <em>italic</em></li>' +
+    '<li><code>~~strike~~</code> &rarr; <del>strike</del></li>' +
     '<li><code>`code`</code> &rarr; <code>code</code></li>';
   contentDiv.appendChild(formatList);
   
@@ -712,7 +1496,10 @@ function showMarkdownHelp() {
   const linksList = document.createElement('ul');
   linksList.innerHTML = 
     '<li><code>[Link text](https://example.com)</code> &rarr; <a href="#">Link text</a></li>' +
-    '<li>URLs are automatically linked: <code>https://example.com</code></li>';
+    '<li>URLs are automatically linked: <code>https://example.com</code></li>' +
+    '<li><code>![Alt text](https://example.com/image.png)</code> &rarr; an image</li>' +
+    '<li><code>[[Note Name]]</code> &rarr; opens the note from the GitHub repository</li>' +
+    '<li><code>[[#^id]]</code> &rarr; links to the card ending in <code>^id</code></li>';
   contentDiv.appendChild(linksList);
   
   // Card Metadata section
@@ -724,7 +1511,8 @@ function showMarkdownHelp() {
   metadataList.innerHTML = 
     '<li><code>#tag</code> &rarr; Adds a tag to the card</li>' +
     '<li><code>!high</code>, <code>!medium</code>, <code>!low</code> &rarr; Sets card priority</li>' +
-    '<li><code>@due(YYYY-MM-DD)</code> &rarr; Sets a due date</li>';
+    '<li><code>@due(YYYY-MM-DD)</code> &rarr; Sets a due date</li>' +
+    '<li><code>@blocks(^id)</code>, <code>@blockedBy(^id)</code> &rarr; Relates the card to another card</li>';
   contentDiv.appendChild(metadataList);
   
   // Subtasks section
@@ -740,6 +1528,15 @@ function showMarkdownHelp() {
   subtasksExample.textContent = 'Main card text\n  - [ ] Subtask 1\n  - [x] Completed subtask';
   contentDiv.appendChild(subtasksExample);
   
+  // Notes section
+  const notesTitle = document.createElement('p');
+  notesTitle.innerHTML = '<strong>Notes:</strong>';
+  contentDiv.appendChild(notesTitle);
+  
+  const notesDesc = document.createElement('p');
+  notesDesc.textContent = 'Other indented lines are shown as notes and may use headings, lists, quotes, tables and fenced code blocks. HTML is allowed, but scripts, event handlers and unsafe links are removed.';
+  contentDiv.appendChild(notesDesc);
+  
   helpContainer.appendChild(contentDiv);
   
   // Get the HTML content as a string
@@ -772,106 +1569,198 @@ function showMarkdownHelp() {
 }
 
 /**
- * Extract board data from the current DOM structure
- * @returns {Array} Array of column objects with their cards
+ * Show a dialog asking which version to keep for cards changed both locally and on GitHub
+ * @param {Array} conflicts - Conflicts as returned by mergeBoards
+ * @returns {Promise<Object|null>} Map of conflict id to 'mine' or 'theirs', or null if cancelled
  */
-function getBoardDataFromDOM() {
-  const columns = [];
+function showMergeConflictDialog(conflicts) {
+  return new Promise(resolve => {
+    const overlay = document.createElement('div');
+    overlay.className = 'dialog-overlay';
+
+    const dialog = document.createElement('div');
+    dialog.className = 'dialog';
+
+    const title = document.createElement('h3');
+    title.textContent = 'Resolve merge conflicts';
+    dialog.appendChild(title);
+
+    const intro = document.createElement('p');
+    intro.textContent = 'These cards were changed both here and on GitHub. Choose which version to keep.';
+    dialog.appendChild(intro);
+
+    // Describe one side of a conflict for display
+    const describeEntry = (entry) => {
+      if (!entry) return 'Deleted';
+      const checkbox = entry.card.completed ? '[x]' : '[ ]';
+      return `${entry.column}: ${checkbox} ${entry.card.text}`;
+    };
+
+    conflicts.forEach(conflict => {
+      const conflictElement = document.createElement('div');
+      conflictElement.className = 'merge-conflict';
+
+      const baseText = document.createElement('div');
+      baseText.className = 'merge-conflict-base';
+      baseText.textContent = conflict.base.card.text;
+      conflictElement.appendChild(baseText);
+
+      [['mine', 'Keep my version', conflict.mine], ['theirs', 'Keep GitHub version', conflict.theirs]]
+        .forEach(([value, label, entry]) => {
+          const option = document.createElement('label');
+          option.className = 'merge-conflict-option';
+
+          const radio = document.createElement('input');
+          radio.type = 'radio';
+          radio.name = conflict.id;
+          radio.value = value;
+          radio.checked = value === 'mine';
+
+          const labelText = document.createElement('strong');
+          labelText.textContent = label;
+
+          const description = document.createElement('span');
+          description.textContent = describeEntry(entry);
+
+          option.appendChild(radio);
+          option.appendChild(labelText);
+          option.appendChild(description);
+          conflictElement.appendChild(option);
+        });
+
+      dialog.appendChild(conflictElement);
+    });
+
+    const buttonsContainer = document.createElement('div');
+    buttonsContainer.className = 'edit-buttons-container';
+
+    const applyButton = document.createElement('button');
+    applyButton.className = 'save-edit-btn';
+    applyButton.textContent = 'Apply';
+    applyButton.addEventListener('click', () => {
+      const resolutions = {};
+      conflicts.forEach(conflict => {
+        const selected = dialog.querySelector(`input[name="${conflict.id}"]:checked`);
+        resolutions[conflict.id] = selected ? selected.value : 'mine';
+      });
+      overlay.remove();
+      resolve(resolutions);
+    });
+
+    const cancelButton = document.createElement('button');
+    cancelButton.className = 'cancel-edit-btn';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', () => {
+      overlay.remove();
+      resolve(null);
+    });
+
+    buttonsContainer.appendChild(applyButton);
+    buttonsContainer.appendChild(cancelButton);
+    dialog.appendChild(buttonsContainer);
+
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+  });
+}
+
+/**
+ * Show the archived cards with options to restore or delete them
+ */
+function showArchiveView() {
+  const overlay = document.createElement('div');
+  overlay.className = 'dialog-overlay';
   
-  // Get all column elements
-  const columnElements = document.querySelectorAll('.kanban-column');
+  const dialog = document.createElement('div');
+  dialog.className = 'dialog archive-view';
   
-  // Process each column
-  columnElements.forEach(columnElement => {
-    const columnTitle = columnElement.querySelector('.column-header').textContent;
-    const cards = [];
+  const title = document.createElement('h3');
+  title.textContent = 'Archive';
+  dialog.appendChild(title);
+  
+  const list = document.createElement('div');
+  list.className = 'archive-list';
+  dialog.appendChild(list);
+  
+  // Redraw the list from the store after every restore or delete
+  const renderList = () => {
+    list.innerHTML = '';
+    const board = window.boardStore.getBoard();
+    const cards = board.archive ? board.archive.cards : [];
     
-    // Get all card elements in this column
-    const cardElements = columnElement.querySelectorAll('.kanban-card');
+    if (cards.length === 0) {
+      const empty = document.createElement('p');
+      empty.textContent = 'No archived cards.';
+      list.appendChild(empty);
+      return;
+    }
     
-    // Process each card
-    cardElements.forEach(cardElement => {
-      const cardTextElement = cardElement.querySelector('.card-text');
-      // Get inner text, or for formatted cards, get the original card text from dataset
-      const cardText = cardTextElement.dataset.originalText || cardTextElement.textContent;
-      const isCompleted = cardElement.querySelector('.task-checkbox').checked;
+    // Newest archived cards first
+    [...cards].reverse().forEach(card => {
+      const item = document.createElement('div');
+      item.className = 'archive-item';
       
-      // Extract subtasks if any
-      const subtasks = [];
-      const subtaskElements = cardElement.querySelectorAll('.subtask');
-      subtaskElements.forEach(subtaskElement => {
-        const subtaskText = subtaskElement.querySelector('.subtask-text').textContent;
-        const isSubtaskCompleted = subtaskElement.querySelector('.subtask-checkbox').checked;
-        
-        // Extract indentation from style
-        let indentation = 1; // Default
-        const marginLeft = subtaskElement.style.marginLeft;
-        if (marginLeft) {
-          // Convert "10px" to 1, "20px" to 2, etc.
-          indentation = parseInt(marginLeft) / 10;
-        }
-        
-        subtasks.push({
-          text: subtaskText,
-          completed: isSubtaskCompleted,
-          indentation: indentation
-        });
-      });
+      const text = document.createElement('span');
+      text.className = 'archive-item-text';
+      text.innerHTML = formatCardText(card.text);
       
-      // Extract card metadata
-      let priority = null;
-      let dueDate = null;
-      let tags = [];
-      
-      // Check for priority element
-      const priorityElement = cardElement.querySelector('.priority');
-      if (priorityElement) {
-        priority = priorityElement.textContent.toLowerCase();
-      }
+      const columnSelect = document.createElement('select');
+      board.columns.forEach(column => {
+        const option = document.createElement('option');
+        option.value = column.id;
+        option.textContent = column.title;
+        columnSelect.appendChild(option);
+      });
       
-      // Check for due date element
-      const dueDateElement = cardElement.querySelector('.due-date');
-      if (dueDateElement) {
-        const dueDateMatch = dueDateElement.textContent.match(/Due: (\d{4}-\d{2}-\d{2})/);
-        if (dueDateMatch) {
-          dueDate = dueDateMatch[1];
+      const restoreButton = document.createElement('button');
+      restoreButton.textContent = 'Restore';
+      restoreButton.addEventListener('click', () => {
+        if (!window.boardStore.restoreCard(card.id, columnSelect.value)) {
+          alert('The card would take the column over its WIP limit.');
         }
-      }
-      
-      // Check for tag elements
-      const tagElements = cardElement.querySelectorAll('.tag');
-      tagElements.forEach(tagElement => {
-        // Remove the # from the tag text
-        const tagText = tagElement.textContent.substring(1);
-        tags.push(tagText);
+        renderList();
       });
       
-      // Get extended content if any
-      let content = '';
-      const contentElement = cardElement.querySelector('.card-extended-content');
-      if (contentElement) {
-        content = contentElement.innerText;
-      }
-      
-      cards.push({
-        text: cardText,
-        completed: isCompleted,
-        subtasks: subtasks.length > 0 ? subtasks : undefined,
-        content: content || undefined,
-        priority: priority,
-        dueDate: dueDate,
-        tags: tags.length > 0 ? tags : undefined
+      const deleteButton = document.createElement('button');
+      deleteButton.className = 'archive-item-delete';
+      deleteButton.innerHTML = '&times;';
+      deleteButton.title = 'Delete card';
+      deleteButton.addEventListener('click', () => {
+        window.boardStore.deleteCard(card.id);
+        renderList();
       });
+      
+      item.appendChild(text);
+      item.appendChild(columnSelect);
+      item.appendChild(restoreButton);
+      item.appendChild(deleteButton);
+      list.appendChild(item);
     });
-    
-    columns.push({
-      title: columnTitle,
-      cards: cards
-    });
+  };
+  
+  const buttonsContainer = document.createElement('div');
+  buttonsContainer.className = 'edit-buttons-container';
+  
+  const closeButton = document.createElement('button');
+  closeButton.className = 'cancel-edit-btn';
+  closeButton.textContent = 'Close';
+  closeButton.addEventListener('click', () => {
+    overlay.remove();
+  });
+  
+  buttonsContainer.appendChild(closeButton);
+  dialog.appendChild(buttonsContainer);
+  
+  // Close when clicking outside
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) {
+      overlay.remove();
+    }
   });
   
-  // Return the columns array we've built
-  return columns;
+  renderList();
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
 }
 
 /**
@@ -885,16 +1774,16 @@ function addControlButtons(container) {
   const controlsDiv = document.createElement('div');
   controlsDiv.className = 'board-controls';
   controlsDiv.id = 'board-controls'; // Add an ID for easier selection
+  // A board restored from local storage is rendered behind the file selection
+  controlsDiv.classList.toggle('hidden', container.classList.contains('hidden'));
   
   // Back button
   const backButton = document.createElement('button');
   backButton.textContent = 'Back to File Selection';
   backButton.className = 'back-button';
   backButton.addEventListener('click', () => {
-    document.getElementById('file-section').style.display = 'block';
-    container.classList.add('hidden');
-    // Also remove the controls when going back
-    controlsDiv.remove();
+    window.app.showFileSelection();
+    clearCardSelection();
   });
   
   // Save button
@@ -905,8 +1794,43 @@ function addControlButtons(container) {
     downloadKanbanFile();
   });
   
+  // Archive button, showing how many cards are archived
+  const archive = window.boardStore.getBoard().archive;
+  const archiveButton = document.createElement('button');
+  archiveButton.textContent = `Archive (${archive ? archive.cards.length : 0})`;
+  archiveButton.className = 'archive-button';
+  archiveButton.addEventListener('click', () => {
+    showArchiveView();
+  });
+  
+  // History of the board file, for boards loaded from GitHub
+  const historyButton = document.createElement('button');
+  historyButton.textContent = 'History';
+  historyButton.className = 'history-button';
+  historyButton.classList.toggle('hidden', !window.sync.getRepoInfo());
+  historyButton.addEventListener('click', () => {
+    window.boardHistory.showBoardHistory();
+  });
+  
+  // Toggle for refusing drops into lanes at their work-in-progress limit
+  const enforceLabel = document.createElement('label');
+  enforceLabel.className = 'wip-enforce-toggle';
+  const enforceCheckbox = document.createElement('input');
+  enforceCheckbox.type = 'checkbox';
+  enforceCheckbox.checked = window.boardStore.isWipLimitEnforced();
+  enforceCheckbox.addEventListener('change', () => {
+    window.boardStore.updateSettings({ 'wip-limits-enforced': enforceCheckbox.checked || null });
+  });
+  enforceLabel.appendChild(enforceCheckbox);
+  enforceLabel.appendChild(document.createTextNode(' Enforce WIP limits'));
+  
   // Append buttons
   controlsDiv.appendChild(backButton);
+  controlsDiv.appendChild(createBoardSwitcher());
+  controlsDiv.appendChild(window.boardFilter.getFilterBar());
+  controlsDiv.appendChild(enforceLabel);
+  controlsDiv.appendChild(archiveButton);
+  controlsDiv.appendChild(historyButton);
   controlsDiv.appendChild(saveButton);
   
   // Add controls div before the board
@@ -914,23 +1838,52 @@ function addControlButtons(container) {
 }
 
 /**
- * Save the current board state
- * @param {Array} boardData - Array of column objects with their cards
+ * Create the switcher between recently opened boards
+ * @returns {HTMLElement} The switcher select
  */
-function saveBoard(boardData) {
-  // For now, we're just updating the UI
-  // In a real implementation, this would sync with the file
-  console.log('Board saved:', boardData);
+function createBoardSwitcher() {
+  const boardSwitcher = document.createElement('select');
+  boardSwitcher.className = 'board-switcher';
+  boardSwitcher.title = 'Switch board';
+  
+  const currentKey = window.sync.getCurrentBoardKey();
+  window.sync.getRecentBoards().forEach(entry => {
+    const option = document.createElement('option');
+    option.value = entry.key;
+    option.textContent = entry.name;
+    option.selected = entry.key === currentKey;
+    boardSwitcher.appendChild(option);
+  });
   
-  // TODO: Implement actual file synchronization
+  const otherOption = document.createElement('option');
+  otherOption.value = '';
+  otherOption.textContent = 'Open another board...';
+  otherOption.selected = !currentKey;
+  boardSwitcher.appendChild(otherOption);
+  
+  boardSwitcher.addEventListener('change', () => {
+    if (boardSwitcher.value) {
+      window.app.openRecentBoard(boardSwitcher.value);
+    } else {
+      window.app.showFileSelection();
+    }
+  });
+  
+  return boardSwitcher;
 }
 
+// The board is rendered before it is registered as the open board, so
+// refresh the switcher and the history button once it is
+window.addEventListener('board:open', () => {
+  document.querySelectorAll('.board-switcher').forEach(el => el.replaceWith(createBoardSwitcher()));
+  document.querySelectorAll('.history-button').forEach(el => el.classList.toggle('hidden', !window.sync.getRepoInfo()));
+});
+
 /**
  * Download the current kanban board as a markdown file
  */
 function downloadKanbanFile() {
-  const boardData = getBoardDataFromDOM();
-  const markdown = generateMarkdown(boardData);
+  const markdown = generateMarkdown(window.boardStore.getBoard());
   
   // Create download link
   const blob = new Blob([markdown], { type: 'text/markdown' });
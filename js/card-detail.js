@@ -0,0 +1,542 @@
+/**
+ * card-detail.js - Card detail dialog
+ * Edits every part of a card (title, completion, due date, priority, tags,
+ * relations to other cards, extended content and subtasks) on a draft copy
+ * and writes the result back to the store as a single change when saved.
+ */
+
+/**
+ * Open the detail dialog for a card
+ * @param {string} cardId - ID of the card to edit
+ */
+function openCardDetail(cardId) {
+  const found = window.boardStore.findCard(cardId);
+  if (!found) return;
+
+  // Only one detail dialog at a time
+  document.querySelectorAll('.card-detail-overlay').forEach(el => el.remove());
+
+  const card = found.card;
+  const draft = {
+    tags: [...(card.tags || [])],
+    blocks: [...(card.blocks || [])],
+    blockedBy: [...(card.blockedBy || [])],
+    // Block IDs given to related cards that did not have one yet, by card ID
+    newBlockIds: {},
+    subtasks: (card.subtasks || []).map(subtask => ({ ...subtask }))
+  };
+
+  const overlay = document.createElement('div');
+  overlay.className = 'dialog-overlay card-detail-overlay';
+
+  const dialog = document.createElement('div');
+  dialog.className = 'dialog card-detail';
+
+  const heading = document.createElement('h3');
+  heading.textContent = `Card in ${found.column.title}`;
+  dialog.appendChild(heading);
+
+  // Title and completion
+  const titleRow = document.createElement('div');
+  titleRow.className = 'card-detail-title-row';
+
+  const completedCheckbox = document.createElement('input');
+  completedCheckbox.type = 'checkbox';
+  completedCheckbox.className = 'task-checkbox';
+  completedCheckbox.checked = !!card.completed;
+  completedCheckbox.title = 'Completed';
+
+  const titleInput = document.createElement('input');
+  titleInput.type = 'text';
+  titleInput.className = 'card-detail-title';
+  titleInput.value = card.text;
+
+  titleRow.appendChild(completedCheckbox);
+  titleRow.appendChild(titleInput);
+  dialog.appendChild(titleRow);
+
+  // Due date and priority
+  const metaRow = document.createElement('div');
+  metaRow.className = 'card-detail-row';
+
+  const dueInput = document.createElement('input');
+  dueInput.type = 'date';
+  dueInput.className = 'card-detail-due';
+  dueInput.value = card.dueDate || '';
+
+  const clearDueButton = document.createElement('button');
+  clearDueButton.type = 'button';
+  clearDueButton.className = 'card-detail-clear-btn';
+  clearDueButton.innerHTML = '&times;';
+  clearDueButton.title = 'Clear due date';
+  clearDueButton.addEventListener('click', () => {
+    dueInput.value = '';
+  });
+
+  const prioritySelect = document.createElement('select');
+  prioritySelect.className = 'card-detail-priority';
+  [['', 'No priority'], ['high', 'High'], ['medium', 'Medium'], ['low', 'Low']].forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    prioritySelect.appendChild(option);
+  });
+  prioritySelect.value = card.priority || '';
+
+  metaRow.appendChild(createDetailField('Due', dueInput, clearDueButton));
+  metaRow.appendChild(createDetailField('Priority', prioritySelect));
+  dialog.appendChild(metaRow);
+
+  // Tags
+  const tagsField = document.createElement('div');
+  tagsField.className = 'card-detail-tags';
+
+  const tagInput = document.createElement('input');
+  tagInput.type = 'text';
+  tagInput.className = 'card-detail-tag-input';
+  tagInput.placeholder = 'Add tag';
+  tagInput.setAttribute('list', 'card-detail-tag-options');
+
+  // Offer the tags already used on the board
+  const tagOptions = document.createElement('datalist');
+  tagOptions.id = 'card-detail-tag-options';
+  collectBoardTags().forEach(tag => {
+    const option = document.createElement('option');
+    option.value = tag;
+    tagOptions.appendChild(option);
+  });
+
+  const renderTags = () => {
+    tagsField.querySelectorAll('.tag-chip').forEach(el => el.remove());
+    draft.tags.forEach(tag => {
+      const chip = document.createElement('span');
+      chip.className = 'tag tag-chip';
+      chip.textContent = `#${tag}`;
+
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.innerHTML = '&times;';
+      removeButton.title = `Remove #${tag}`;
+      removeButton.addEventListener('click', () => {
+        draft.tags = draft.tags.filter(item => item !== tag);
+        // Tags written in the title would come back on the next parse
+        titleInput.value = removeTagFromText(titleInput.value, tag);
+        renderTags();
+      });
+
+      chip.appendChild(removeButton);
+      tagsField.insertBefore(chip, tagInput);
+    });
+  };
+
+  const addTag = () => {
+    const tag = tagInput.value.trim().replace(/^#/, '');
+    if (/^[\w-]+$/.test(tag) && !draft.tags.includes(tag)) {
+      draft.tags.push(tag);
+      renderTags();
+    }
+    tagInput.value = '';
+  };
+
+  tagInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTag();
+    } else if (e.key === 'Backspace' && tagInput.value === '' && draft.tags.length > 0) {
+      titleInput.value = removeTagFromText(titleInput.value, draft.tags.pop());
+      renderTags();
+    }
+  });
+  // Picking a suggestion from the list fires a change without a key press
+  tagInput.addEventListener('change', addTag);
+
+  tagsField.appendChild(tagInput);
+  tagsField.appendChild(tagOptions);
+  renderTags();
+  dialog.appendChild(createDetailField('Tags', tagsField));
+
+  // Relations to other cards
+  const relationsList = document.createElement('div');
+  relationsList.className = 'card-detail-relations';
+
+  const relatedCardText = (blockId) => {
+    const found = window.boardStore.findCardByBlockId(blockId);
+    if (found) return window.markdown.toPlainText(found.card.text);
+    const cardIdWithNewId = Object.keys(draft.newBlockIds).find(id => draft.newBlockIds[id] === blockId);
+    return cardIdWithNewId
+      ? window.markdown.toPlainText(window.boardStore.findCard(cardIdWithNewId).card.text)
+      : `^${blockId}`;
+  };
+
+  const renderRelations = () => {
+    relationsList.innerHTML = '';
+    [['blockedBy', 'Blocked by'], ['blocks', 'Blocks']].forEach(([key, label]) => {
+      draft[key].forEach(blockId => {
+        const chip = document.createElement('span');
+        chip.className = 'relation-chip';
+        chip.textContent = `${label}: ${relatedCardText(blockId)}`;
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.innerHTML = '&times;';
+        removeButton.title = 'Remove relation';
+        removeButton.addEventListener('click', () => {
+          draft[key] = draft[key].filter(item => item !== blockId);
+          renderRelations();
+        });
+
+        chip.appendChild(removeButton);
+        relationsList.appendChild(chip);
+      });
+    });
+  };
+
+  const relationTypeSelect = document.createElement('select');
+  relationTypeSelect.className = 'card-detail-relation-type';
+  [['blockedBy', 'Blocked by'], ['blocks', 'Blocks']].forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    relationTypeSelect.appendChild(option);
+  });
+
+  const relatedCardSelect = document.createElement('select');
+  relatedCardSelect.className = 'card-detail-related-card';
+  const placeholderOption = document.createElement('option');
+  placeholderOption.value = '';
+  placeholderOption.textContent = 'Choose a card';
+  relatedCardSelect.appendChild(placeholderOption);
+  window.boardStore.getBoard().columns.forEach(column => {
+    const group = document.createElement('optgroup');
+    group.label = column.title;
+    column.cards.filter(other => other.id !== cardId).forEach(other => {
+      const option = document.createElement('option');
+      option.value = other.id;
+      option.textContent = window.markdown.toPlainText(other.text);
+      group.appendChild(option);
+    });
+    relatedCardSelect.appendChild(group);
+  });
+
+  const addRelationButton = document.createElement('button');
+  addRelationButton.type = 'button';
+  addRelationButton.textContent = 'Add';
+  addRelationButton.addEventListener('click', () => {
+    const related = window.boardStore.findCard(relatedCardSelect.value);
+    if (!related) return;
+
+    // Cards are referred to by block ID, so give the related card one if needed
+    let blockId = related.card.blockId || draft.newBlockIds[related.card.id];
+    if (!blockId) {
+      blockId = window.boardStore.createBlockId();
+      draft.newBlockIds[related.card.id] = blockId;
+    }
+
+    const key = relationTypeSelect.value;
+    if (!draft[key].includes(blockId)) {
+      draft[key].push(blockId);
+    }
+    relatedCardSelect.value = '';
+    renderRelations();
+  });
+
+  const addRelationRow = document.createElement('div');
+  addRelationRow.className = 'card-detail-controls';
+  addRelationRow.appendChild(relationTypeSelect);
+  addRelationRow.appendChild(relatedCardSelect);
+  addRelationRow.appendChild(addRelationButton);
+
+  const relationsField = document.createElement('div');
+  relationsField.appendChild(relationsList);
+  relationsField.appendChild(addRelationRow);
+  renderRelations();
+  dialog.appendChild(createDetailField('Relations', relationsField));
+
+  // Extended content
+  const contentInput = document.createElement('textarea');
+  contentInput.className = 'card-detail-content';
+  contentInput.rows = 6;
+  contentInput.placeholder = 'Notes (Markdown)';
+  contentInput.value = card.content || '';
+
+  const helpButton = document.createElement('button');
+  helpButton.type = 'button';
+  helpButton.className = 'help-markdown-btn';
+  helpButton.textContent = '?';
+  helpButton.title = 'Markdown Help';
+  helpButton.addEventListener('click', () => {
+    showMarkdownHelp();
+  });
+
+  dialog.appendChild(createDetailField('Notes', contentInput, helpButton));
+
+  // Subtasks
+  const subtasksList = document.createElement('div');
+  subtasksList.className = 'card-detail-subtasks';
+
+  const renderSubtasks = () => {
+    subtasksList.innerHTML = '';
+    draft.subtasks.forEach((subtask, index) => {
+      subtasksList.appendChild(createSubtaskRow(draft.subtasks, index, renderSubtasks));
+    });
+  };
+  renderSubtasks();
+
+  const newSubtaskInput = document.createElement('input');
+  newSubtaskInput.type = 'text';
+  newSubtaskInput.className = 'card-detail-new-subtask';
+  newSubtaskInput.placeholder = 'Add subtask';
+  newSubtaskInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && newSubtaskInput.value.trim() !== '') {
+      e.preventDefault();
+      draft.subtasks.push({ text: newSubtaskInput.value.trim(), completed: false, indentation: 1 });
+      newSubtaskInput.value = '';
+      renderSubtasks();
+    }
+  });
+
+  const subtasksField = document.createElement('div');
+  subtasksField.appendChild(subtasksList);
+  subtasksField.appendChild(newSubtaskInput);
+  dialog.appendChild(createDetailField('Subtasks', subtasksField));
+
+  // Save and cancel
+  const buttonsContainer = document.createElement('div');
+  buttonsContainer.className = 'edit-buttons-container';
+
+  const saveButton = document.createElement('button');
+  saveButton.className = 'save-edit-btn';
+  saveButton.textContent = 'Save';
+
+  const cancelButton = document.createElement('button');
+  cancelButton.className = 'cancel-edit-btn';
+  cancelButton.textContent = 'Cancel';
+
+  buttonsContainer.appendChild(saveButton);
+  buttonsContainer.appendChild(cancelButton);
+  dialog.appendChild(buttonsContainer);
+
+  const close = () => overlay.remove();
+
+  const save = () => {
+    // Pick up a tag typed but not yet confirmed
+    if (tagInput.value.trim() !== '') {
+      addTag();
+    }
+
+    const changes = buildCardChanges(card, {
+      title: titleInput.value,
+      completed: completedCheckbox.checked,
+      dueDate: dueInput.value || null,
+      priority: prioritySelect.value || null,
+      tags: draft.tags,
+      blocks: draft.blocks,
+      blockedBy: draft.blockedBy,
+      content: contentInput.value,
+      subtasks: draft.subtasks
+    });
+
+    if (changes === null) {
+      titleInput.focus();
+      return;
+    }
+
+    close();
+
+    // Related cards that were given a block ID are saved in the same change
+    const relatedIds = Object.keys(draft.newBlockIds).filter(id =>
+      [...(changes.blocks || []), ...(changes.blockedBy || [])].includes(draft.newBlockIds[id]));
+    if (relatedIds.length > 0) {
+      window.boardStore.updateCards([cardId, ...relatedIds], item =>
+        item.id === cardId ? changes : { blockId: draft.newBlockIds[item.id] });
+    } else if (Object.keys(changes).length > 0) {
+      window.boardStore.updateCard(cardId, changes);
+    }
+  };
+
+  saveButton.addEventListener('click', save);
+  cancelButton.addEventListener('click', close);
+
+  overlay.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      close();
+    } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      save();
+    }
+  });
+
+  // Close when clicking outside
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) {
+      close();
+    }
+  });
+
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+  titleInput.focus();
+}
+
+/**
+ * Wrap a control in a labelled field of the detail dialog
+ * @param {string} label - Field label
+ * @param {...HTMLElement} controls - Controls shown in the field
+ * @returns {HTMLElement} The field element
+ */
+function createDetailField(label, ...controls) {
+  const field = document.createElement('div');
+  field.className = 'card-detail-field';
+
+  const labelElement = document.createElement('label');
+  labelElement.textContent = label;
+  field.appendChild(labelElement);
+
+  const controlsElement = document.createElement('div');
+  controlsElement.className = 'card-detail-controls';
+  controls.forEach(control => controlsElement.appendChild(control));
+  field.appendChild(controlsElement);
+
+  return field;
+}
+
+/**
+ * Create an editable row for a subtask in the detail dialog
+ * @param {Array} subtasks - Draft subtasks, changed in place
+ * @param {number} index - Index of the subtask
+ * @param {Function} rerender - Redraws the subtask list after a reorder or delete
+ * @returns {HTMLElement} The row element
+ */
+function createSubtaskRow(subtasks, index, rerender) {
+  const subtask = subtasks[index];
+
+  const row = document.createElement('div');
+  row.className = 'card-detail-subtask';
+  row.style.marginLeft = `${((subtask.indentation || 1) - 1) * 16}px`;
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.className = 'subtask-checkbox';
+  checkbox.checked = !!subtask.completed;
+  checkbox.addEventListener('change', () => {
+    subtask.completed = checkbox.checked;
+  });
+
+  const textInput = document.createElement('input');
+  textInput.type = 'text';
+  textInput.value = subtask.text;
+  textInput.addEventListener('input', () => {
+    subtask.text = textInput.value;
+  });
+
+  // Swap the subtask with its neighbour
+  const moveButton = (label, title, offset) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.innerHTML = label;
+    button.title = title;
+    button.disabled = !subtasks[index + offset];
+    button.addEventListener('click', () => {
+      [subtasks[index], subtasks[index + offset]] = [subtasks[index + offset], subtasks[index]];
+      rerender();
+    });
+    return button;
+  };
+
+  const deleteButton = document.createElement('button');
+  deleteButton.type = 'button';
+  deleteButton.innerHTML = '&times;';
+  deleteButton.title = 'Delete subtask';
+  deleteButton.addEventListener('click', () => {
+    subtasks.splice(index, 1);
+    rerender();
+  });
+
+  row.appendChild(checkbox);
+  row.appendChild(textInput);
+  row.appendChild(moveButton('&uarr;', 'Move up', -1));
+  row.appendChild(moveButton('&darr;', 'Move down', 1));
+  row.appendChild(deleteButton);
+  return row;
+}
+
+/**
+ * Work out which card fields the values entered in the dialog change
+ * @param {Object} card - The card being edited
+ * @param {Object} values - Values from the dialog
+ * @returns {Object|null} Changed fields (empty if nothing changed), or null if
+ *   the title is empty
+ */
+function buildCardChanges(card, values) {
+  const title = values.title.replace(/\s+/g, ' ').trim();
+  if (title === '') return null;
+
+  // Markers typed into the title win over the pickers, as with inline editing
+  const parsed = parseCardText(title);
+  const tags = [...new Set([...parsed.tags, ...values.tags])];
+
+  // Tags live in the card text, so write new ones there as the parser would read them
+  let text = parsed.text;
+  tags.filter(tag => !parsed.tags.includes(tag)).forEach(tag => {
+    text += ` #${tag}`;
+  });
+  const content = values.content.replace(/^\s*\n/, '').replace(/\s+$/, '');
+  const subtasks = values.subtasks
+    .filter(subtask => subtask.text.trim() !== '')
+    .map(subtask => ({ ...subtask, text: subtask.text.trim() }));
+
+  const updated = {
+    text,
+    completed: values.completed,
+    dueDate: parsed.dueDate || values.dueDate,
+    priority: parsed.priority || values.priority,
+    tags,
+    blocks: [...new Set([...parsed.blocks, ...values.blocks])],
+    blockedBy: [...new Set([...parsed.blockedBy, ...values.blockedBy])],
+    blockId: parsed.blockId || card.blockId || null,
+    links: extractLinks(text),
+    content,
+    subtasks
+  };
+
+  const changes = {};
+  Object.keys(updated).forEach(key => {
+    const before = card[key] === undefined ? null : card[key];
+    if (JSON.stringify(before) !== JSON.stringify(updated[key])) {
+      changes[key] = updated[key];
+    }
+  });
+  return changes;
+}
+
+/**
+ * Remove a `#tag` from card text
+ * @param {string} text - Card text
+ * @param {string} tag - Tag without the leading #
+ * @returns {string} The text without the tag
+ */
+function removeTagFromText(text, tag) {
+  const escaped = tag.replace(/[-]/g, '\\-');
+  return text.replace(new RegExp(`\\s*#${escaped}(?![\\w-])`, 'g'), '').trim();
+}
+
+/**
+ * Collect the tags used anywhere on the board
+ * @returns {Array} Sorted unique tags
+ */
+function collectBoardTags() {
+  const board = window.boardStore.getBoard();
+  if (!board) return [];
+
+  const tags = new Set();
+  board.columns.forEach(column => {
+    column.cards.forEach(card => {
+      (card.tags || []).forEach(tag => tags.add(tag));
+    });
+  });
+  return [...tags].sort();
+}
+
+// Export functions for use in other modules
+window.cardDetail = {
+  openCardDetail
+};
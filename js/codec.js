@@ -0,0 +1,41 @@
+/**
+ * codec.js - Base64 encoding of UTF-8 text
+ * The GitHub API transfers file contents as base64 of the file's bytes.
+ * `atob` and `btoa` only handle one byte per character, which turns accented
+ * letters, emoji and CJK text into mojibake, so the bytes go through
+ * TextDecoder and TextEncoder on the way.
+ */
+
+// Bytes converted to characters at a time, to stay below the argument limit
+const BASE64_CHUNK_SIZE = 0x8000;
+
+/**
+ * Decode base64 content from the GitHub API to text
+ * @param {string} base64 - Base64 encoded UTF-8 bytes, possibly wrapped over several lines
+ * @returns {string} The decoded text
+ */
+function decodeBase64(base64) {
+  const binary = atob(base64.replace(/\s/g, ''));
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+  return new TextDecoder('utf-8').decode(bytes);
+}
+
+/**
+ * Encode text as base64 of its UTF-8 bytes, as the GitHub API expects
+ * @param {string} text - Text to encode
+ * @returns {string} Base64 encoded UTF-8 bytes
+ */
+function encodeBase64(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += BASE64_CHUNK_SIZE) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + BASE64_CHUNK_SIZE));
+  }
+  return btoa(binary);
+}
+
+// Export functions for use in other modules
+window.codec = {
+  decodeBase64,
+  encodeBase64
+};
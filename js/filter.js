@@ -0,0 +1,249 @@
+/**
+ * filter.js - Search and filter bar
+ * Matches cards against a query of free text and structured terms:
+ *   #tag            card has the tag
+ *   !high           card has the priority (high, medium or low)
+ *   due:<2026-11-01 due date before, after (>) or on (=, <=, >=) a date;
+ *                   due:none and due:any match cards without or with one
+ *   is:done         completed cards; is:open for the rest
+ *   -term           excludes cards matching the term
+ *   "two words"     matches the phrase
+ * Free text is searched in the card text, content and subtasks. Cards that do
+ * not match are dimmed or hidden, and the query is kept in the URL
+ * (`?filter=...&filterMode=hide`) so a filtered view can be shared.
+ */
+
+// Current filter query and how non-matching cards are shown ('dim' or 'hide')
+const filterState = {
+  query: '',
+  mode: 'dim'
+};
+
+// The filter bar, created once and moved into the board controls on each render
+let filterBarElement = null;
+
+/**
+ * Split a filter query into terms
+ * @param {string} query - Filter query
+ * @returns {Array} Terms of the form { type, value, operator, negate }
+ */
+function parseFilterQuery(query) {
+  const terms = [];
+  const tokenRegex = /(-?)(?:"([^"]*)"|(\S+))/g;
+  let match;
+
+  while ((match = tokenRegex.exec(query || '')) !== null) {
+    const negate = match[1] === '-';
+    const phrase = match[2];
+    const token = match[3];
+
+    if (phrase !== undefined) {
+      if (phrase.trim()) {
+        terms.push({ type: 'text', value: phrase.trim().toLowerCase(), negate });
+      }
+      continue;
+    }
+
+    let term;
+    const due = token.match(/^due:(<=|>=|<|>|=)?(\d{4}-\d{2}-\d{2}|none|any)$/i);
+    if (/^#[\w-]+$/.test(token)) {
+      term = { type: 'tag', value: token.slice(1).toLowerCase() };
+    } else if (/^!(high|medium|low)$/i.test(token)) {
+      term = { type: 'priority', value: token.slice(1).toLowerCase() };
+    } else if (due) {
+      term = { type: 'due', operator: due[1] || '=', value: due[2].toLowerCase() };
+    } else if (/^is:(done|open)$/i.test(token)) {
+      term = { type: 'status', value: token.slice(3).toLowerCase() };
+    } else {
+      term = { type: 'text', value: token.toLowerCase() };
+    }
+
+    terms.push({ ...term, negate });
+  }
+
+  return terms;
+}
+
+/**
+ * Check whether a card matches every term of a filter
+ * @param {Object} card - Card data object
+ * @param {Array} terms - Terms from parseFilterQuery
+ * @returns {boolean} True if the card matches
+ */
+function cardMatchesFilter(card, terms) {
+  return terms.every(term => matchTerm(card, term) !== term.negate);
+}
+
+/**
+ * Check a single filter term against a card, ignoring negation
+ * @param {Object} card - Card data object
+ * @param {Object} term - Filter term
+ * @returns {boolean} True if the card matches the term
+ */
+function matchTerm(card, term) {
+  switch (term.type) {
+    case 'tag':
+      return (card.tags || []).some(tag => tag.toLowerCase() === term.value);
+    case 'priority':
+      return card.priority === term.value;
+    case 'status':
+      return term.value === 'done' ? !!card.completed : !card.completed;
+    case 'due':
+      return matchDueDate(card.dueDate, term);
+    default: {
+      const searchable = [
+        card.text,
+        card.content,
+        ...(card.subtasks || []).map(subtask => subtask.text)
+      ].join('\n').toLowerCase();
+      return searchable.includes(term.value);
+    }
+  }
+}
+
+/**
+ * Compare a card's due date with a `due:` term
+ * @param {string|null} dueDate - Due date as YYYY-MM-DD
+ * @param {Object} term - Due term with operator and value
+ * @returns {boolean} True if the due date satisfies the term
+ */
+function matchDueDate(dueDate, term) {
+  if (term.value === 'none') return !dueDate;
+  if (term.value === 'any') return !!dueDate;
+  if (!dueDate) return false;
+
+  // ISO dates compare correctly as strings
+  switch (term.operator) {
+    case '<': return dueDate < term.value;
+    case '>': return dueDate > term.value;
+    case '<=': return dueDate <= term.value;
+    case '>=': return dueDate >= term.value;
+    default: return dueDate === term.value;
+  }
+}
+
+/**
+ * Mark the rendered cards that do not match the current filter
+ */
+function applyFilter() {
+  const container = document.getElementById('board-container');
+  if (!container) return;
+
+  const terms = parseFilterQuery(filterState.query);
+  const cardElements = container.querySelectorAll('.kanban-card');
+  let matches = 0;
+
+  cardElements.forEach(cardElement => {
+    const found = window.boardStore.findCard(cardElement.dataset.cardId);
+    const matched = !found || cardMatchesFilter(found.card, terms);
+    cardElement.classList.toggle('filtered-out', !matched);
+    if (matched) matches++;
+  });
+
+  container.classList.toggle('filter-hide', filterState.mode === 'hide');
+
+  if (filterBarElement) {
+    const countElement = filterBarElement.querySelector('.filter-count');
+    countElement.textContent = terms.length > 0 ? `${matches} of ${cardElements.length} cards` : '';
+  }
+}
+
+/**
+ * Change the filter, updating the board and the URL
+ * @param {string} query - Filter query
+ * @param {string} [mode] - 'dim' or 'hide'; keeps the current mode if omitted
+ */
+function setFilter(query, mode) {
+  filterState.query = query;
+  if (mode) {
+    filterState.mode = mode;
+  }
+
+  updateFilterUrl();
+  applyFilter();
+}
+
+/**
+ * Store the filter in the URL without reloading the page or adding history entries
+ */
+function updateFilterUrl() {
+  const url = new URL(window.location.href);
+  if (filterState.query.trim()) {
+    url.searchParams.set('filter', filterState.query);
+  } else {
+    url.searchParams.delete('filter');
+  }
+  if (filterState.mode === 'hide') {
+    url.searchParams.set('filterMode', 'hide');
+  } else {
+    url.searchParams.delete('filterMode');
+  }
+  window.history.replaceState(window.history.state, '', url.toString());
+}
+
+/**
+ * Read a shared filter from the URL
+ */
+function loadFilterFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  filterState.query = params.get('filter') || '';
+  filterState.mode = params.get('filterMode') === 'hide' ? 'hide' : 'dim';
+}
+
+/**
+ * Get the filter bar, creating it on first use
+ * @returns {HTMLElement} The filter bar element
+ */
+function getFilterBar() {
+  if (filterBarElement) return filterBarElement;
+
+  filterBarElement = document.createElement('div');
+  filterBarElement.className = 'filter-bar';
+
+  const input = document.createElement('input');
+  input.type = 'search';
+  input.className = 'filter-input';
+  input.placeholder = 'Filter cards: text #tag !high due:<2026-11-01 is:done';
+  input.value = filterState.query;
+  input.addEventListener('input', () => {
+    setFilter(input.value);
+  });
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      input.value = '';
+      setFilter('');
+    }
+  });
+
+  const modeSelect = document.createElement('select');
+  modeSelect.className = 'filter-mode';
+  [['dim', 'Dim others'], ['hide', 'Hide others']].forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    modeSelect.appendChild(option);
+  });
+  modeSelect.value = filterState.mode;
+  modeSelect.addEventListener('change', () => {
+    setFilter(filterState.query, modeSelect.value);
+  });
+
+  const countElement = document.createElement('span');
+  countElement.className = 'filter-count';
+
+  filterBarElement.appendChild(input);
+  filterBarElement.appendChild(modeSelect);
+  filterBarElement.appendChild(countElement);
+  return filterBarElement;
+}
+
+loadFilterFromUrl();
+
+// Export functions for use in other modules
+window.boardFilter = {
+  getFilterBar,
+  applyFilter,
+  setFilter,
+  parseFilterQuery,
+  cardMatchesFilter
+};
@@ -0,0 +1,398 @@
+/**
+ * history.js - History of a board kept on GitHub
+ * Lists the commits that touched the board file, shows the board as it was
+ * at any of them and what changed between two versions card by card, and
+ * brings back single cards or the whole board from an older version. Restores
+ * are ordinary board changes, so they can be undone and are synced as usual.
+ */
+
+// Commits fetched per page of the history
+const HISTORY_PAGE_SIZE = 30;
+
+// Parsed versions of the board by repository, path and commit SHA; a commit
+// never changes, so versions are fetched once per session
+const revisionCache = new Map();
+
+/**
+ * List the commits that changed a board file, newest first
+ * @param {Object} repoInfo - { repo, path, branch } of the board
+ * @param {number} [page] - Page of the list, starting at 1
+ * @returns {Promise<Array>} Commits as { sha, message, author, date }
+ */
+async function listFileCommits(repoInfo, page = 1) {
+  const response = await fetch(
+    `https://api.github.com/repos/${repoInfo.repo}/commits?path=${encodeURIComponent(repoInfo.path)}&sha=${encodeURIComponent(repoInfo.branch)}&per_page=${HISTORY_PAGE_SIZE}&page=${page}`,
+    { headers: window.auth.getGitHubHeaders() }
+  );
+  if (!response.ok) {
+    throw new Error(window.auth.describeGitHubError(response, `the history of '${repoInfo.path}'`));
+  }
+
+  const commits = await response.json();
+  return commits.map(commit => ({
+    sha: commit.sha,
+    message: commit.commit.message,
+    author: commit.author ? commit.author.login : commit.commit.author.name,
+    date: commit.commit.author.date
+  }));
+}
+
+/**
+ * Get the board as it was at a commit
+ * @param {Object} repoInfo - { repo, path, branch } of the board
+ * @param {string} sha - Commit SHA
+ * @returns {Promise<Object>} The board as returned by parseBoard
+ */
+function fetchRevision(repoInfo, sha) {
+  const key = `${repoInfo.repo}:${repoInfo.path}:${sha}`;
+  if (!revisionCache.has(key)) {
+    const [owner, repo] = repoInfo.repo.split('/');
+    const revision = window.app.fetchGithubFile(owner, repo, sha, repoInfo.path)
+      .then(file => parseBoard(file.content));
+    // A failed fetch is tried again the next time the version is opened
+    revision.catch(() => revisionCache.delete(key));
+    revisionCache.set(key, revision);
+  }
+  return revisionCache.get(key);
+}
+
+/**
+ * Describe a change between two versions of a board
+ * @param {Object} change - Change from diffBoards
+ * @returns {string} Description such as "Moved 'Fix login' Todo → Done"
+ */
+function describeRevisionChange(change) {
+  const label = (card) => `'${window.markdown.toPlainText(card.text).trim() || 'untitled'}'`;
+
+  if (change.type === 'added') {
+    return `Added ${label(change.card)} to ${change.to}`;
+  }
+  if (change.type === 'removed') {
+    return `Removed ${label(change.previous)} from ${change.from}`;
+  }
+
+  let edit;
+  if (change.previous.text !== change.card.text) {
+    edit = `Edited ${label(change.previous)} → ${label(change.card)}`;
+  } else if (cardSignature({ ...change.previous, completed: change.card.completed }) === cardSignature(change.card)) {
+    edit = `${change.card.completed ? 'Completed' : 'Reopened'} ${label(change.card)}`;
+  } else {
+    edit = `Edited ${label(change.card)}`;
+  }
+  if (!change.moved) return edit;
+
+  const move = `Moved ${label(change.card)} ${change.from} → ${change.to}`;
+  return change.edited ? `${move} and ${edit.charAt(0).toLowerCase()}${edit.slice(1)}` : move;
+}
+
+/**
+ * Bring a card back to how it was in an older version of the board, as one
+ * undo step. A card that still exists is edited and put back at its old
+ * position; a deleted card is added again there.
+ * @param {Array} revisionColumns - Columns of the older version, including its archive
+ * @param {Object} card - The card in the older version
+ * @param {string} columnTitle - Title of the card's column in the older version
+ * @returns {boolean} Whether the board changed
+ */
+function restoreCardVersion(revisionColumns, card, columnTitle) {
+  const store = window.boardStore;
+  const board = store.getBoard();
+  const change = diffBoards(revisionColumns, withArchiveColumn(board))
+    .find(item => item.previous === card);
+  if (!change) return false;
+
+  const fields = JSON.parse(JSON.stringify(card));
+  delete fields.id;
+  const column = board.columns.find(item => item.title === columnTitle);
+  const revisionColumn = revisionColumns.find(item => item.title === columnTitle);
+  const index = revisionColumn ? revisionColumn.cards.indexOf(card) : -1;
+
+  if (change.type === 'removed') {
+    const target = column || board.columns[0];
+    store.addCard(target.id, fields, column && index >= 0 ? Math.min(index, target.cards.length) : undefined);
+    return true;
+  }
+
+  // Cards from columns that are gone, like the archive, are only edited
+  const moveBack = change.moved && column && index >= 0;
+  if (!change.edited && !moveBack) return false;
+
+  const found = store.findCard(change.card.id);
+  return store.revertCard(
+    change.card.id,
+    change.edited ? fields : {},
+    moveBack ? column.id : found.column.id,
+    moveBack ? index : found.index
+  );
+}
+
+/**
+ * Show the history of the open board
+ */
+function showBoardHistory() {
+  const repoInfo = window.sync.getRepoInfo();
+  if (!repoInfo || document.querySelector('.board-history')) return;
+
+  let commits = [];
+  let page = 1;
+  let selectedSha = null;
+  let compareSha = '';
+
+  const overlay = document.createElement('div');
+  overlay.className = 'dialog-overlay';
+
+  const dialog = document.createElement('div');
+  dialog.className = 'dialog board-history';
+
+  const title = document.createElement('h3');
+  title.textContent = `History of ${repoInfo.path}`;
+  dialog.appendChild(title);
+
+  const status = document.createElement('p');
+  status.className = 'board-history-status';
+  dialog.appendChild(status);
+
+  const body = document.createElement('div');
+  body.className = 'board-history-body';
+
+  const commitsPane = document.createElement('div');
+  commitsPane.className = 'board-history-commits';
+  const commitList = document.createElement('ul');
+  const moreButton = document.createElement('button');
+  moreButton.className = 'cancel-edit-btn hidden';
+  moreButton.textContent = 'Load older commits';
+  commitsPane.appendChild(commitList);
+  commitsPane.appendChild(moreButton);
+
+  const versionPane = document.createElement('div');
+  versionPane.className = 'board-history-version';
+
+  body.appendChild(commitsPane);
+  body.appendChild(versionPane);
+  dialog.appendChild(body);
+
+  const shortSha = (sha) => sha.slice(0, 7);
+  const subject = (commit) => commit.message.split('\n')[0];
+
+  const renderCommits = () => {
+    commitList.innerHTML = '';
+    commits.forEach(commit => {
+      const item = document.createElement('li');
+      item.classList.toggle('selected', commit.sha === selectedSha);
+
+      const button = document.createElement('button');
+      button.className = 'board-history-commit';
+      button.title = commit.message;
+
+      const message = document.createElement('span');
+      message.className = 'board-history-message';
+      message.textContent = subject(commit);
+
+      const meta = document.createElement('span');
+      meta.className = 'board-history-meta';
+      meta.textContent = `${shortSha(commit.sha)} · ${commit.author} · ${new Date(commit.date).toLocaleString()}`;
+
+      button.appendChild(message);
+      button.appendChild(meta);
+      button.addEventListener('click', () => {
+        selectedSha = commit.sha;
+        compareSha = '';
+        renderCommits();
+        renderVersion();
+      });
+      item.appendChild(button);
+      commitList.appendChild(item);
+    });
+  };
+
+  const loadCommits = async () => {
+    status.textContent = 'Loading history...';
+    moreButton.disabled = true;
+    try {
+      const pageCommits = await listFileCommits(repoInfo, page);
+      commits = commits.concat(pageCommits);
+      page++;
+      moreButton.classList.toggle('hidden', pageCommits.length < HISTORY_PAGE_SIZE);
+      status.textContent = commits.length === 0 ? 'No commits found for this file.' : '';
+      renderCommits();
+    } catch (error) {
+      console.error('Error loading board history:', error);
+      status.textContent = error.message;
+    }
+    moreButton.disabled = false;
+  };
+  moreButton.addEventListener('click', loadCommits);
+
+  const renderVersion = async () => {
+    const sha = selectedSha;
+    const target = compareSha;
+    versionPane.innerHTML = '';
+    status.textContent = 'Loading version...';
+
+    let revision;
+    let compared;
+    try {
+      revision = await fetchRevision(repoInfo, sha);
+      compared = target ? await fetchRevision(repoInfo, target) : window.boardStore.getBoard();
+    } catch (error) {
+      console.error('Error loading board version:', error);
+      status.textContent = error.message;
+      return;
+    }
+    // Another version was chosen while this one loaded
+    if (sha !== selectedSha || target !== compareSha) return;
+    status.textContent = '';
+
+    const revisionColumns = withArchiveColumn(revision);
+    const restoreCard = (card, columnTitle) => {
+      if (restoreCardVersion(revisionColumns, card, columnTitle)) {
+        showToast('Card restored. Undo with Ctrl+Z.');
+      } else {
+        showToast('The card is already like this on the board.');
+      }
+      renderVersion();
+    };
+
+    const heading = document.createElement('h4');
+    heading.textContent = `${shortSha(sha)} ${subject(commits.find(commit => commit.sha === sha))}`;
+    versionPane.appendChild(heading);
+
+    // Compare with the open board or another version
+    const controls = document.createElement('div');
+    controls.className = 'board-history-controls';
+
+    const compareLabel = document.createElement('label');
+    compareLabel.textContent = 'Compare with ';
+    const compareSelect = document.createElement('select');
+    const currentOption = document.createElement('option');
+    currentOption.value = '';
+    currentOption.textContent = 'Current board';
+    compareSelect.appendChild(currentOption);
+    commits.filter(commit => commit.sha !== sha).forEach(commit => {
+      const option = document.createElement('option');
+      option.value = commit.sha;
+      option.textContent = `${shortSha(commit.sha)} ${subject(commit)}`;
+      compareSelect.appendChild(option);
+    });
+    compareSelect.value = target;
+    compareSelect.addEventListener('change', () => {
+      compareSha = compareSelect.value;
+      renderVersion();
+    });
+    compareLabel.appendChild(compareSelect);
+
+    const restoreButton = document.createElement('button');
+    restoreButton.className = 'save-edit-btn';
+    restoreButton.textContent = 'Restore this version';
+    restoreButton.addEventListener('click', () => {
+      if (confirm(`Replace the board with the version of ${shortSha(sha)}? You can undo this.`)) {
+        window.boardStore.restoreVersion(revision, shortSha(sha));
+        renderVersion();
+      }
+    });
+
+    controls.appendChild(compareLabel);
+    controls.appendChild(restoreButton);
+    versionPane.appendChild(controls);
+
+    // Card changes from this version to the compared one
+    const changes = diffBoards(revisionColumns, withArchiveColumn(compared));
+    const diffList = document.createElement('ul');
+    diffList.className = 'board-history-diff';
+    if (changes.length === 0) {
+      const item = document.createElement('li');
+      item.textContent = 'No card changes.';
+      diffList.appendChild(item);
+    }
+    changes.forEach(change => {
+      const item = document.createElement('li');
+      item.className = `board-history-${change.type}`;
+
+      const text = document.createElement('span');
+      text.textContent = describeRevisionChange(change);
+      item.appendChild(text);
+
+      if (change.previous) {
+        const button = document.createElement('button');
+        button.className = 'cancel-edit-btn';
+        button.textContent = 'Restore card';
+        button.title = `Bring back the card as it was in ${shortSha(sha)}`;
+        button.addEventListener('click', () => restoreCard(change.previous, change.from));
+        item.appendChild(button);
+      }
+      diffList.appendChild(item);
+    });
+    versionPane.appendChild(diffList);
+
+    // The whole board at this version, read-only
+    const preview = document.createElement('details');
+    preview.className = 'board-history-preview';
+    const previewSummary = document.createElement('summary');
+    previewSummary.textContent = 'Board at this version';
+    preview.appendChild(previewSummary);
+
+    const columnsContainer = document.createElement('div');
+    columnsContainer.className = 'board-history-columns';
+    revisionColumns.forEach(column => {
+      const columnElement = document.createElement('div');
+      columnElement.className = 'board-history-column';
+
+      const columnTitle = document.createElement('h5');
+      columnTitle.textContent = `${column.title} (${column.cards.length})`;
+      columnElement.appendChild(columnTitle);
+
+      column.cards.forEach(card => {
+        const cardElement = document.createElement('div');
+        cardElement.className = 'board-history-card';
+        cardElement.classList.toggle('completed', card.completed);
+
+        const text = document.createElement('span');
+        text.innerHTML = formatCardText(card.text);
+        cardElement.appendChild(text);
+
+        const button = document.createElement('button');
+        button.className = 'board-history-restore-card';
+        button.textContent = 'Restore';
+        button.title = 'Bring back the card as it was in this version';
+        button.addEventListener('click', () => restoreCard(card, column.title));
+        cardElement.appendChild(button);
+
+        columnElement.appendChild(cardElement);
+      });
+      columnsContainer.appendChild(columnElement);
+    });
+    preview.appendChild(columnsContainer);
+    versionPane.appendChild(preview);
+  };
+
+  const buttonsContainer = document.createElement('div');
+  buttonsContainer.className = 'edit-buttons-container';
+
+  const closeButton = document.createElement('button');
+  closeButton.className = 'cancel-edit-btn';
+  closeButton.textContent = 'Close';
+  closeButton.addEventListener('click', () => overlay.remove());
+
+  buttonsContainer.appendChild(closeButton);
+  dialog.appendChild(buttonsContainer);
+
+  // Close when clicking outside
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) {
+      overlay.remove();
+    }
+  });
+
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+  loadCommits();
+}
+
+// Export functions for use in other modules
+window.boardHistory = {
+  listFileCommits,
+  fetchRevision,
+  describeRevisionChange,
+  restoreCardVersion,
+  showBoardHistory
+};
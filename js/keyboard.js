@@ -0,0 +1,387 @@
+/**
+ * keyboard.js - Keyboard navigation and command palette
+ * Cards can be focused and worked on without a mouse:
+ *   Arrow keys        move focus between cards and columns
+ *   Shift+Arrow keys  move the focused card up, down or to the next column
+ *   Space             toggle completion
+ *   Enter             open the card detail dialog
+ *   E                 edit the card text in place
+ *   Delete            delete the card
+ *   Ctrl+K            open the command palette
+ * Every action calls the same store commands as the mouse handlers.
+ */
+
+// ID of the card with keyboard focus, kept across re-renders
+let focusedCardId = null;
+
+/**
+ * Get the card elements of a column that are currently visible
+ * @param {HTMLElement} columnElement - Column element
+ * @returns {Array} Card elements
+ */
+function getVisibleCards(columnElement) {
+  if (columnElement.classList.contains('collapsed')) return [];
+
+  const hideFiltered = document.getElementById('board-container').classList.contains('filter-hide');
+  return [...columnElement.querySelectorAll('.kanban-card')]
+    .filter(card => !(hideFiltered && card.classList.contains('filtered-out')));
+}
+
+/**
+ * Focus a card element and remember it
+ * @param {HTMLElement} cardElement - Card element
+ */
+function focusCard(cardElement) {
+  if (!cardElement) return;
+  focusedCardId = cardElement.dataset.cardId;
+  cardElement.focus();
+  if (cardElement.scrollIntoView) {
+    cardElement.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+  }
+}
+
+/**
+ * Focus the remembered card again after the board was re-rendered
+ */
+function restoreCardFocus() {
+  if (!focusedCardId) return;
+
+  // Leave focus alone if the user moved on to something else
+  const active = document.activeElement;
+  if (active && active !== document.body) return;
+
+  const cardElement = document.querySelector(`.kanban-card[data-card-id="${focusedCardId}"]`);
+  if (cardElement) {
+    cardElement.focus();
+  }
+}
+
+/**
+ * Move focus from a card to a neighbouring card
+ * @param {HTMLElement} cardElement - Currently focused card
+ * @param {string} direction - 'up', 'down', 'left' or 'right'
+ */
+function moveFocus(cardElement, direction) {
+  const columnElement = cardElement.closest('.kanban-column');
+  const cards = getVisibleCards(columnElement);
+  const index = cards.indexOf(cardElement);
+
+  if (direction === 'up' || direction === 'down') {
+    focusCard(cards[index + (direction === 'up' ? -1 : 1)]);
+    return;
+  }
+
+  // Find the nearest column in that direction that has visible cards
+  const columns = [...document.querySelectorAll('.kanban-column')];
+  const step = direction === 'left' ? -1 : 1;
+  for (let i = columns.indexOf(columnElement) + step; i >= 0 && i < columns.length; i += step) {
+    const targetCards = getVisibleCards(columns[i]);
+    if (targetCards.length > 0) {
+      focusCard(targetCards[Math.min(Math.max(index, 0), targetCards.length - 1)]);
+      return;
+    }
+  }
+}
+
+/**
+ * Move the focused card within its column or to a neighbouring column
+ * @param {string} cardId - Card ID
+ * @param {string} direction - 'up', 'down', 'left' or 'right'
+ */
+function moveCardByKeyboard(cardId, direction) {
+  const found = window.boardStore.findCard(cardId);
+  if (!found) return;
+
+  const columns = window.boardStore.getBoard().columns;
+  focusedCardId = cardId;
+
+  if (direction === 'up' || direction === 'down') {
+    const toIndex = found.index + (direction === 'up' ? -1 : 1);
+    if (toIndex >= 0 && toIndex < found.column.cards.length) {
+      window.boardStore.moveCard(cardId, found.column.id, toIndex);
+    }
+    return;
+  }
+
+  const target = columns[columns.indexOf(found.column) + (direction === 'left' ? -1 : 1)];
+  if (target) {
+    window.boardStore.moveCard(cardId, target.id, Math.min(found.index, target.cards.length));
+  }
+}
+
+/**
+ * Delete a card and move focus to its neighbour
+ * @param {HTMLElement} cardElement - Card element
+ */
+function deleteCardByKeyboard(cardElement) {
+  const cards = getVisibleCards(cardElement.closest('.kanban-column'));
+  const index = cards.indexOf(cardElement);
+  const neighbour = cards[index + 1] || cards[index - 1];
+
+  focusedCardId = neighbour ? neighbour.dataset.cardId : null;
+  window.boardStore.deleteCard(cardElement.dataset.cardId);
+}
+
+/**
+ * Handle keyboard shortcuts for the board
+ * @param {KeyboardEvent} e - The keydown event
+ */
+function handleBoardKeydown(e) {
+  const container = document.getElementById('board-container');
+  if (!container || container.classList.contains('hidden') || !window.boardStore.getBoard()) return;
+
+  if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+    e.preventDefault();
+    openCommandPalette();
+    return;
+  }
+
+  // Dialogs and text fields handle their own keys
+  if (document.querySelector('.dialog-overlay')) return;
+  if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+  if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+  const directions = { ArrowUp: 'up', ArrowDown: 'down', ArrowLeft: 'left', ArrowRight: 'right' };
+  const cardElement = e.target.classList && e.target.classList.contains('kanban-card') ? e.target : null;
+
+  if (!cardElement) {
+    // Arrow keys start keyboard navigation at the first card
+    if (directions[e.key] && (e.target === document.body || e.target === container)) {
+      e.preventDefault();
+      const firstColumn = [...container.querySelectorAll('.kanban-column')]
+        .find(column => getVisibleCards(column).length > 0);
+      if (firstColumn) {
+        focusCard(getVisibleCards(firstColumn)[0]);
+      }
+    }
+    return;
+  }
+
+  const cardId = cardElement.dataset.cardId;
+  const found = window.boardStore.findCard(cardId);
+  if (!found) return;
+
+  if (directions[e.key]) {
+    e.preventDefault();
+    if (e.shiftKey) {
+      moveCardByKeyboard(cardId, directions[e.key]);
+    } else {
+      moveFocus(cardElement, directions[e.key]);
+    }
+  } else if (e.key === ' ') {
+    e.preventDefault();
+    focusedCardId = cardId;
+    window.boardStore.updateCard(cardId, { completed: !found.card.completed });
+  } else if (e.key === 'Enter') {
+    e.preventDefault();
+    window.cardDetail.openCardDetail(cardId);
+  } else if (e.key.toLowerCase() === 'e') {
+    e.preventDefault();
+    handleEditCard(cardElement.querySelector('.card-text'), cardId);
+  } else if (e.key === 'Delete' || e.key === 'Backspace') {
+    e.preventDefault();
+    deleteCardByKeyboard(cardElement);
+  } else if (e.key === 'Escape') {
+    focusedCardId = null;
+    cardElement.blur();
+  }
+}
+
+document.addEventListener('keydown', handleBoardKeydown);
+
+// Remember cards focused with the mouse or Tab, and forget them when focus moves elsewhere
+document.addEventListener('focusin', (e) => {
+  const cardElement = e.target.closest && e.target.closest('.kanban-card');
+  if (cardElement) {
+    focusedCardId = cardElement.dataset.cardId;
+  } else if (!e.target.closest || !e.target.closest('.dialog-overlay')) {
+    focusedCardId = null;
+  }
+});
+
+/**
+ * Build the list of commands offered by the palette
+ * @returns {Array} Commands of the form { label, run }
+ */
+function buildPaletteCommands() {
+  const store = window.boardStore;
+  const columns = store.getBoard().columns;
+  const commands = [];
+  const found = focusedCardId ? store.findCard(focusedCardId) : null;
+
+  if (found) {
+    const cardId = found.card.id;
+    columns.filter(column => column !== found.column).forEach(column => {
+      commands.push({ label: `Move to ${column.title}`, run: () => store.moveCard(cardId, column.id, column.cards.length) });
+    });
+    commands.push({
+      label: found.card.completed ? 'Mark as not done' : 'Mark as done',
+      run: () => store.updateCard(cardId, { completed: !found.card.completed })
+    });
+    commands.push({ label: 'Edit card details', run: () => window.cardDetail.openCardDetail(cardId) });
+    commands.push({ label: 'Archive card', run: () => store.archiveCards([cardId]) });
+    commands.push({ label: 'Copy link to card', run: () => copyCardLink(cardId) });
+    commands.push({ label: 'Delete card', run: () => store.deleteCard(cardId) });
+  }
+
+  columns.forEach(column => {
+    commands.push({
+      label: `Add card to ${column.title}`,
+      run: () => {
+        const cardId = store.addCard(column.id);
+        focusCard(document.querySelector(`.kanban-card[data-card-id="${cardId}"]`));
+      }
+    });
+  });
+  columns.forEach(column => {
+    const doneCardIds = column.cards.filter(card => card.completed).map(card => card.id);
+    if (doneCardIds.length > 0) {
+      commands.push({
+        label: `Archive completed cards in ${column.title}`,
+        run: () => store.archiveCards(doneCardIds)
+      });
+    }
+  });
+  columns.forEach(column => {
+    const collapsed = store.isColumnCollapsed(column.id);
+    commands.push({
+      label: `${collapsed ? 'Expand' : 'Collapse'} ${column.title}`,
+      run: () => store.toggleColumnCollapsed(column.id)
+    });
+  });
+
+  commands.push({ label: 'Add column', run: () => store.addColumn('New Column') });
+  commands.push({ label: 'Open archive', run: () => showArchiveView() });
+  commands.push({ label: 'Push now', run: () => window.sync.manualSync() });
+  if (window.sync.getRepoInfo()) {
+    commands.push({ label: 'Board history', run: () => window.boardHistory.showBoardHistory() });
+  }
+  commands.push({ label: 'Undo', run: () => store.undo() });
+  commands.push({ label: 'Redo', run: () => store.redo() });
+  commands.push({ label: 'Clear filter', run: () => window.boardFilter.setFilter('') });
+  commands.push({ label: 'Download Kanban.md', run: () => downloadKanbanFile() });
+
+  return commands;
+}
+
+/**
+ * Copy a `[[#^id]]` reference to a card, giving the card a block ID if needed
+ * @param {string} cardId - Card ID
+ */
+function copyCardLink(cardId) {
+  const blockId = window.boardStore.assignBlockId(cardId);
+  if (!blockId) return;
+
+  const link = `[[#^${blockId}]]`;
+  navigator.clipboard.writeText(link).catch(error => {
+    console.error('Error copying card link:', error);
+    prompt('Copy the link to this card:', link);
+  });
+}
+
+/**
+ * Open the command palette
+ */
+function openCommandPalette() {
+  if (document.querySelector('.command-palette')) return;
+
+  const commands = buildPaletteCommands();
+  // Focus moves into the palette, so keep the card to return to afterwards
+  const returnCardId = focusedCardId;
+  let matches = commands;
+  let selected = 0;
+
+  const overlay = document.createElement('div');
+  overlay.className = 'dialog-overlay';
+
+  const palette = document.createElement('div');
+  palette.className = 'dialog command-palette';
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'command-palette-input';
+  input.placeholder = 'Type a command';
+
+  const list = document.createElement('ul');
+  list.className = 'command-palette-list';
+
+  const renderList = () => {
+    list.innerHTML = '';
+    matches.forEach((command, index) => {
+      const item = document.createElement('li');
+      item.textContent = command.label;
+      item.classList.toggle('selected', index === selected);
+      item.addEventListener('mousedown', (e) => {
+        // Keep focus in the input until the command has run
+        e.preventDefault();
+        runCommand(command);
+      });
+      list.appendChild(item);
+    });
+
+    const selectedItem = list.children[selected];
+    if (selectedItem && selectedItem.scrollIntoView) {
+      selectedItem.scrollIntoView({ block: 'nearest' });
+    }
+  };
+
+  const close = () => {
+    overlay.remove();
+    focusedCardId = returnCardId;
+    restoreCardFocus();
+  };
+
+  const runCommand = (command) => {
+    close();
+    try {
+      command.run();
+    } catch (error) {
+      console.error('Error running command:', error);
+    }
+  };
+
+  input.addEventListener('input', () => {
+    // Every word typed has to appear in the label
+    const words = input.value.toLowerCase().split(/\s+/).filter(Boolean);
+    matches = commands.filter(command => words.every(word => command.label.toLowerCase().includes(word)));
+    selected = 0;
+    renderList();
+  });
+
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (matches.length > 0) {
+        selected = (selected + (e.key === 'ArrowDown' ? 1 : -1) + matches.length) % matches.length;
+        renderList();
+      }
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (matches[selected]) {
+        runCommand(matches[selected]);
+      }
+    } else if (e.key === 'Escape') {
+      close();
+    }
+  });
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) {
+      close();
+    }
+  });
+
+  palette.appendChild(input);
+  palette.appendChild(list);
+  overlay.appendChild(palette);
+  document.body.appendChild(overlay);
+
+  renderList();
+  input.focus();
+}
+
+// Export functions for use in other modules
+window.boardKeyboard = {
+  restoreCardFocus,
+  openCommandPalette
+};
@@ -0,0 +1,490 @@
+/**
+ * markdown.js - Markdown rendering for card text and content
+ * Card titles and subtasks are rendered as inline markdown; the extended card
+ * content as block markdown with headings, lists, blockquotes, images, GFM
+ * tables and fenced code with syntax highlighting. Inline HTML is allowed,
+ * but everything is passed through sanitizeHtml before it reaches the page,
+ * so a kanban.md from an untrusted repository cannot run script.
+ */
+
+// Elements kept by the sanitiser, with the attributes each may carry
+const ALLOWED_ELEMENTS = {
+  a: ['href', 'title', 'class', 'data-wiki-target', 'data-card-ref'],
+  b: [], strong: [], i: [], em: [], u: [], s: [], del: [], mark: [],
+  sub: [], sup: [], kbd: [], small: [], br: [], hr: [],
+  code: ['class'], pre: ['class'], span: ['class'],
+  p: [], div: [], blockquote: [],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  ul: [], ol: ['start'], li: [],
+  table: [], thead: [], tbody: [], tr: [], th: ['align'], td: ['align'],
+  img: ['src', 'alt', 'title', 'width', 'height'],
+  input: ['type', 'checked', 'disabled']
+};
+
+// Elements removed together with everything inside them; other unknown
+// elements are replaced by their content
+const DROPPED_ELEMENTS = new Set([
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+  'noscript', 'template', 'svg', 'math', 'form', 'textarea', 'select', 'button',
+  'link', 'meta', 'base', 'title', 'head'
+]);
+
+// Keywords highlighted in fenced code, shared by the C-like and scripting languages
+const CODE_KEYWORDS = new Set([
+  'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'def',
+  'default', 'do', 'elif', 'else', 'enum', 'export', 'extends', 'false', 'finally',
+  'fn', 'for', 'from', 'func', 'function', 'if', 'import', 'in', 'interface', 'let',
+  'new', 'nil', 'None', 'null', 'private', 'public', 'return', 'self', 'static',
+  'struct', 'switch', 'this', 'throw', 'true', 'True', 'False', 'try', 'type',
+  'typeof', 'undefined', 'var', 'void', 'while', 'with', 'yield'
+]);
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Check whether a URL is safe to use as a link or image source
+ * @param {string} url - URL from the markdown
+ * @param {boolean} [image] - Whether the URL is an image source
+ * @returns {boolean} True for relative URLs and safe schemes
+ */
+function isSafeUrl(url, image = false) {
+  // Browsers ignore control characters and whitespace inside the scheme
+  const normalized = String(url).replace(/[\u0000- \u007f]/g, '').toLowerCase();
+  const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/);
+  if (!scheme) return true;
+  if (scheme[1] === 'http' || scheme[1] === 'https') return true;
+  if (image) return /^data:image\/(png|gif|jpe?g|webp);/.test(normalized);
+  return scheme[1] === 'mailto';
+}
+
+/**
+ * Remove everything from an HTML string that is not on the allow list
+ * @param {string} html - Untrusted HTML
+ * @returns {string} Sanitised HTML
+ */
+function sanitizeHtml(html) {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  sanitizeNode(template.content);
+  return template.innerHTML;
+}
+
+/**
+ * Sanitise the children of a node in place
+ * @param {Node} node - Parent node
+ */
+function sanitizeNode(node) {
+  [...node.childNodes].forEach(child => {
+    if (child.nodeType === Node.TEXT_NODE) return;
+
+    if (child.nodeType !== Node.ELEMENT_NODE) {
+      child.remove();
+      return;
+    }
+
+    const tag = child.tagName.toLowerCase();
+    if (DROPPED_ELEMENTS.has(tag)) {
+      child.remove();
+      return;
+    }
+
+    sanitizeNode(child);
+
+    const allowedAttributes = ALLOWED_ELEMENTS[tag];
+    if (!allowedAttributes) {
+      child.replaceWith(...child.childNodes);
+      return;
+    }
+
+    [...child.attributes].forEach(attribute => {
+      const name = attribute.name.toLowerCase();
+      const keep = allowedAttributes.includes(name) &&
+        !(name === 'href' && !isSafeUrl(attribute.value)) &&
+        !(name === 'src' && !isSafeUrl(attribute.value, true));
+      if (!keep) {
+        child.removeAttribute(attribute.name);
+      }
+    });
+
+    // Only read-only checkboxes, as rendered for task lists
+    if (tag === 'input') {
+      if ((child.getAttribute('type') || '').toLowerCase() !== 'checkbox') {
+        child.remove();
+        return;
+      }
+      child.setAttribute('disabled', '');
+    }
+
+    // Links open in a new tab without access to this page
+    if (tag === 'a' && child.hasAttribute('href') && !child.getAttribute('href').startsWith('#')) {
+      child.setAttribute('target', '_blank');
+      child.setAttribute('rel', 'noopener noreferrer');
+    }
+  });
+}
+
+/**
+ * Highlight source code
+ * @param {string} code - Source code
+ * @param {string} language - Language name from the code fence
+ * @returns {string} Escaped code with highlighting spans
+ */
+function highlightCode(code, language) {
+  const lang = (language || '').toLowerCase();
+  const hashComments = ['python', 'py', 'ruby', 'rb', 'sh', 'bash', 'shell', 'zsh', 'yaml', 'yml', 'toml'].includes(lang);
+  const comment = hashComments ? '#[^\\n]*' : '\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/';
+  const tokenRegex = new RegExp(
+    `(${comment})|("(?:[^"\\\\\\n]|\\\\.)*"|'(?:[^'\\\\\\n]|\\\\.)*'|\`(?:[^\`\\\\]|\\\\.)*\`)|(\\b\\d+(?:\\.\\d+)?\\b)|([A-Za-z_$][\\w$]*)`,
+    'g'
+  );
+
+  let html = '';
+  let lastIndex = 0;
+  let match;
+  while ((match = tokenRegex.exec(code)) !== null) {
+    html += escapeHtml(code.slice(lastIndex, match.index));
+    lastIndex = tokenRegex.lastIndex;
+
+    const token = escapeHtml(match[0]);
+    if (match[1]) {
+      html += `<span class="hl-comment">${token}</span>`;
+    } else if (match[2]) {
+      html += `<span class="hl-string">${token}</span>`;
+    } else if (match[3]) {
+      html += `<span class="hl-number">${token}</span>`;
+    } else if (CODE_KEYWORDS.has(match[4])) {
+      html += `<span class="hl-keyword">${token}</span>`;
+    } else {
+      html += token;
+    }
+  }
+
+  return html + escapeHtml(code.slice(lastIndex));
+}
+
+/**
+ * Convert inline markdown to HTML without sanitising it
+ * @param {string} text - Markdown text
+ * @returns {string} HTML
+ */
+function convertInline(text) {
+  // Finished HTML is kept in placeholders so later rules cannot rewrite it
+  const stash = [];
+  const keep = (html) => `\u0000${stash.push(html) - 1}\u0000`;
+
+  let html = text
+    .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => keep(`<code>${escapeHtml(code.trim())}</code>`))
+    .replace(/<\/?[a-zA-Z][^<>]*>/g, tag => keep(tag))
+    .replace(/&(?!#?\w+;)/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+  // The text is already escaped except for quotes
+  const attribute = (value) => value.replace(/"/g, '&quot;');
+
+  html = html
+    .replace(/!?\[\[([^\[\]|]+)(?:\|([^\[\]]+))?\]\]/g, (match, target, alias) =>
+      keep(convertWikiLink(target.trim(), alias && alias.trim())))
+    .replace(/!\[([^\[\]]*)\]\(([^()\s]+)(?:\s+"([^"]*)")?\)/g, (match, alt, src, title) =>
+      keep(`<img src="${attribute(src)}" alt="${attribute(alt)}"${title ? ` title="${attribute(title)}"` : ''}>`))
+    .replace(/\[([^\[\]]+)\]\(([^()\s]+)(?:\s+"([^"]*)")?\)/g, (match, label, href, title) =>
+      keep(`<a href="${attribute(href)}"${title ? ` title="${attribute(title)}"` : ''}>${formatEmphasis(label)}</a>`))
+    .replace(/\bhttps?:\/\/[^\s<\u0000]+[^\s<\u0000.,;:!?)'"]/g, url => keep(`<a href="${attribute(url)}">${url}</a>`));
+
+  html = formatEmphasis(html)
+    .replace(/(^|[\s(])(#[\w-]+)/g, '$1<span class="tag">$2</span>');
+
+  // Placeholders may contain other placeholders
+  while (/\u0000\d+\u0000/.test(html)) {
+    html = html.replace(/\u0000(\d+)\u0000/g, (match, index) => stash[index]);
+  }
+  return html;
+}
+
+/**
+ * Convert a wiki-link to a note, or a `[[#^id]]` reference to another card
+ * @param {string} target - Link target, already escaped
+ * @param {string} [alias] - Text shown instead of the target, already escaped
+ * @returns {string} HTML link handled by wiki.js
+ */
+function convertWikiLink(target, alias) {
+  const cardRef = target.match(/^#\^([\w-]+)$/);
+  if (cardRef) {
+    const found = window.boardStore && window.boardStore.findCardByBlockId(cardRef[1]);
+    const label = alias || (found ? escapeHtml(toPlainText(found.card.text)) : `^${cardRef[1]}`);
+    const missing = found ? '' : ' missing';
+    return `<a href="#" class="card-ref${missing}" data-card-ref="${cardRef[1]}">${label}</a>`;
+  }
+
+  const label = alias || target.replace(/#/, ' › ');
+  return `<a href="#" class="wiki-link" data-wiki-target="${target.replace(/"/g, '&quot;')}">${label}</a>`;
+}
+
+/**
+ * Strip markdown from card text, e.g. to name a card in a link or badge
+ * @param {string} text - Markdown text
+ * @returns {string} Plain text
+ */
+function toPlainText(text) {
+  return (text || '')
+    .replace(/!?\[\[([^\[\]|]+)(?:\|([^\[\]]+))?\]\]/g, (match, target, alias) => alias || target)
+    .replace(/!?\[([^\[\]]*)\]\([^()]*\)/g, '$1')
+    .replace(/(\*\*|__|~~|==|`)(.+?)\1/g, '$2')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Apply bold, italic and strikethrough formatting
+ * @param {string} text - Escaped text
+ * @returns {string} HTML
+ */
+function formatEmphasis(text) {
+  return text
+    .replace(/\*\*(?=\S)([^*]+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/\b__(?=\S)([^_]+?)__\b/g, '<strong>$1</strong>')
+    .replace(/\*(?=\S)([^*]+?)\*/g, '<em>$1</em>')
+    .replace(/\b_(?=\S)([^_]+?)_\b/g, '<em>$1</em>')
+    .replace(/~~(?=\S)([^~]+?)~~/g, '<del>$1</del>')
+    .replace(/==(?=\S)([^=]+?)==/g, '<mark>$1</mark>');
+}
+
+/**
+ * Render inline markdown, such as a card title or subtask
+ * @param {string} text - Markdown text
+ * @returns {string} Sanitised HTML
+ */
+function renderInline(text) {
+  if (!text) return '';
+  return sanitizeHtml(convertInline(text));
+}
+
+/**
+ * Render block markdown, such as the extended content of a card
+ * @param {string} text - Markdown text
+ * @returns {string} Sanitised HTML
+ */
+function renderMarkdown(text) {
+  if (!text) return '';
+  return sanitizeHtml(convertBlocks(text.split('\n')));
+}
+
+// Patterns that start a block other than a paragraph
+const FENCE_REGEX = /^(```+|~~~+)\s*([\w+#-]*)/;
+const HEADING_REGEX = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE_REGEX = /^(\*\s*){3,}$|^(-\s*){3,}$|^(_\s*){3,}$/;
+const LIST_ITEM_REGEX = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const TABLE_DIVIDER_REGEX = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+/**
+ * Check whether a line starts a block other than a paragraph
+ * @param {Array} lines - Lines of markdown
+ * @param {number} index - Line index
+ * @returns {boolean} True if the line starts a block
+ */
+function isBlockStart(lines, index) {
+  const line = lines[index].trim();
+  return FENCE_REGEX.test(line) || HEADING_REGEX.test(line) || RULE_REGEX.test(line) ||
+    line.startsWith('>') || LIST_ITEM_REGEX.test(lines[index]) || isTableStart(lines, index);
+}
+
+/**
+ * Check whether a table header row and divider start at a line
+ * @param {Array} lines - Lines of markdown
+ * @param {number} index - Line index
+ * @returns {boolean} True if a table starts at the line
+ */
+function isTableStart(lines, index) {
+  return lines[index].includes('|') && index + 1 < lines.length &&
+    lines[index + 1].includes('-') && TABLE_DIVIDER_REGEX.test(lines[index + 1]);
+}
+
+/**
+ * Remove the indentation shared by all non-blank lines
+ * @param {Array} lines - Lines of markdown
+ * @returns {Array} Dedented lines
+ */
+function dedentLines(lines) {
+  const indents = lines.filter(line => line.trim()).map(line => line.match(/^\s*/)[0].length);
+  const indent = indents.length > 0 ? Math.min(...indents) : 0;
+  return lines.map(line => line.slice(Math.min(indent, line.match(/^\s*/)[0].length)));
+}
+
+/**
+ * Convert lines of block markdown to HTML without sanitising it
+ * @param {Array} lines - Lines of markdown
+ * @returns {string} HTML
+ */
+function convertBlocks(lines) {
+  lines = dedentLines(lines);
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const trimmed = line.trim();
+
+    if (!trimmed) {
+      i++;
+      continue;
+    }
+
+    const fence = trimmed.match(FENCE_REGEX);
+    if (fence) {
+      const code = [];
+      const indent = line.match(/^\s*/)[0].length;
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i].slice(Math.min(indent, lines[i].match(/^\s*/)[0].length)));
+        i++;
+      }
+      i++;
+      const languageClass = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+      blocks.push(`<pre><code${languageClass}>${highlightCode(code.join('\n'), fence[2])}</code></pre>`);
+      continue;
+    }
+
+    const heading = trimmed.match(HEADING_REGEX);
+    if (heading) {
+      const level = heading[1].length;
+      blocks.push(`<h${level}>${convertInline(heading[2])}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (RULE_REGEX.test(trimmed)) {
+      blocks.push('<hr>');
+      i++;
+      continue;
+    }
+
+    if (trimmed.startsWith('>')) {
+      const quoted = [];
+      while (i < lines.length && lines[i].trim().startsWith('>')) {
+        quoted.push(lines[i].trim().replace(/^>\s?/, ''));
+        i++;
+      }
+      blocks.push(`<blockquote>${convertBlocks(quoted)}</blockquote>`);
+      continue;
+    }
+
+    if (isTableStart(lines, i)) {
+      const rows = [];
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+        rows.push(lines[i]);
+        i++;
+      }
+      blocks.push(convertTable(rows));
+      continue;
+    }
+
+    if (LIST_ITEM_REGEX.test(line)) {
+      const items = [line];
+      const indent = line.match(/^\s*/)[0].length;
+      const ordered = /^\d/.test(trimmed);
+      i++;
+      // Items continue with deeper lines and further items of the same kind
+      while (i < lines.length && lines[i].trim() &&
+             (lines[i].match(/^\s*/)[0].length > indent ||
+              (LIST_ITEM_REGEX.test(lines[i]) && /^\d/.test(lines[i].trim()) === ordered))) {
+        items.push(lines[i]);
+        i++;
+      }
+      blocks.push(convertList(items));
+      continue;
+    }
+
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !isBlockStart(lines, i))) {
+      paragraph.push(lines[i].trim());
+      i++;
+    }
+    blocks.push(`<p>${paragraph.map(convertInline).join('<br>')}</p>`);
+  }
+
+  return blocks.join('');
+}
+
+/**
+ * Convert the lines of a list, including nested lists, to HTML
+ * @param {Array} lines - List lines, starting with an item
+ * @returns {string} HTML
+ */
+function convertList(lines) {
+  const indent = lines[0].match(/^\s*/)[0].length;
+  const ordered = /^\d/.test(lines[0].trim());
+  const items = [];
+
+  lines.forEach(line => {
+    const item = line.match(LIST_ITEM_REGEX);
+    if (item && item[1].length <= indent) {
+      items.push({ text: item[3], children: [] });
+    } else {
+      items[items.length - 1].children.push(line);
+    }
+  });
+
+  const html = items.map(item => {
+    const task = item.text.match(/^\[([ xX])\]\s+(.*)$/);
+    const text = task
+      ? `<input type="checkbox" disabled${task[1] !== ' ' ? ' checked' : ''}> ${convertInline(task[2])}`
+      : convertInline(item.text);
+    const children = item.children.length > 0 ? convertBlocks(item.children) : '';
+    return `<li>${text}${children}</li>`;
+  }).join('');
+
+  const start = ordered ? parseInt(lines[0].trim(), 10) : 1;
+  if (ordered) {
+    return `<ol${start !== 1 ? ` start="${start}"` : ''}>${html}</ol>`;
+  }
+  return `<ul>${html}</ul>`;
+}
+
+/**
+ * Convert the rows of a GFM table to HTML
+ * @param {Array} rows - Header row, divider and body rows
+ * @returns {string} HTML
+ */
+function convertTable(rows) {
+  const splitRow = (row) => row.trim().replace(/^\|/, '').replace(/\|$/, '')
+    .split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+
+  const alignments = splitRow(rows[1]).map(cell => {
+    if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+    if (cell.endsWith(':')) return 'right';
+    if (cell.startsWith(':')) return 'left';
+    return null;
+  });
+
+  const renderRow = (row, cellTag) => {
+    const cells = splitRow(row);
+    return '<tr>' + alignments.map((align, index) => {
+      const alignAttribute = align ? ` align="${align}"` : '';
+      return `<${cellTag}${alignAttribute}>${convertInline(cells[index] || '')}</${cellTag}>`;
+    }).join('') + '</tr>';
+  };
+
+  const body = rows.slice(2).map(row => renderRow(row, 'td')).join('');
+  return `<table><thead>${renderRow(rows[0], 'th')}</thead>` +
+    (body ? `<tbody>${body}</tbody>` : '') + '</table>';
+}
+
+// Export functions for use in other modules
+window.markdown = {
+  renderInline,
+  renderMarkdown,
+  sanitizeHtml,
+  escapeHtml,
+  toPlainText
+};
@@ -0,0 +1,525 @@
+/**
+ * merge.js - Three-way merge of kanban boards
+ * Compares the base version we loaded with our local board ("mine") and the
+ * version currently on GitHub ("theirs") at the card level, so concurrent
+ * edits can be combined instead of one side overwriting the other. The same
+ * card matching lists what changed between two versions of a board.
+ */
+
+// Cards whose texts are at least this similar count as the same card edited
+const SIMILAR_TEXT_THRESHOLD = 0.6;
+
+/**
+ * Merge two concurrently edited versions of a board
+ * @param {Array} base - Columns of the common ancestor (as returned by parseMarkdown)
+ * @param {Array} mine - Columns of the local board
+ * @param {Array} theirs - Columns of the board currently on GitHub
+ * @param {Object} [resolutions] - Map of conflict id to 'mine' or 'theirs'
+ * @returns {Object} { columns, conflicts } where conflicts lists cards changed on both sides
+ */
+function mergeBoards(base, mine, theirs, resolutions = {}) {
+  // Pair the columns of each version with the base columns they descend from,
+  // so a renamed column is still the same column
+  const mineKeys = matchColumns(base, mine);
+  const theirsKeys = matchColumns(base, theirs);
+
+  const baseEntries = flattenBoard(base, base.map((column, index) => index));
+  const mineEntries = flattenBoard(mine, mineKeys);
+  const theirsEntries = flattenBoard(theirs, theirsKeys);
+
+  // Pair every card in each version with the base card it descends from
+  matchEntries(baseEntries, mineEntries);
+  matchEntries(baseEntries, theirsEntries);
+
+  const mineById = indexByBaseId(mineEntries);
+  const theirsById = indexByBaseId(theirsEntries);
+
+  const conflicts = [];
+  // Merged card placement keyed by entry: { column, card }
+  const placements = new Map();
+
+  baseEntries.forEach(baseEntry => {
+    const mineEntry = mineById.get(baseEntry.id) || null;
+    const theirsEntry = theirsById.get(baseEntry.id) || null;
+    const mineChanged = hasChanged(baseEntry, mineEntry);
+    const theirsChanged = hasChanged(baseEntry, theirsEntry);
+
+    let result;
+    if (!mineChanged) {
+      result = theirsEntry;
+    } else if (!theirsChanged) {
+      result = mineEntry;
+    } else if (!mineEntry && !theirsEntry) {
+      result = null;
+    } else {
+      result = mergeCardEntries(baseEntry, mineEntry, theirsEntry);
+
+      if (result === undefined) {
+        const conflictId = `card-${baseEntry.id}`;
+        const choice = resolutions[conflictId] || 'mine';
+        conflicts.push({
+          id: conflictId,
+          base: baseEntry,
+          mine: mineEntry,
+          theirs: theirsEntry
+        });
+        result = choice === 'theirs' ? theirsEntry : mineEntry;
+      }
+    }
+
+    if (result) {
+      placements.set(baseEntry.id, {
+        columnKey: result.columnKey,
+        card: result.card,
+        mineEntry,
+        theirsEntry
+      });
+    }
+  });
+
+  // Cards added on either side are always kept
+  const additions = [];
+  theirsEntries.filter(entry => entry.id === null).forEach(entry => {
+    additions.push({ columnKey: entry.columnKey, card: entry.card, theirsEntry: entry, mineEntry: null });
+  });
+  mineEntries.filter(entry => entry.id === null).forEach(entry => {
+    // Skip cards both sides added identically to the same column
+    const duplicate = additions.some(addition => addition.columnKey === entry.columnKey &&
+      cardSignature(addition.card) === cardSignature(entry.card));
+    if (!duplicate) {
+      additions.push({ columnKey: entry.columnKey, card: entry.card, mineEntry: entry, theirsEntry: null });
+    }
+  });
+
+  const columns = buildMergedColumns(base, { columns: mine, keys: mineKeys },
+    { columns: theirs, keys: theirsKeys }, [...placements.values(), ...additions]);
+
+  return { columns, conflicts };
+}
+
+/**
+ * Pair the columns of a derived version with the base columns they descend
+ * from. Columns are matched on their title first; a remaining column at the
+ * position of a remaining base column is that column renamed, unless both
+ * hold cards and share none of them.
+ * @param {Array} base - Base columns
+ * @param {Array} columns - Columns of the derived version
+ * @returns {Array} A key per column: the index of its base column, or
+ *   'new:<title>' for a column that is not in the base
+ */
+function matchColumns(base, columns) {
+  const keys = columns.map(() => null);
+  const unmatchedBase = new Set(base.map((column, index) => index));
+  const pair = (index, baseIndex) => {
+    keys[index] = baseIndex;
+    unmatchedBase.delete(baseIndex);
+  };
+
+  columns.forEach((column, index) => {
+    const baseIndex = base.findIndex((baseColumn, i) => unmatchedBase.has(i) && baseColumn.title === column.title &&
+      !baseColumn.archive === !column.archive);
+    if (baseIndex !== -1) pair(index, baseIndex);
+  });
+
+  columns.forEach((column, index) => {
+    const baseColumn = base[index];
+    if (keys[index] !== null || !unmatchedBase.has(index) || !baseColumn.archive !== !column.archive) return;
+
+    const cards = column.cards || [];
+    const baseTexts = (baseColumn.cards || []).map(card => card.text);
+    const unrelated = cards.length > 0 && baseTexts.length > 0 &&
+      !cards.some(card => baseTexts.includes(card.text));
+    if (!unrelated) pair(index, index);
+  });
+
+  return columns.map((column, index) => (keys[index] !== null ? keys[index] : `new:${column.title}`));
+}
+
+/**
+ * Flatten a board into a list of card entries with their position
+ * @param {Array} columns - Board columns
+ * @param {Array} keys - Key of each column as returned by matchColumns
+ * @returns {Array} Entries of the form { id, column, columnKey, index, card }
+ *   where column is the column's title
+ */
+function flattenBoard(columns, keys) {
+  const entries = [];
+  (columns || []).forEach((column, columnIndex) => {
+    (column.cards || []).forEach((card, index) => {
+      entries.push({ id: null, column: column.title, columnKey: keys[columnIndex], index, card });
+    });
+  });
+  return entries;
+}
+
+/**
+ * Assign base ids to the entries of a derived version.
+ * Cards are matched on identical text first, then on their block ID, and the
+ * remaining cards on similar text, which catches edited card titles. Cards
+ * left without a match count as added, their base cards as deleted.
+ * @param {Array} baseEntries - Entries of the base version (ids are assigned here)
+ * @param {Array} entries - Entries of the derived version
+ */
+function matchEntries(baseEntries, entries) {
+  baseEntries.forEach((entry, index) => {
+    entry.id = index;
+  });
+
+  const unmatchedBase = new Set(baseEntries.map(entry => entry.id));
+  const pair = (entry, match) => {
+    if (!match) return;
+    entry.id = match.id;
+    unmatchedBase.delete(match.id);
+  };
+
+  entries.forEach(entry => {
+    pair(entry, baseEntries.find(baseEntry => unmatchedBase.has(baseEntry.id) &&
+      baseEntry.card.text === entry.card.text));
+  });
+
+  entries.filter(entry => entry.id === null && entry.card.blockId).forEach(entry => {
+    pair(entry, baseEntries.find(baseEntry => unmatchedBase.has(baseEntry.id) &&
+      baseEntry.card.blockId === entry.card.blockId));
+  });
+
+  // Pair the remaining cards with the most similar base card, preferring the
+  // same column when two are equally similar
+  entries.filter(entry => entry.id === null).forEach(entry => {
+    let best = null;
+    let bestScore = SIMILAR_TEXT_THRESHOLD;
+    baseEntries.filter(baseEntry => unmatchedBase.has(baseEntry.id)).forEach(baseEntry => {
+      const score = textSimilarity(baseEntry.card.text, entry.card.text) +
+        (baseEntry.columnKey === entry.columnKey ? 0.01 : 0);
+      if (score >= bestScore) {
+        best = baseEntry;
+        bestScore = score;
+      }
+    });
+    pair(entry, best);
+  });
+}
+
+/**
+ * Measure how alike two card texts are, from the character pairs they share
+ * (the Sørensen–Dice coefficient)
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} 1 for equal texts down to 0 for texts with nothing in common
+ */
+function textSimilarity(a, b) {
+  const normalize = (text) => (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  const first = normalize(a);
+  const second = normalize(b);
+  if (first === second) return 1;
+  if (first.length < 2 || second.length < 2) return 0;
+
+  const pairs = new Map();
+  for (let i = 0; i < first.length - 1; i++) {
+    const bigram = first.slice(i, i + 2);
+    pairs.set(bigram, (pairs.get(bigram) || 0) + 1);
+  }
+
+  let shared = 0;
+  for (let i = 0; i < second.length - 1; i++) {
+    const bigram = second.slice(i, i + 2);
+    const count = pairs.get(bigram) || 0;
+    if (count > 0) {
+      pairs.set(bigram, count - 1);
+      shared++;
+    }
+  }
+  return (2 * shared) / (first.length + second.length - 2);
+}
+
+/**
+ * Index matched entries by their base id
+ * @param {Array} entries - Entries of a derived version
+ * @returns {Map} Map of base id to entry
+ */
+function indexByBaseId(entries) {
+  const map = new Map();
+  entries.forEach(entry => {
+    if (entry.id !== null) {
+      map.set(entry.id, entry);
+    }
+  });
+  return map;
+}
+
+/**
+ * Check whether a card was moved, edited or deleted relative to the base
+ * @param {Object} baseEntry - Entry in the base version
+ * @param {Object|null} entry - Matching entry in a derived version
+ * @returns {boolean} True if the card changed
+ */
+function hasChanged(baseEntry, entry) {
+  if (!entry) return true;
+  return entry.columnKey !== baseEntry.columnKey ||
+    cardSignature(entry.card) !== cardSignature(baseEntry.card);
+}
+
+/**
+ * Merge a card changed on both sides, field group by field group
+ * @param {Object} baseEntry - Entry in the base version
+ * @param {Object|null} mineEntry - Entry in the local version
+ * @param {Object|null} theirsEntry - Entry in the remote version
+ * @returns {Object|undefined} The merged entry, or undefined if the changes conflict
+ */
+function mergeCardEntries(baseEntry, mineEntry, theirsEntry) {
+  // Deleted on one side, changed on the other
+  if (!mineEntry || !theirsEntry) return undefined;
+
+  let columnKey;
+  if (mineEntry.columnKey === baseEntry.columnKey) {
+    columnKey = theirsEntry.columnKey;
+  } else if (theirsEntry.columnKey === baseEntry.columnKey || theirsEntry.columnKey === mineEntry.columnKey) {
+    columnKey = mineEntry.columnKey;
+  } else {
+    return undefined;
+  }
+
+  const baseSignature = cardSignature(baseEntry.card);
+  const mineSignature = cardSignature(mineEntry.card);
+  const theirsSignature = cardSignature(theirsEntry.card);
+
+  let card;
+  if (mineSignature === baseSignature) {
+    card = theirsEntry.card;
+  } else if (theirsSignature === baseSignature || theirsSignature === mineSignature) {
+    card = mineEntry.card;
+  } else {
+    return undefined;
+  }
+
+  return { id: baseEntry.id, columnKey, card };
+}
+
+/**
+ * List the cards that differ between two versions of a board
+ * @param {Array} older - Columns of the earlier version
+ * @param {Array} newer - Columns of the later version
+ * @returns {Array} Changes of the form { type, card, previous, from, to, moved, edited }
+ *   where type is 'added', 'removed' or 'changed', card is the card in the
+ *   newer version and previous the card in the older one
+ */
+function diffBoards(older, newer) {
+  const olderEntries = flattenBoard(older, older.map((column, index) => index));
+  const newerEntries = flattenBoard(newer, matchColumns(older, newer));
+  matchEntries(olderEntries, newerEntries);
+  const newerById = indexByBaseId(newerEntries);
+  const changes = [];
+
+  newerEntries.forEach(entry => {
+    if (entry.id === null) {
+      changes.push({ type: 'added', card: entry.card, previous: null, from: null, to: entry.column });
+      return;
+    }
+    const olderEntry = olderEntries[entry.id];
+    const moved = olderEntry.columnKey !== entry.columnKey;
+    const edited = cardSignature(olderEntry.card) !== cardSignature(entry.card);
+    if (moved || edited) {
+      changes.push({ type: 'changed', card: entry.card, previous: olderEntry.card, from: olderEntry.column, to: entry.column, moved, edited });
+    }
+  });
+
+  olderEntries.filter(entry => !newerById.has(entry.id)).forEach(entry => {
+    changes.push({ type: 'removed', card: null, previous: entry.card, from: entry.column, to: null });
+  });
+
+  return changes;
+}
+
+/**
+ * Build a comparable signature of a card's content, ignoring its position
+ * @param {Object} card - Card data object
+ * @returns {string} Signature string
+ */
+function cardSignature(card) {
+  return JSON.stringify({
+    text: card.text || '',
+    completed: !!card.completed,
+    content: (card.content || '').trim(),
+    subtasks: (card.subtasks || []).map(subtask => [subtask.text, !!subtask.completed, subtask.indentation || 1]),
+    tags: [...new Set(card.tags || [])].sort(),
+    dueDate: card.dueDate || null,
+    priority: card.priority || null,
+    blockId: card.blockId || null,
+    blocks: card.blocks || [],
+    blockedBy: card.blockedBy || []
+  });
+}
+
+/**
+ * Lay merged cards out into columns, preserving the card order of the side
+ * that reordered each column
+ * @param {Array} base - Base columns
+ * @param {Object} mine - Local { columns, keys } with keys from matchColumns
+ * @param {Object} theirs - Remote { columns, keys } with keys from matchColumns
+ * @param {Array} placements - Merged cards with their target column key and source entries
+ * @returns {Array} Merged columns
+ */
+function buildMergedColumns(base, mine, theirs, placements) {
+  const isNew = (key) => typeof key !== 'number';
+
+  // Start with the remote column order, add columns created locally and drop
+  // columns deleted locally that nobody still puts cards in
+  const keys = theirs.keys.filter(key => mine.keys.includes(key) || isNew(key) ||
+    placements.some(placement => placement.columnKey === key));
+  mine.keys.forEach((key, index) => {
+    if (!keys.includes(key) && isNew(key)) {
+      keys.splice(Math.min(index, keys.length), 0, key);
+    }
+  });
+  // Keep columns that still hold merged cards even if both sides removed them
+  placements.forEach(placement => {
+    if (!keys.includes(placement.columnKey)) {
+      keys.push(placement.columnKey);
+    }
+  });
+
+  return keys.map(key => {
+    const baseColumn = isNew(key) ? null : base[key];
+    const mineColumn = mine.columns[mine.keys.indexOf(key)] || null;
+    const theirsColumn = theirs.columns[theirs.keys.indexOf(key)] || null;
+
+    const inColumn = placements.filter(placement => placement.columnKey === key);
+    const theirsOrder = orderInColumn(inColumn, 'theirsEntry', key);
+    const mineOrder = orderInColumn(inColumn, 'mineEntry', key);
+
+    // Use the local order as the backbone only when the remote side kept this
+    // column's order untouched
+    const theirsReordered = columnReordered(baseColumn, theirsColumn);
+    const backbone = theirsReordered ? theirsOrder : mineOrder;
+    const other = theirsReordered ? mineOrder : theirsOrder;
+
+    const ordered = [...backbone];
+    other.forEach((placement, index) => {
+      if (ordered.includes(placement)) return;
+      const predecessor = other.slice(0, index).reverse().find(item => ordered.includes(item));
+      const position = predecessor ? ordered.indexOf(predecessor) + 1 : 0;
+      ordered.splice(position, 0, placement);
+    });
+    inColumn.forEach(placement => {
+      if (!ordered.includes(placement)) {
+        ordered.push(placement);
+      }
+    });
+
+    // Title, WIP limit and other column fields changed on either side
+    const fields = mineColumn && theirsColumn ?
+      mergeFields(baseColumn, mineColumn, theirsColumn, ['id', 'cards', 'source']) : {};
+
+    return {
+      ...(theirsColumn || mineColumn || baseColumn),
+      ...fields,
+      cards: ordered.map(placement => placement.card)
+    };
+  });
+}
+
+/**
+ * Order placements by their position in one version's column
+ * @param {Array} placements - Placements targeted at the column
+ * @param {string} side - 'mineEntry' or 'theirsEntry'
+ * @param {number|string} key - Column key
+ * @returns {Array} Placements present in that version's column, in its order
+ */
+function orderInColumn(placements, side, key) {
+  return placements
+    .filter(placement => placement[side] && placement[side].columnKey === key)
+    .sort((a, b) => a[side].index - b[side].index);
+}
+
+/**
+ * Check whether a version changed the relative order of a column's base cards
+ * @param {Object|null} baseColumn - The column in the base version
+ * @param {Object|null} versionColumn - The same column in the derived version
+ * @returns {boolean} True if the shared cards appear in a different order
+ */
+function columnReordered(baseColumn, versionColumn) {
+  if (!baseColumn || !versionColumn) return true;
+
+  const baseTexts = baseColumn.cards.map(card => card.text);
+  const versionTexts = versionColumn.cards.map(card => card.text);
+  const sharedBase = baseTexts.filter(text => versionTexts.includes(text));
+  const sharedVersion = versionTexts.filter(text => baseTexts.includes(text));
+
+  return sharedBase.join('\n') !== sharedVersion.join('\n');
+}
+
+/**
+ * Merge the front matter and settings block of two concurrently edited boards
+ * @param {Object|null} base - { frontMatter, settings } of the common ancestor, null if unknown
+ * @param {Object} mine - The local board
+ * @param {Object} theirs - The board currently on GitHub
+ * @returns {Object} { frontMatter, settings }
+ */
+function mergeBoardSettings(base, mine, theirs) {
+  const ancestor = base || {};
+  const settings = mine.settings && theirs.settings ?
+    mergeFields(ancestor.settings, mine.settings, theirs.settings) :
+    mergeValue(ancestor.settings, mine.settings, theirs.settings);
+
+  return {
+    frontMatter: mergeValue(ancestor.frontMatter, mine.frontMatter, theirs.frontMatter),
+    settings: settings === undefined ? null : settings
+  };
+}
+
+/**
+ * Merge the fields of an object changed on both sides, field by field
+ * @param {Object|null} base - The object in the base version, null if it is new
+ * @param {Object} mine - The local object
+ * @param {Object} theirs - The remote object
+ * @param {Array} [skip] - Fields to leave out
+ * @returns {Object} The merged fields; fields removed on a side that changed them are left out
+ */
+function mergeFields(base, mine, theirs, skip = []) {
+  const ancestor = base || {};
+  const fields = new Set([...Object.keys(ancestor), ...Object.keys(mine), ...Object.keys(theirs)]);
+  const merged = {};
+  fields.forEach(field => {
+    if (skip.includes(field)) return;
+    const value = mergeValue(ancestor[field], mine[field], theirs[field]);
+    if (value !== undefined) {
+      merged[field] = value;
+    }
+  });
+  return merged;
+}
+
+/**
+ * Merge a value three ways: a change on one side wins over the unchanged
+ * value, and ours wins when both sides changed it
+ * @param {*} base - Value in the base version
+ * @param {*} mine - Local value
+ * @param {*} theirs - Remote value
+ * @returns {*} The merged value
+ */
+function mergeValue(base, mine, theirs) {
+  // Missing and null values are the same, e.g. a column without a WIP limit
+  const same = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+  return same(mine, base) ? theirs : mine;
+}
+
+/**
+ * Get the columns of a board to merge, with the archive as a last column so
+ * archiving and restoring merge like moves between columns
+ * @param {Object} board - Board as returned by parseBoard
+ * @returns {Array} Columns, followed by the archive if there is one
+ */
+function withArchiveColumn(board) {
+  return board.archive ? [...board.columns, board.archive] : board.columns;
+}
+
+/**
+ * Separate the archive from merged columns again
+ * @param {Array} columns - Merged columns from mergeBoards
+ * @returns {Object} { columns, archive } where archive is null if there is none
+ */
+function splitArchiveColumn(columns) {
+  return {
+    columns: columns.filter(column => !column.archive),
+    archive: columns.find(column => column.archive) || null
+  };
+}
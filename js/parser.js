@@ -6,7 +6,10 @@
  * - Nested lists (subtasks)
  * - Links and formatting within cards
  * - Card metadata (tags, dates, priorities)
+ * - Wiki-links, Obsidian block IDs and relations between cards
  * - Multiline card content
+ * - Lossless round-trips: front matter, the settings block and any lines the
+ *   parser does not understand are kept and written back unchanged
  */
 
 /**
@@ -15,14 +18,45 @@
  * @returns {Array} Array of column objects with their cards
  */
 function parseMarkdown(markdown) {
+  return parseBoard(markdown).columns;
+}
+
+/**
+ * Parse markdown content into a full board document
+ * @param {string} markdown - Markdown content to parse
+ * @returns {Object} Board with frontMatter, settings, columns and the source
+ *   lines needed to write an unchanged board back byte for byte
+ */
+function parseBoard(markdown) {
+  // The board is parsed with LF line endings; the file's own line endings and
+  // trailing newline are remembered so they can be restored when writing
+  const lineBreaks = markdown.match(/\r?\n/g) || [];
+  const crlfCount = lineBreaks.filter(lineBreak => lineBreak === '\r\n').length;
+  const lineEnding = crlfCount > lineBreaks.length / 2 ? '\r\n' : '\n';
+  const finalNewline = /\n$/.test(markdown);
+  
   // Split the markdown content by lines
-  const lines = markdown.split('\n');
+  const lines = markdown.replace(/\r\n/g, '\n').split('\n');
   const columns = [];
+  // Line index where each column and card starts, in document order
+  const markers = [];
+  let settingsIndex = lines.length;
+  // The Obsidian Kanban plugin keeps archived cards in a last column that
+  // follows a `***` separator
+  let archiveIndex = null;
+  let archiveColumn = null;
   let currentColumn = null;
   let currentCard = null;
   let inCodeBlock = false;
   let indentationLevel = 0;
   
+  // Add a line to the current card's content, removing the card's own indentation
+  const addContentLine = (line) => {
+    const contentIndent = (indentationLevel + 1) * 2;
+    const leadingSpaces = line.search(/\S|$/);
+    currentCard.content += line.substring(Math.min(leadingSpaces, contentIndent)) + '\n';
+  };
+  
   // Check if the line is inside a code block (to avoid parsing markdown syntax inside code blocks)
   const toggleCodeBlock = (line) => {
     if (line.trim().startsWith('```')) {
@@ -37,15 +71,29 @@ function parseMarkdown(markdown) {
     const line = lines[i];
     const trimmedLine = line.trim();
     
+    // The Obsidian settings block marks the end of the board
+    if (!inCodeBlock && trimmedLine.startsWith('%% kanban:settings')) {
+      settingsIndex = i;
+      break;
+    }
+    
     // Handle code blocks specially
     if (toggleCodeBlock(line)) {
       // If we're processing a card, add the code block marker to the content
       if (currentCard) {
-        currentCard.content += line + '\n';
+        addContentLine(line);
       }
       continue;
     }
     
+    // The archive separator ends the board's regular columns
+    if (!inCodeBlock && !archiveColumn && archiveIndex === null && trimmedLine === '***' &&
+        !/^\s/.test(line) && isArchiveHeadingNext(lines, i + 1)) {
+      archiveIndex = i;
+      currentCard = null;
+      continue;
+    }
+    
     // Skip empty lines or metadata lines when not inside a card
     if ((!trimmedLine || trimmedLine.startsWith('---') || trimmedLine.startsWith('%')) && 
         !currentCard) {
@@ -54,25 +102,36 @@ function parseMarkdown(markdown) {
     
     // Inside a code block, just add content without parsing
     if (inCodeBlock && currentCard) {
-      currentCard.content += line + '\n';
+      addContentLine(line);
       continue;
     }
     
     // Check if line is a heading (column) - This is the main column detection logic
-    if (trimmedLine.startsWith('##')) {
+    // Deeper headings (###) are left to card content
+    if (/^##(?!#)/.test(trimmedLine)) {
       // If we were processing a card, finalize it before moving to new column
       currentCard = null;
       
-      const columnTitle = trimmedLine.replace(/^##\s+/, '').trim();
+      const { title: columnTitle, wipLimit } = parseColumnHeading(trimmedLine.replace(/^##\s+/, '').trim());
       currentColumn = {
         title: columnTitle,
+        wipLimit,
         cards: []
       };
-      columns.push(currentColumn);
+      
+      // The first heading after the separator is the archive, kept apart from the columns
+      if (archiveIndex !== null && !archiveColumn) {
+        currentColumn.archive = true;
+        archiveColumn = currentColumn;
+      } else {
+        columns.push(currentColumn);
+      }
+      markers.push({ index: i, column: currentColumn });
       console.log(`Detected column: ${columnTitle}`); // Debug log
     } 
-    // Check if line is a list item (card)
-    else if (trimmedLine.startsWith('-') && currentColumn) {
+    // Check if line is a list item (card) - items nested under the current card are subtasks
+    else if (trimmedLine.startsWith('-') && currentColumn &&
+             !(currentCard && Math.floor(line.search(/\S/) / 2) > indentationLevel)) {
       // Calculate indentation level for nested lists
       const leadingSpaces = line.search(/\S/);
       indentationLevel = Math.floor(leadingSpaces / 2); // Assuming 2-space indentation
@@ -80,9 +139,6 @@ function parseMarkdown(markdown) {
       // Extract task content and check status
       let cardText = trimmedLine.substring(1).trim();
       let isCompleted = false;
-      let tags = [];
-      let dueDate = null;
-      let priority = null;
       
       // Check for checkbox syntax
       if (cardText.startsWith('[ ]')) {
@@ -93,52 +149,34 @@ function parseMarkdown(markdown) {
         isCompleted = true;
       }
       
-      // Extract tags - format #tag
-      const tagRegex = /#([\w-]+)/g;
-      let tagMatch;
-      while ((tagMatch = tagRegex.exec(cardText)) !== null) {
-        tags.push(tagMatch[1]);
-      }
-      
-      // Extract due date - format @due(YYYY-MM-DD)
-      const dueDateRegex = /@due\((\d{4}-\d{2}-\d{2})\)/;
-      const dueDateMatch = cardText.match(dueDateRegex);
-      if (dueDateMatch) {
-        dueDate = dueDateMatch[1];
-        // Remove the due date marker from the text
-        cardText = cardText.replace(dueDateRegex, '').trim();
-      }
-      
-      // Extract priority - format !priority
-      const priorityRegex = /!(high|medium|low)/i;
-      const priorityMatch = cardText.match(priorityRegex);
-      if (priorityMatch) {
-        priority = priorityMatch[1].toLowerCase();
-        // Remove the priority marker from the text
-        cardText = cardText.replace(priorityRegex, '').trim();
-      }
+      // Extract tags, due date, priority and links from the text
+      const cardFields = parseCardText(cardText);
       
       // Create the new card
       const card = {
-        text: cardText,
+        text: cardFields.text,
         completed: isCompleted,
         indentation: indentationLevel,
         content: '', // For multiline content
         subtasks: [],
-        tags: tags,
-        dueDate: dueDate,
-        priority: priority,
-        links: extractLinks(cardText) // Extract links from the card text
+        tags: cardFields.tags,
+        dueDate: cardFields.dueDate,
+        priority: cardFields.priority,
+        blockId: cardFields.blockId,
+        blocks: cardFields.blocks,
+        blockedBy: cardFields.blockedBy,
+        links: cardFields.links
       };
       
       // Add card to current column
       currentColumn.cards.push(card);
+      markers.push({ index: i, card });
       
       // Set this as the current card for potential content/subtasks
       currentCard = card;
       
       // Debug log
-      console.log(`Added card '${cardText.substring(0, 30)}${cardText.length > 30 ? '...' : ''}' to column '${currentColumn.title}'`);
+      console.log(`Added card '${card.text.substring(0, 30)}${card.text.length > 30 ? '...' : ''}' to column '${currentColumn.title}'`);
     }
     // Check if line is a nested/continued content for current card
     else if (currentColumn && currentCard) {
@@ -183,14 +221,17 @@ function parseMarkdown(markdown) {
       }
       
       // Add this line as continued content to the current card
-      currentCard.content += line + '\n';
+      addContentLine(line);
     }
   }
   
-  // Clean up the card content - trim trailing newlines
-  columns.forEach(column => {
+  // Columns including the archive, for the steps below that apply to both
+  const allColumns = archiveColumn ? [...columns, archiveColumn] : columns;
+  
+  // Clean up the card content - drop surrounding blank lines but keep indentation
+  allColumns.forEach(column => {
     column.cards.forEach(card => {
-      card.content = card.content.trim();
+      card.content = card.content.replace(/^\s*\n/, '').replace(/\s+$/, '');
     });
   });
   
@@ -199,7 +240,211 @@ function parseMarkdown(markdown) {
     throw new Error('No valid kanban columns found in the markdown file');
   }
   
-  return columns;
+  // Remember the original lines of every column and card
+  markers.forEach((marker, index) => {
+    let end = index + 1 < markers.length ? markers[index + 1].index : settingsIndex;
+    // The archive separator belongs to the archive, not to what precedes it
+    if (archiveIndex !== null && marker.index < archiveIndex && end > archiveIndex) {
+      end = archiveIndex;
+    }
+    const sourceLines = lines.slice(marker.index, end);
+    
+    if (marker.card) {
+      // Blank lines after a card are tracked separately so cards can move
+      let gap = 0;
+      while (sourceLines.length > 1 && !sourceLines[sourceLines.length - 1].trim()) {
+        sourceLines.pop();
+        gap++;
+      }
+      marker.card.source = {
+        lines: sourceLines,
+        gap,
+        canonical: serializeCard(marker.card).join('\n')
+      };
+    } else {
+      marker.column.source = {
+        heading: sourceLines[0],
+        title: marker.column.title,
+        wipLimit: marker.column.wipLimit,
+        before: sourceLines.slice(1)
+      };
+      if (marker.column === archiveColumn) {
+        marker.column.source.separator = lines.slice(archiveIndex, marker.index);
+      }
+    }
+  });
+  
+  // The blank lines after a column's last card belong to the column
+  allColumns.forEach(column => {
+    const cards = column.cards;
+    if (cards.length > 0) {
+      const lastCard = cards[cards.length - 1];
+      column.source.after = lastCard.source.gap;
+      delete lastCard.source.gap;
+      column.source.cardGap = cards.length > 1 ? cards[0].source.gap : 1;
+    }
+  });
+  
+  // Everything before the first column, including the front matter
+  const header = lines.slice(0, markers[0].index);
+  let frontMatter = null;
+  let frontMatterRange = null;
+  const frontMatterStart = header.findIndex(line => line.trim());
+  if (frontMatterStart >= 0 && header[frontMatterStart].trim() === '---') {
+    const frontMatterEnd = header.findIndex((line, index) => index > frontMatterStart && line.trim() === '---');
+    if (frontMatterEnd > frontMatterStart) {
+      frontMatter = header.slice(frontMatterStart + 1, frontMatterEnd).join('\n');
+      frontMatterRange = [frontMatterStart, frontMatterEnd];
+    }
+  }
+  
+  // The settings block and anything after it
+  const footer = lines.slice(settingsIndex);
+  const settings = parseSettingsBlock(footer);
+  
+  return {
+    frontMatter,
+    settings,
+    columns,
+    archive: archiveColumn,
+    source: {
+      header,
+      frontMatter,
+      frontMatterRange,
+      footer,
+      settings: JSON.stringify(settings),
+      lineEnding,
+      finalNewline
+    }
+  };
+}
+
+/**
+ * Check whether the next non-blank line is a column heading, which makes a
+ * preceding `***` the archive separator
+ * @param {Array} lines - Lines of the file
+ * @param {number} start - Index to start looking from
+ * @returns {boolean} True if a column heading follows
+ */
+function isArchiveHeadingNext(lines, start) {
+  for (let i = start; i < lines.length; i++) {
+    const trimmedLine = lines[i].trim();
+    if (trimmedLine) {
+      return /^##(?!#)/.test(trimmedLine);
+    }
+  }
+  return false;
+}
+
+/**
+ * Split a column heading into its title and work-in-progress limit,
+ * e.g. `Doing (3)` has the title `Doing` and a limit of 3
+ * @param {string} heading - Heading text without the leading `##`
+ * @returns {Object} { title, wipLimit } where wipLimit is null if not set
+ */
+function parseColumnHeading(heading) {
+  const match = heading.match(/^(.*\S)\s*\((\d+)\)$/);
+  if (!match || parseInt(match[2], 10) === 0) {
+    return { title: heading, wipLimit: null };
+  }
+  return { title: match[1], wipLimit: parseInt(match[2], 10) };
+}
+
+/**
+ * Build a column heading from its title and work-in-progress limit
+ * @param {Object} column - Column data object
+ * @returns {string} Heading text without the leading `##`
+ */
+function formatColumnHeading(column) {
+  return column.wipLimit ? `${column.title} (${column.wipLimit})` : column.title;
+}
+
+/**
+ * Parse the JSON inside an Obsidian `%% kanban:settings` block
+ * @param {Array} lines - Lines of the settings block
+ * @returns {Object|null} The settings, or null if missing or invalid
+ */
+function parseSettingsBlock(lines) {
+  const fenceStart = lines.findIndex(line => line.trim().startsWith('```'));
+  const fenceEnd = lines.findIndex((line, index) => index > fenceStart && line.trim().startsWith('```'));
+  if (fenceStart < 0 || fenceEnd < 0) return null;
+  
+  try {
+    return JSON.parse(lines.slice(fenceStart + 1, fenceEnd).join('\n'));
+  } catch (error) {
+    console.error('Invalid kanban settings block:', error);
+    return null;
+  }
+}
+
+/**
+ * Extract card metadata from the text of a card line
+ * @param {string} cardText - Card text without the list marker and checkbox
+ * @returns {Object} The text without due date, priority, relation and block
+ *   ID markers, plus tags, dueDate, priority, blockId, blocks, blockedBy and links
+ */
+function parseCardText(cardText) {
+  let text = cardText;
+  const tags = [];
+  let dueDate = null;
+  let priority = null;
+  let blockId = null;
+  const blocks = [];
+  const blockedBy = [];
+  
+  // Extract the Obsidian block ID other cards refer to - format ^id at the end
+  const blockIdRegex = /(?:^|\s+)\^([\w-]+)\s*$/;
+  const blockIdMatch = text.match(blockIdRegex);
+  if (blockIdMatch) {
+    blockId = blockIdMatch[1];
+    text = text.replace(blockIdRegex, '').trim();
+  }
+  
+  // Extract tags - format #tag, ignoring headings named in wiki-links
+  const tagRegex = /#([\w-]+)/g;
+  const tagText = text.replace(/\[\[[^\[\]]*\]\]/g, '');
+  let tagMatch;
+  while ((tagMatch = tagRegex.exec(tagText)) !== null) {
+    tags.push(tagMatch[1]);
+  }
+  
+  // Extract relations to other cards - format @blocks(^id) or @blockedBy(^id, ^id)
+  const relationRegex = /@(blocks|blockedBy)\(([^()]*)\)/g;
+  let relationMatch;
+  while ((relationMatch = relationRegex.exec(text)) !== null) {
+    const ids = relationMatch[2].split(',').map(id => id.trim().replace(/^\^/, '')).filter(Boolean);
+    (relationMatch[1] === 'blocks' ? blocks : blockedBy).push(...ids);
+  }
+  text = text.replace(/\s*@(blocks|blockedBy)\([^()]*\)/g, '').trim();
+  
+  // Extract due date - format @due(YYYY-MM-DD)
+  const dueDateRegex = /@due\((\d{4}-\d{2}-\d{2})\)/;
+  const dueDateMatch = text.match(dueDateRegex);
+  if (dueDateMatch) {
+    dueDate = dueDateMatch[1];
+    // Remove the due date marker from the text
+    text = text.replace(dueDateRegex, '').trim();
+  }
+  
+  // Extract priority - format !priority
+  const priorityRegex = /!(high|medium|low)/i;
+  const priorityMatch = text.match(priorityRegex);
+  if (priorityMatch) {
+    priority = priorityMatch[1].toLowerCase();
+    // Remove the priority marker from the text
+    text = text.replace(priorityRegex, '').trim();
+  }
+  
+  return {
+    text,
+    tags,
+    dueDate,
+    priority,
+    blockId,
+    blocks: [...new Set(blocks)],
+    blockedBy: [...new Set(blockedBy)],
+    links: extractLinks(text) // Extract links from the card text
+  };
 }
 
 /**
@@ -210,6 +455,17 @@ function parseMarkdown(markdown) {
 function extractLinks(text) {
   const links = [];
   
+  // Match wiki-links [[Note]], [[Note|alias]] and card references [[#^id]]
+  const wikiLinkRegex = /\[\[([^\[\]|]+)(?:\|([^\[\]]+))?\]\]/g;
+  let wikiMatch;
+  while ((wikiMatch = wikiLinkRegex.exec(text)) !== null) {
+    const target = wikiMatch[1].trim();
+    const cardRef = target.match(/^#\^([\w-]+)$/);
+    links.push(cardRef
+      ? { text: wikiMatch[2] || target, blockId: cardRef[1] }
+      : { text: wikiMatch[2] || target, target });
+  }
+  
   // Match markdown links [text](url)
   const markdownLinkRegex = /\[([^\[\]]+)\]\(([^\(\)]+)\)/g;
   let match;
@@ -237,109 +493,243 @@ function extractLinks(text) {
   return links;
 }
 
+// Front matter and settings written for boards that did not come from a file
+const DEFAULT_FRONT_MATTER = '\nkanban-plugin: board\n';
+const DEFAULT_SETTINGS = { 'kanban-plugin': 'board' };
+
 /**
- * Convert kanban board data back to markdown
- * @param {Array} columns - Array of column objects with their cards
+ * Convert kanban board data back to markdown.
+ * This is the only serializer: downloads and GitHub sync both use it, and
+ * parseMarkdown(generateMarkdown(columns)) yields the same columns.
+ * Columns, cards, front matter and settings that still match what was parsed
+ * are written from their original source lines, so saving an untouched board
+ * reproduces the file exactly, including CRLF line endings and whether it ends
+ * with a newline.
+ * @param {Array|Object} board - Array of column objects, or a board from parseBoard
  * @returns {string} Markdown representation of the kanban board
  */
-function generateMarkdown(columns) {
-  let markdown = '---\n\nkanban-plugin: board\n\n---\n\n';
+function generateMarkdown(board) {
+  if (Array.isArray(board)) {
+    board = { columns: board };
+  }
   
-  // Process each column
-  columns.forEach(column => {
-    markdown += `## ${column.title}\n\n`;
-    
-    // Process each card in the column
-    column.cards.forEach(card => {
-      // Create indentation based on nesting level
-      const indentation = '  '.repeat(card.indentation || 0);
-      const checkbox = card.completed ? '[x]' : '[ ]';
-      
-      // Start with the basic card text
-      let cardLine = `${indentation}- ${checkbox} ${card.text}`;
-      
-      // Add metadata if present
-      if (card.priority) {
-        cardLine += ` !${card.priority}`;
-      }
-      
-      if (card.dueDate) {
-        cardLine += ` @due(${card.dueDate})`;
-      }
-      
-      // Add tags
-      if (card.tags && card.tags.length > 0) {
-        card.tags.forEach(tag => {
-          // Only add if the tag isn't already in the text
-          if (!cardLine.includes(`#${tag}`)) {
-            cardLine += ` #${tag}`;
-          }
-        });
-      }
-      
-      markdown += `${cardLine}\n`;
-      
-      // Add multiline content if present
-      if (card.content) {
-        // Split content into lines and apply indentation
-        const contentLines = card.content.split('\n');
-        contentLines.forEach(line => {
-          markdown += `${indentation}  ${line}\n`;
-        });
-      }
-      
-      // Add subtasks if present
-      if (card.subtasks && card.subtasks.length > 0) {
-        card.subtasks.forEach(subtask => {
-          const subtaskIndent = '  '.repeat((card.indentation || 0) + 
-                                           (subtask.indentation || 1));
-          const subtaskCheckbox = subtask.completed ? '[x]' : '[ ]';
-          markdown += `${subtaskIndent}- ${subtaskCheckbox} ${subtask.text}\n`;
-        });
-      }
-      
-      // Add an extra newline after each card for readability
-      markdown += '\n';
-    });
-    
+  const lines = [
+    ...serializeHeader(board),
+    ...board.columns.flatMap(serializeColumn),
+    ...serializeArchive(board),
+    ...serializeFooter(board)
+  ];
+  
+  let markdown = lines.join('\n');
+  const source = board.source;
+  if (source && source.finalNewline === true && !markdown.endsWith('\n')) {
     markdown += '\n';
+  } else if (source && source.finalNewline === false) {
+    markdown = markdown.replace(/\n+$/, '');
+  }
+  if (source && source.lineEnding === '\r\n') {
+    markdown = markdown.replace(/\n/g, '\r\n');
+  }
+  
+  return markdown;
+}
+
+/**
+ * Serialize everything before the first column
+ * @param {Object} board - Board document
+ * @returns {Array} Lines of the header
+ */
+function serializeHeader(board) {
+  const source = board.source;
+  const frontMatterLines = (frontMatter) => ['---', ...frontMatter.split('\n'), '---'];
+  
+  if (!source) {
+    const frontMatter = board.frontMatter != null ? board.frontMatter : DEFAULT_FRONT_MATTER;
+    return [...frontMatterLines(frontMatter), ''];
+  }
+  
+  if (board.frontMatter === source.frontMatter) {
+    return source.header;
+  }
+  
+  // Replace only the front matter, keeping anything else in the header
+  const header = [...source.header];
+  const replacement = board.frontMatter != null ? frontMatterLines(board.frontMatter) : [];
+  if (source.frontMatterRange) {
+    const [start, end] = source.frontMatterRange;
+    header.splice(start, end - start + 1, ...replacement);
+  } else if (replacement.length > 0) {
+    header.unshift(...replacement, '');
+  }
+  return header;
+}
+
+/**
+ * Serialize the archive in the Obsidian Kanban plugin's format: a `***`
+ * separator followed by an Archive column
+ * @param {Object} board - Board document
+ * @returns {Array} Lines of the archive, empty if the board has none
+ */
+function serializeArchive(board) {
+  const archive = board.archive;
+  if (!archive || (!archive.source && archive.cards.length === 0)) {
+    return [];
+  }
+  
+  const separator = archive.source && archive.source.separator ? archive.source.separator : ['***', ''];
+  return [...separator, ...serializeColumn(archive)];
+}
+
+/**
+ * Serialize the settings block and anything after it
+ * @param {Object} board - Board document
+ * @returns {Array} Lines of the footer
+ */
+function serializeFooter(board) {
+  const source = board.source;
+  const settings = board.settings !== undefined ? board.settings : null;
+  
+  if (source && JSON.stringify(settings) === source.settings) {
+    return source.footer;
+  }
+  
+  // A file without a settings block stays without one
+  if (source && settings === null) {
+    return [];
+  }
+  
+  const block = [
+    '%% kanban:settings',
+    '```',
+    JSON.stringify(settings || DEFAULT_SETTINGS),
+    '```',
+    '%%'
+  ];
+  
+  // Keep whatever followed the original settings block
+  if (source && source.footer.length > 0) {
+    const closing = source.footer.findIndex((line, index) => index > 0 && line.trim() === '%%');
+    return [...block, ...source.footer.slice(closing >= 0 ? closing + 1 : source.footer.length)];
+  }
+  
+  return [...block, ''];
+}
+
+/**
+ * Serialize a column with its cards
+ * @param {Object} column - Column data object
+ * @returns {Array} Lines of the column
+ */
+function serializeColumn(column) {
+  const source = column.source;
+  const lines = [];
+  
+  const headingUnchanged = source && source.title === column.title &&
+    (source.wipLimit || null) === (column.wipLimit || null);
+  lines.push(headingUnchanged ? source.heading : `## ${formatColumnHeading(column)}`);
+  lines.push(...(source ? source.before : ['']));
+  
+  const blankLines = (count) => new Array(count).fill('');
+  const cardGap = source && source.cardGap !== undefined ? source.cardGap : 1;
+  
+  column.cards.forEach((card, index) => {
+    // Reuse the original lines of cards that were not changed
+    const canonical = serializeCard(card);
+    const unchanged = card.source && card.source.canonical === canonical.join('\n');
+    lines.push(...(unchanged ? card.source.lines : canonical));
+    
+    if (index < column.cards.length - 1) {
+      const gap = card.source && card.source.gap !== undefined ? card.source.gap : cardGap;
+      lines.push(...blankLines(gap));
+    }
   });
   
-  // Add settings section for compatibility
-  markdown += '%% kanban:settings\n```\n{"kanban-plugin":"board"}\n```\n%%\n';
+  if (column.cards.length > 0) {
+    lines.push(...blankLines(source && source.after !== undefined ? source.after : 2));
+  } else if (!source) {
+    lines.push('');
+  }
   
-  return markdown;
+  return lines;
 }
 
 /**
- * Format card text with markdown formatting
- * @param {string} text - Raw card text
- * @returns {string} HTML formatted text
+ * Serialize a card with its content and subtasks in canonical form
+ * @param {Object} card - Card data object
+ * @returns {Array} Lines of the card
  */
-function formatCardText(text) {
-  if (!text) return '';
+function serializeCard(card) {
+  const lines = [];
+  
+  // Create indentation based on nesting level
+  const indentation = '  '.repeat(card.indentation || 0);
+  const checkbox = card.completed ? '[x]' : '[ ]';
+  
+  // Start with the basic card text
+  let cardLine = `${indentation}- ${checkbox} ${card.text}`;
+  
+  // Add metadata if present
+  if (card.priority) {
+    cardLine += ` !${card.priority}`;
+  }
   
-  // Replace markdown links with HTML links
-  text = text.replace(/\[([^\[\]]+)\]\(([^\(\)]+)\)/g, 
-                     '<a href="$2" target="_blank" rel="noopener">$1</a>');
+  if (card.dueDate) {
+    cardLine += ` @due(${card.dueDate})`;
+  }
   
-  // Replace bare URLs with HTML links
-  text = text.replace(/(?<!\()https?:\/\/[^\s\)]+/g, 
-                     '<a href="$&" target="_blank" rel="noopener">$&</a>');
+  // Add relations to other cards
+  if (card.blocks && card.blocks.length > 0) {
+    cardLine += ` @blocks(${card.blocks.map(id => `^${id}`).join(', ')})`;
+  }
   
-  // Bold text
-  text = text.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
-  text = text.replace(/__([^_]+)__/g, '<strong>$1</strong>');
+  if (card.blockedBy && card.blockedBy.length > 0) {
+    cardLine += ` @blockedBy(${card.blockedBy.map(id => `^${id}`).join(', ')})`;
+  }
   
-  // Italic text
-  text = text.replace(/\*([^*]+)\*/g, '<em>$1</em>');
-  text = text.replace(/_([^_]+)_/g, '<em>$1</em>');
+  // Add tags
+  if (card.tags && card.tags.length > 0) {
+    card.tags.forEach(tag => {
+      // Only add if the tag isn't already in the text
+      if (!cardLine.includes(`#${tag}`)) {
+        cardLine += ` #${tag}`;
+      }
+    });
+  }
+  
+  // The block ID has to stay at the very end of the line for Obsidian
+  if (card.blockId) {
+    cardLine += ` ^${card.blockId}`;
+  }
   
-  // Code
-  text = text.replace(/`([^`]+)`/g, '<code>$1</code>');
+  lines.push(cardLine);
   
-  // Highlight tags
-  text = text.replace(/#([\w-]+)/g, '<span class="tag">$&</span>');
+  // Add multiline content if present
+  if (card.content) {
+    // Split content into lines and apply indentation
+    card.content.split('\n').forEach(line => {
+      // Leave blank lines empty rather than padding them with spaces
+      lines.push(line.trim() ? `${indentation}  ${line}` : '');
+    });
+  }
   
-  return text;
+  // Add subtasks if present
+  if (card.subtasks && card.subtasks.length > 0) {
+    card.subtasks.forEach(subtask => {
+      const subtaskIndent = '  '.repeat((card.indentation || 0) + 
+                                       (subtask.indentation || 1));
+      const subtaskCheckbox = subtask.completed ? '[x]' : '[ ]';
+      lines.push(`${subtaskIndent}- ${subtaskCheckbox} ${subtask.text}`);
+    });
+  }
+  
+  return lines;
+}
+
+/**
+ * Format card text with markdown formatting
+ * @param {string} text - Raw card text
+ * @returns {string} Sanitised HTML formatted text
+ */
+function formatCardText(text) {
+  return window.markdown.renderInline(text);
 }
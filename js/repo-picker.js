@@ -0,0 +1,358 @@
+/**
+ * repo-picker.js - Repository, branch and file picker for logged-in users
+ * Lists the repositories the GitHub token can see, including private and
+ * organisation repositories granted by the `repo` scope, the branches of the
+ * chosen repository and the markdown files on the chosen branch, so a board
+ * can be opened without typing its location.
+ */
+
+// Picker state, kept while the file selection is shown
+const pickerState = {
+  container: null,
+  onSelect: null,
+  repos: null,
+  repo: null,
+  branch: null
+};
+
+// Folders of a file tree with more markdown files than this start collapsed
+const EXPANDED_TREE_LIMIT = 30;
+
+/**
+ * Fetch every page of a paginated GitHub API list
+ * @param {string} url - URL of the first page
+ * @param {string} resource - What is listed, for error messages
+ * @returns {Promise<Array>} Items of all pages
+ */
+async function fetchAllPages(url, resource) {
+  const items = [];
+  let nextUrl = url;
+
+  while (nextUrl) {
+    const response = await fetch(nextUrl, { headers: window.auth.getGitHubHeaders() });
+    if (!response.ok) {
+      throw new Error(window.auth.describeGitHubError(response, resource));
+    }
+    items.push(...await response.json());
+    nextUrl = getNextPageUrl(response.headers.get('Link'));
+  }
+
+  return items;
+}
+
+/**
+ * Read the URL of the next page from a GitHub Link header
+ * @param {string|null} linkHeader - Value of the Link header
+ * @returns {string|null} URL of the next page, or null on the last page
+ */
+function getNextPageUrl(linkHeader) {
+  if (!linkHeader) return null;
+  const match = linkHeader.match(/<([^>]+)>;\s*rel="next"/);
+  return match ? match[1] : null;
+}
+
+/**
+ * List the repositories of the logged-in user, most recently updated first
+ * @returns {Promise<Array>} Repositories as returned by the GitHub API
+ */
+function listUserRepos() {
+  return fetchAllPages('https://api.github.com/user/repos?per_page=100&sort=updated&affiliation=owner,collaborator,organization_member', 'your repositories');
+}
+
+/**
+ * List the branches of a repository
+ * @param {string} fullName - Repository as owner/name
+ * @returns {Promise<Array>} Branch names
+ */
+async function listBranches(fullName) {
+  const branches = await fetchAllPages(`https://api.github.com/repos/${fullName}/branches?per_page=100`, `the branches of ${fullName}`);
+  return branches.map(branch => branch.name);
+}
+
+/**
+ * List the markdown files on a branch
+ * @param {string} fullName - Repository as owner/name
+ * @param {string} branch - Branch name
+ * @returns {Promise<Object>} { paths, truncated }, truncated being set when
+ *   the repository is too large for GitHub to list every file
+ */
+async function listMarkdownFiles(fullName, branch) {
+  const response = await fetch(
+    `https://api.github.com/repos/${fullName}/git/trees/${encodeURIComponent(branch)}?recursive=1`,
+    { headers: window.auth.getGitHubHeaders() }
+  );
+  if (!response.ok) {
+    throw new Error(window.auth.describeGitHubError(response, `${fullName} (${branch})`));
+  }
+
+  const data = await response.json();
+  const paths = data.tree
+    .filter(entry => entry.type === 'blob' && entry.path.toLowerCase().endsWith('.md'))
+    .map(entry => entry.path)
+    .sort();
+  return { paths, truncated: Boolean(data.truncated) };
+}
+
+/**
+ * Arrange file paths into nested folders
+ * @param {Array} paths - File paths
+ * @returns {Object} Root folder as { folders: { name: folder }, files: [path] }
+ */
+function buildFileTree(paths) {
+  const root = { folders: {}, files: [] };
+
+  paths.forEach(path => {
+    const parts = path.split('/');
+    let folder = root;
+    parts.slice(0, -1).forEach(part => {
+      if (!folder.folders[part]) {
+        folder.folders[part] = { folders: {}, files: [] };
+      }
+      folder = folder.folders[part];
+    });
+    folder.files.push(path);
+  });
+
+  return root;
+}
+
+/**
+ * Add the picker to the file selection
+ * @param {HTMLElement} container - Element the picker is rendered into
+ * @param {Function} onSelect - Called with { owner, repo, branch, path } when
+ *   a file is picked; a rejected promise is shown as an error in the picker
+ */
+function initRepoPicker(container, onSelect) {
+  if (!container) return;
+  pickerState.container = container;
+  pickerState.onSelect = onSelect;
+
+  container.innerHTML = '';
+
+  const toggleButton = document.createElement('button');
+  toggleButton.className = 'repo-picker-toggle';
+  toggleButton.textContent = 'Browse your repositories';
+
+  const panel = document.createElement('div');
+  panel.className = 'repo-picker-panel hidden';
+
+  const filterInput = document.createElement('input');
+  filterInput.type = 'search';
+  filterInput.className = 'repo-picker-filter';
+  filterInput.placeholder = 'Filter repositories';
+  filterInput.addEventListener('input', () => renderRepoOptions(filterInput.value));
+
+  const repoSelect = document.createElement('select');
+  repoSelect.className = 'repo-picker-repos';
+  repoSelect.size = 6;
+  repoSelect.addEventListener('change', () => selectRepo(repoSelect.value));
+
+  const branchSelect = document.createElement('select');
+  branchSelect.className = 'repo-picker-branches';
+  branchSelect.disabled = true;
+  branchSelect.addEventListener('change', () => selectBranch(branchSelect.value));
+
+  const status = document.createElement('div');
+  status.className = 'repo-picker-status';
+
+  const tree = document.createElement('div');
+  tree.className = 'repo-picker-tree';
+
+  panel.appendChild(filterInput);
+  panel.appendChild(repoSelect);
+  panel.appendChild(branchSelect);
+  panel.appendChild(status);
+  panel.appendChild(tree);
+
+  toggleButton.addEventListener('click', () => {
+    panel.classList.toggle('hidden');
+    if (!panel.classList.contains('hidden') && !pickerState.repos) {
+      loadRepos();
+    }
+  });
+
+  container.appendChild(toggleButton);
+  container.appendChild(panel);
+}
+
+/**
+ * Fetch the repositories of the logged-in user into the picker
+ * @returns {Promise<void>}
+ */
+async function loadRepos() {
+  setPickerStatus('Loading repositories...');
+
+  try {
+    pickerState.repos = await listUserRepos();
+    renderRepoOptions(pickerState.container.querySelector('.repo-picker-filter').value);
+    setPickerStatus(pickerState.repos.length === 0 ? 'No repositories found for this account.' : '');
+  } catch (error) {
+    console.error('Error listing repositories:', error);
+    setPickerStatus(error.message, true);
+  }
+}
+
+/**
+ * List the repositories matching a filter in the repository select
+ * @param {string} filter - Text the repository name must contain
+ */
+function renderRepoOptions(filter) {
+  const repoSelect = pickerState.container.querySelector('.repo-picker-repos');
+  const query = filter.trim().toLowerCase();
+  repoSelect.innerHTML = '';
+
+  (pickerState.repos || [])
+    .filter(repo => repo.full_name.toLowerCase().includes(query))
+    .forEach(repo => {
+      const option = document.createElement('option');
+      option.value = repo.full_name;
+      option.textContent = repo.private ? `${repo.full_name} (private)` : repo.full_name;
+      option.selected = repo.full_name === pickerState.repo;
+      repoSelect.appendChild(option);
+    });
+}
+
+/**
+ * Show the branches of a repository, starting on its default branch
+ * @param {string} fullName - Repository as owner/name
+ * @returns {Promise<void>}
+ */
+async function selectRepo(fullName) {
+  const repo = pickerState.repos.find(item => item.full_name === fullName);
+  if (!repo) return;
+
+  pickerState.repo = fullName;
+  pickerState.branch = null;
+
+  const branchSelect = pickerState.container.querySelector('.repo-picker-branches');
+  branchSelect.innerHTML = '';
+  branchSelect.disabled = true;
+  pickerState.container.querySelector('.repo-picker-tree').innerHTML = '';
+  setPickerStatus('Loading branches...');
+
+  try {
+    const branches = await listBranches(fullName);
+    if (pickerState.repo !== fullName) return;
+
+    branches.forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      option.selected = name === repo.default_branch;
+      branchSelect.appendChild(option);
+    });
+    branchSelect.disabled = branches.length === 0;
+
+    if (branches.length === 0) {
+      setPickerStatus('This repository has no branches yet.');
+      return;
+    }
+    await selectBranch(branchSelect.value);
+  } catch (error) {
+    console.error('Error listing branches:', error);
+    setPickerStatus(error.message, true);
+  }
+}
+
+/**
+ * Show the markdown files on a branch of the chosen repository
+ * @param {string} branch - Branch name
+ * @returns {Promise<void>}
+ */
+async function selectBranch(branch) {
+  const fullName = pickerState.repo;
+  pickerState.branch = branch;
+
+  const tree = pickerState.container.querySelector('.repo-picker-tree');
+  tree.innerHTML = '';
+  setPickerStatus('Loading files...');
+
+  try {
+    const { paths, truncated } = await listMarkdownFiles(fullName, branch);
+    if (pickerState.repo !== fullName || pickerState.branch !== branch) return;
+
+    if (paths.length === 0) {
+      setPickerStatus('No markdown files on this branch.');
+      return;
+    }
+
+    tree.appendChild(renderFolder(buildFileTree(paths), paths.length <= EXPANDED_TREE_LIMIT));
+    setPickerStatus(truncated ? 'This repository is too large to list every file; some files are missing.' : '');
+  } catch (error) {
+    console.error('Error listing files:', error);
+    setPickerStatus(error.message, true);
+  }
+}
+
+/**
+ * Render a folder of the file tree
+ * @param {Object} folder - Folder from buildFileTree
+ * @param {boolean} expanded - Whether sub-folders start expanded
+ * @returns {HTMLElement} List of the folder's sub-folders and files
+ */
+function renderFolder(folder, expanded) {
+  const list = document.createElement('ul');
+
+  Object.keys(folder.folders).sort().forEach(name => {
+    const item = document.createElement('li');
+    const details = document.createElement('details');
+    details.open = expanded;
+
+    const summary = document.createElement('summary');
+    summary.textContent = name;
+    details.appendChild(summary);
+    details.appendChild(renderFolder(folder.folders[name], expanded));
+
+    item.appendChild(details);
+    list.appendChild(item);
+  });
+
+  folder.files.forEach(path => {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.className = 'repo-picker-file';
+    button.textContent = path.split('/').pop();
+    button.title = path;
+    button.addEventListener('click', () => pickFile(path));
+    item.appendChild(button);
+    list.appendChild(item);
+  });
+
+  return list;
+}
+
+/**
+ * Hand a picked file to the picker's owner to be opened
+ * @param {string} path - Path of the file
+ * @returns {Promise<void>}
+ */
+async function pickFile(path) {
+  const [owner, repo] = pickerState.repo.split('/');
+  setPickerStatus(`Opening ${path}...`);
+
+  try {
+    await pickerState.onSelect({ owner, repo, branch: pickerState.branch, path });
+    setPickerStatus('');
+  } catch (error) {
+    setPickerStatus(error.message, true);
+  }
+}
+
+/**
+ * Show a message under the picker's selects
+ * @param {string} message - Message, or an empty string to clear it
+ * @param {boolean} [isError] - Whether the message reports an error
+ */
+function setPickerStatus(message, isError = false) {
+  const status = pickerState.container.querySelector('.repo-picker-status');
+  status.textContent = message;
+  status.classList.toggle('error', isError);
+}
+
+// Export functions for use in other modules
+window.repoPicker = {
+  initRepoPicker,
+  listUserRepos,
+  listBranches,
+  listMarkdownFiles
+};
@@ -0,0 +1,884 @@
+/**
+ * store.js - In-memory board model
+ * Holds the loaded board (columns and cards with stable IDs, plus the file's
+ * front matter and settings) and exposes commands that change it. Loading a
+ * board emits `board:load`; every command emits `board:change`. The renderer
+ * and sync module subscribe to these events instead of reading the DOM.
+ * Commands record snapshots so they can be undone and redone.
+ */
+
+// Maximum number of undo steps kept
+const HISTORY_LIMIT = 50;
+
+// Maximum size of the undo and redo snapshots together, in characters of
+// JSON, so the history of a large board still fits in local storage
+const HISTORY_SIZE_LIMIT = 500000;
+
+// The current board: { frontMatter, settings, source, columns, archive }
+let boardState = null;
+
+// Board snapshots to return to on undo and redo
+let undoStack = [];
+let redoStack = [];
+
+// JSON size of each snapshot, so the history size is not recomputed per command
+const snapshotSizes = new WeakMap();
+
+// Source lines of the loaded board's columns and cards by ID. Snapshots leave
+// them out to stay small and get them back when they are restored.
+let sourcesById = new Map();
+
+// Counter used to build unique IDs within this session
+let idCounter = 0;
+
+/**
+ * Generate an ID that is unique within the session
+ * @param {string} prefix - Prefix describing the kind of object
+ * @returns {string} The generated ID
+ */
+function generateId(prefix) {
+  idCounter++;
+  return `${prefix}-${Date.now().toString(36)}-${idCounter.toString(36)}`;
+}
+
+/**
+ * Create a card with all fields the parser produces
+ * @param {Object} fields - Initial card fields
+ * @returns {Object} The new card
+ */
+function createCard(fields = {}) {
+  return {
+    id: generateId('card'),
+    text: 'New Card',
+    completed: false,
+    indentation: 0,
+    content: '',
+    subtasks: [],
+    tags: [],
+    dueDate: null,
+    priority: null,
+    blockId: null,
+    blocks: [],
+    blockedBy: [],
+    links: [],
+    ...fields
+  };
+}
+
+/**
+ * Create a column
+ * @param {Object} fields - Initial column fields
+ * @returns {Object} The new column
+ */
+function createColumn(fields = {}) {
+  return {
+    id: generateId('column'),
+    title: 'New Column',
+    wipLimit: null,
+    cards: [],
+    ...fields
+  };
+}
+
+/**
+ * Emit a board event for subscribers
+ * @param {string} eventName - 'board:load' or 'board:change'
+ * @param {Object} detail - Event details, e.g. the command type and affected IDs
+ */
+function emitBoardEvent(eventName, detail) {
+  window.dispatchEvent(new CustomEvent(eventName, {
+    detail: { ...detail, board: boardState }
+  }));
+}
+
+/**
+ * Take a snapshot of the parts of the board that commands change
+ * @returns {Object} Deep copy of the columns, archive and settings, without
+ *   the source lines of columns and cards
+ */
+function takeSnapshot() {
+  const columnsJson = JSON.stringify({
+    columns: boardState.columns,
+    archive: boardState.archive || null
+  }, (key, value) => (key === 'source' ? undefined : value));
+  const snapshot = {
+    ...JSON.parse(columnsJson),
+    settings: JSON.parse(JSON.stringify(boardState.settings || null))
+  };
+  snapshotSizes.set(snapshot, columnsJson.length);
+  return snapshot;
+}
+
+/**
+ * Make a snapshot the current board again, with the source lines of its
+ * columns and cards so unchanged parts are written back as they were
+ * @param {Object} snapshot - Snapshot from takeSnapshot
+ */
+function restoreSnapshot(snapshot) {
+  const withSource = (item) => (sourcesById.has(item.id) ? { ...item, source: sourcesById.get(item.id) } : item);
+  const restoreColumn = (column) => withSource({ ...column, cards: column.cards.map(withSource) });
+
+  Object.assign(boardState, {
+    ...snapshot,
+    columns: snapshot.columns.map(restoreColumn),
+    archive: snapshot.archive ? restoreColumn(snapshot.archive) : null
+  });
+}
+
+/**
+ * Get the size of a snapshot
+ * @param {Object} snapshot - Snapshot from takeSnapshot or a saved history
+ * @returns {number} Size in characters of JSON
+ */
+function snapshotSize(snapshot) {
+  if (!snapshotSizes.has(snapshot)) {
+    snapshotSizes.set(snapshot, JSON.stringify(snapshot).length);
+  }
+  return snapshotSizes.get(snapshot);
+}
+
+/**
+ * Drop the oldest undo steps until the history is within its limits
+ */
+function trimHistory() {
+  let size = [...undoStack, ...redoStack].reduce((total, snapshot) => total + snapshotSize(snapshot), 0);
+  while (undoStack.length > 0 && (undoStack.length > HISTORY_LIMIT || size > HISTORY_SIZE_LIMIT)) {
+    size -= snapshotSize(undoStack.shift());
+  }
+}
+
+/**
+ * Record the current board so the command about to run can be undone
+ */
+function recordHistory() {
+  undoStack.push(takeSnapshot());
+  redoStack = [];
+  trimHistory();
+}
+
+/**
+ * Undo the last command
+ * @returns {boolean} Whether anything was undone
+ */
+function undo() {
+  if (!boardState || undoStack.length === 0) return false;
+
+  redoStack.push(takeSnapshot());
+  restoreSnapshot(undoStack.pop());
+
+  emitBoardEvent('board:change', { type: 'undo' });
+  return true;
+}
+
+/**
+ * Redo the last undone command
+ * @returns {boolean} Whether anything was redone
+ */
+function redo() {
+  if (!boardState || redoStack.length === 0) return false;
+
+  undoStack.push(takeSnapshot());
+  restoreSnapshot(redoStack.pop());
+
+  emitBoardEvent('board:change', { type: 'redo' });
+  return true;
+}
+
+/**
+ * Get the undo/redo history so it can be persisted
+ * @returns {Object} { undo, redo } snapshot stacks
+ */
+function getHistory() {
+  return { undo: undoStack, redo: redoStack };
+}
+
+/**
+ * Copy a column, assigning IDs to it and its cards where they lack one
+ * @param {Object} column - Column as returned by parseBoard
+ * @returns {Object} The column with IDs
+ */
+function withIds(column) {
+  return {
+    ...column,
+    id: column.id || generateId('column'),
+    cards: column.cards.map(card => ({
+      ...card,
+      id: card.id || generateId('card')
+    }))
+  };
+}
+
+/**
+ * Load a board into the store, assigning IDs to columns and cards that lack them
+ * @param {Object} board - Board as returned by parseBoard
+ * @param {Object} [history] - Undo/redo history saved with the board; a board
+ *   loaded without one starts with an empty history
+ */
+function loadBoard(board, history) {
+  boardState = {
+    ...board,
+    columns: board.columns.map(withIds),
+    archive: board.archive ? withIds(board.archive) : null
+  };
+
+  sourcesById = new Map();
+  const columns = boardState.archive ? [...boardState.columns, boardState.archive] : boardState.columns;
+  columns.forEach(column => {
+    [column, ...column.cards].filter(item => item.source).forEach(item => sourcesById.set(item.id, item.source));
+  });
+
+  undoStack = history ? history.undo.slice(-HISTORY_LIMIT) : [];
+  redoStack = history ? history.redo.slice(-HISTORY_LIMIT) : [];
+  trimHistory();
+
+  emitBoardEvent('board:load', { type: 'load' });
+}
+
+/**
+ * Get the current board
+ * @returns {Object|null} The board, or null if nothing is loaded
+ */
+function getBoard() {
+  return boardState;
+}
+
+/**
+ * Find a column by ID
+ * @param {string} columnId - Column ID
+ * @returns {Object|null} The column
+ */
+function findColumn(columnId) {
+  if (!boardState) return null;
+  return boardState.columns.find(column => column.id === columnId) || null;
+}
+
+/**
+ * Find a card and its position by ID. Archived cards are found too; their
+ * column is the archive.
+ * @param {string} cardId - Card ID
+ * @returns {Object|null} { card, column, index } or null if not found
+ */
+function findCard(cardId) {
+  if (!boardState) return null;
+
+  const columns = boardState.archive ? [...boardState.columns, boardState.archive] : boardState.columns;
+  for (const column of columns) {
+    const index = column.cards.findIndex(card => card.id === cardId);
+    if (index >= 0) {
+      return { card: column.cards[index], column, index };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find a card by the Obsidian block ID other cards use to refer to it
+ * @param {string} blockId - Block ID without the leading ^
+ * @returns {Object|null} { card, column, index } or null if not found
+ */
+function findCardByBlockId(blockId) {
+  if (!boardState || !blockId) return null;
+
+  const columns = boardState.archive ? [...boardState.columns, boardState.archive] : boardState.columns;
+  for (const column of columns) {
+    const index = column.cards.findIndex(card => card.blockId === blockId);
+    if (index >= 0) {
+      return { card: column.cards[index], column, index };
+    }
+  }
+  return null;
+}
+
+/**
+ * Create a block ID that no card on the board uses yet
+ * @returns {string} Six random letters and digits, as Obsidian generates them
+ */
+function createBlockId() {
+  let blockId;
+  do {
+    blockId = Math.random().toString(36).slice(2, 8);
+  } while (blockId.length < 6 || findCardByBlockId(blockId));
+  return blockId;
+}
+
+/**
+ * Give a card a block ID so other cards can refer to it
+ * @param {string} cardId - Card ID
+ * @returns {string|null} The card's block ID, or null if the card was not found
+ */
+function assignBlockId(cardId) {
+  const found = findCard(cardId);
+  if (!found) return null;
+  if (found.card.blockId) return found.card.blockId;
+
+  const blockId = createBlockId();
+  updateCard(cardId, { blockId });
+  return blockId;
+}
+
+/**
+ * Add a card to a column
+ * @param {string} columnId - Target column ID
+ * @param {Object} fields - Initial card fields
+ * @param {number} [index] - Position in the column (defaults to the end)
+ * @returns {string|null} ID of the new card
+ */
+function addCard(columnId, fields = {}, index) {
+  const column = findColumn(columnId);
+  if (!column) return null;
+
+  recordHistory();
+  const card = createCard(fields);
+  const position = index === undefined ? column.cards.length : index;
+  column.cards.splice(position, 0, card);
+
+  emitBoardEvent('board:change', { type: 'addCard', cardId: card.id, columnId });
+  return card.id;
+}
+
+/**
+ * Update fields of a card
+ * @param {string} cardId - Card ID
+ * @param {Object} changes - Fields to change
+ */
+function updateCard(cardId, changes) {
+  const found = findCard(cardId);
+  if (!found) return;
+
+  recordHistory();
+  const previous = { ...found.card };
+  Object.assign(found.card, changes);
+
+  emitBoardEvent('board:change', {
+    type: 'updateCard',
+    cardId,
+    columnId: found.column.id,
+    previous
+  });
+}
+
+/**
+ * Update fields of a subtask
+ * @param {string} cardId - ID of the card holding the subtask
+ * @param {number} subtaskIndex - Index of the subtask
+ * @param {Object} changes - Fields to change
+ */
+function updateSubtask(cardId, subtaskIndex, changes) {
+  const found = findCard(cardId);
+  if (!found || !found.card.subtasks[subtaskIndex]) return;
+
+  const subtasks = found.card.subtasks.map((subtask, index) =>
+    index === subtaskIndex ? { ...subtask, ...changes } : subtask);
+  updateCard(cardId, { subtasks });
+}
+
+/**
+ * Delete a card
+ * @param {string} cardId - Card ID
+ */
+function deleteCard(cardId) {
+  const found = findCard(cardId);
+  if (!found) return;
+
+  recordHistory();
+  found.column.cards.splice(found.index, 1);
+
+  emitBoardEvent('board:change', {
+    type: 'deleteCard',
+    cardId,
+    columnId: found.column.id,
+    card: found.card
+  });
+}
+
+/**
+ * Move a card to a position in a column
+ * @param {string} cardId - Card ID
+ * @param {string} toColumnId - Target column ID
+ * @param {number} toIndex - Position in the target column after the move
+ * @returns {boolean} Whether the card was moved; moves into a column at its
+ *   enforced work-in-progress limit are refused
+ */
+function moveCard(cardId, toColumnId, toIndex) {
+  const found = findCard(cardId);
+  const targetColumn = findColumn(toColumnId);
+  if (!found || !targetColumn) return false;
+
+  // Nothing to do if the card stays where it is
+  if (found.column === targetColumn && found.index === toIndex) return false;
+
+  if (found.column !== targetColumn && !canAcceptCard(toColumnId)) return false;
+
+  recordHistory();
+  found.column.cards.splice(found.index, 1);
+  const position = Math.max(0, Math.min(toIndex, targetColumn.cards.length));
+  targetColumn.cards.splice(position, 0, found.card);
+
+  emitBoardEvent('board:change', {
+    type: 'moveCard',
+    cardId,
+    fromColumnId: found.column.id,
+    columnId: targetColumn.id
+  });
+  return true;
+}
+
+/**
+ * Give a card older fields and put it back at an older position as a single
+ * change, so one undo reverts both
+ * @param {string} cardId - Card ID
+ * @param {Object} fields - Card fields to set
+ * @param {string} toColumnId - Column the card goes back to
+ * @param {number} toIndex - Position in that column
+ * @returns {boolean} Whether the card changed; a move is refused if it would
+ *   take the column over its enforced limit
+ */
+function revertCard(cardId, fields, toColumnId, toIndex) {
+  const found = findCard(cardId);
+  // Archived cards stay in the archive, which findColumn does not search
+  const targetColumn = found && found.column.id === toColumnId ? found.column : findColumn(toColumnId);
+  if (!found || !targetColumn) return false;
+
+  if (found.column !== targetColumn && !canAcceptCard(toColumnId)) return false;
+
+  recordHistory();
+  const previous = { ...found.card };
+  Object.assign(found.card, fields);
+  found.column.cards.splice(found.index, 1);
+  const position = Math.max(0, Math.min(toIndex, targetColumn.cards.length));
+  targetColumn.cards.splice(position, 0, found.card);
+
+  emitBoardEvent('board:change', {
+    type: 'revertCard',
+    cardId,
+    fromColumnId: found.column.id,
+    columnId: targetColumn.id,
+    previous
+  });
+  return true;
+}
+
+/**
+ * Move several cards to a position in a column as a single change
+ * @param {Array} cardIds - Card IDs, in the order they should end up in
+ * @param {string} toColumnId - Target column ID
+ * @param {number} [toIndex] - Position of the first card in the target column
+ *   after the move (defaults to the end)
+ * @returns {boolean} Whether the cards were moved; the move is refused if the
+ *   cards would take the target column over its enforced limit
+ */
+function moveCards(cardIds, toColumnId, toIndex) {
+  const targetColumn = findColumn(toColumnId);
+  const found = cardIds.map(findCard).filter(Boolean);
+  if (!targetColumn || found.length === 0) return false;
+
+  const incoming = found.filter(item => item.column !== targetColumn).length;
+  if (incoming > 0 && !canAcceptCard(toColumnId, incoming)) return false;
+
+  recordHistory();
+  found.forEach(item => {
+    item.column.cards.splice(item.column.cards.indexOf(item.card), 1);
+  });
+  const position = toIndex === undefined ? targetColumn.cards.length :
+    Math.max(0, Math.min(toIndex, targetColumn.cards.length));
+  targetColumn.cards.splice(position, 0, ...found.map(item => item.card));
+
+  emitBoardEvent('board:change', {
+    type: 'moveCards',
+    cardIds: found.map(item => item.card.id),
+    fromColumnIds: [...new Set(found.map(item => item.column.id))],
+    columnId: targetColumn.id
+  });
+  return true;
+}
+
+/**
+ * Update several cards as a single change
+ * @param {Array} cardIds - Card IDs
+ * @param {Object|Function} changes - Fields to change, or a function returning
+ *   the fields to change for a given card
+ */
+function updateCards(cardIds, changes) {
+  const found = cardIds.map(findCard).filter(Boolean);
+  if (found.length === 0) return;
+
+  recordHistory();
+  found.forEach(item => {
+    Object.assign(item.card, typeof changes === 'function' ? changes(item.card) : changes);
+  });
+
+  emitBoardEvent('board:change', {
+    type: 'updateCards',
+    cardIds: found.map(item => item.card.id)
+  });
+}
+
+/**
+ * Delete several cards as a single change
+ * @param {Array} cardIds - Card IDs
+ */
+function deleteCards(cardIds) {
+  const found = cardIds.map(findCard).filter(Boolean);
+  if (found.length === 0) return;
+
+  recordHistory();
+  found.forEach(item => {
+    item.column.cards.splice(item.column.cards.indexOf(item.card), 1);
+  });
+
+  emitBoardEvent('board:change', {
+    type: 'deleteCards',
+    cardIds: found.map(item => item.card.id),
+    cards: found.map(item => item.card)
+  });
+}
+
+/**
+ * Move cards to the archive as a single change
+ * @param {Array} cardIds - Card IDs
+ */
+function archiveCards(cardIds) {
+  const found = cardIds.map(findCard).filter(item => item && item.column !== boardState.archive);
+  if (found.length === 0) return;
+
+  recordHistory();
+  if (!boardState.archive) {
+    boardState.archive = createColumn({ title: 'Archive', archive: true });
+  }
+  found.forEach(item => {
+    item.column.cards.splice(item.column.cards.indexOf(item.card), 1);
+  });
+  boardState.archive.cards.push(...found.map(item => item.card));
+
+  emitBoardEvent('board:change', {
+    type: 'archiveCards',
+    cardIds: found.map(item => item.card.id),
+    fromColumnIds: [...new Set(found.map(item => item.column.id))],
+    columnId: boardState.archive.id
+  });
+}
+
+/**
+ * Move an archived card back onto the board
+ * @param {string} cardId - Card ID
+ * @param {string} toColumnId - Column to restore the card to
+ * @returns {boolean} Whether the card was restored
+ */
+function restoreCard(cardId, toColumnId) {
+  const found = findCard(cardId);
+  const targetColumn = findColumn(toColumnId);
+  if (!found || !targetColumn || found.column !== boardState.archive) return false;
+
+  return moveCard(cardId, toColumnId, targetColumn.cards.length);
+}
+
+/**
+ * Add a column
+ * @param {string} title - Column title
+ * @param {number} [index] - Position of the column (defaults to the end)
+ * @returns {string|null} ID of the new column
+ */
+function addColumn(title, index) {
+  if (!boardState) return null;
+
+  recordHistory();
+  const column = createColumn({ title });
+  const position = index === undefined ? boardState.columns.length : index;
+  boardState.columns.splice(position, 0, column);
+
+  emitBoardEvent('board:change', { type: 'addColumn', columnId: column.id });
+  return column.id;
+}
+
+/**
+ * Rename a column
+ * @param {string} columnId - Column ID
+ * @param {string} title - New title
+ */
+function renameColumn(columnId, title) {
+  const column = findColumn(columnId);
+  if (!column || !title || column.title === title) return;
+
+  recordHistory();
+  const previousTitle = column.title;
+  column.title = title;
+
+  renameColumnSettings(previousTitle, title);
+
+  emitBoardEvent('board:change', { type: 'renameColumn', columnId, previousTitle });
+}
+
+/**
+ * Move a column to a new position
+ * @param {string} columnId - Column ID
+ * @param {number} toIndex - Position of the column after the move
+ */
+function moveColumn(columnId, toIndex) {
+  const column = findColumn(columnId);
+  if (!column) return;
+
+  const fromIndex = boardState.columns.indexOf(column);
+  const position = Math.max(0, Math.min(toIndex, boardState.columns.length - 1));
+  if (fromIndex === position) return;
+
+  recordHistory();
+  boardState.columns.splice(fromIndex, 1);
+  boardState.columns.splice(position, 0, column);
+
+  emitBoardEvent('board:change', { type: 'moveColumn', columnId });
+}
+
+/**
+ * Delete a column, optionally moving its cards to another column first
+ * @param {string} columnId - Column ID
+ * @param {string|null} moveCardsToColumnId - Column receiving the cards, or null to delete them
+ * @returns {boolean} Whether the column was deleted; it is kept if its cards
+ *   would take the receiving column over its enforced limit
+ */
+function deleteColumn(columnId, moveCardsToColumnId = null) {
+  const column = findColumn(columnId);
+  // A board always keeps at least one column
+  if (!column || boardState.columns.length <= 1) return false;
+
+  const targetColumn = moveCardsToColumnId ? findColumn(moveCardsToColumnId) : null;
+  if (targetColumn && targetColumn !== column && column.cards.length > 0 &&
+      !canAcceptCard(targetColumn.id, column.cards.length)) {
+    return false;
+  }
+
+  recordHistory();
+  if (targetColumn && targetColumn !== column) {
+    targetColumn.cards.push(...column.cards);
+  }
+  boardState.columns.splice(boardState.columns.indexOf(column), 1);
+
+  renameColumnSettings(column.title, null);
+
+  emitBoardEvent('board:change', {
+    type: 'deleteColumn',
+    columnId,
+    column,
+    movedToColumnId: targetColumn ? targetColumn.id : null
+  });
+  return true;
+}
+
+/**
+ * Collapse or expand a column. The state is kept in the settings block so it
+ * is saved with the file.
+ * @param {string} columnId - Column ID
+ */
+function toggleColumnCollapsed(columnId) {
+  const column = findColumn(columnId);
+  if (!column) return;
+
+  recordHistory();
+  const collapsed = getCollapsedTitles();
+  setCollapsedTitles(collapsed.includes(column.title) ?
+    collapsed.filter(title => title !== column.title) :
+    [...collapsed, column.title]);
+
+  emitBoardEvent('board:change', { type: 'toggleColumnCollapsed', columnId });
+}
+
+/**
+ * Check whether a column is collapsed
+ * @param {string} columnId - Column ID
+ * @returns {boolean} True if collapsed
+ */
+function isColumnCollapsed(columnId) {
+  const column = findColumn(columnId);
+  return !!column && getCollapsedTitles().includes(column.title);
+}
+
+/**
+ * Get the titles of collapsed columns from the settings block
+ * @returns {Array} Column titles
+ */
+function getCollapsedTitles() {
+  const settings = boardState && boardState.settings;
+  return (settings && settings['collapsed-lanes']) || [];
+}
+
+/**
+ * Store the titles of collapsed columns in the settings block
+ * @param {Array} titles - Column titles
+ */
+function setCollapsedTitles(titles) {
+  setSettingsEntry('collapsed-lanes', titles.length > 0 ? titles : null);
+}
+
+/**
+ * Set or remove an entry of the settings block without recording history
+ * @param {string} key - Settings key
+ * @param {*} value - New value, or null to remove the entry
+ */
+function setSettingsEntry(key, value) {
+  const settings = { ...(boardState.settings || DEFAULT_SETTINGS) };
+  if (value === null || value === undefined) {
+    delete settings[key];
+  } else {
+    settings[key] = value;
+  }
+  boardState.settings = settings;
+}
+
+/**
+ * Carry the settings stored under a column's title over to a new title
+ * @param {string} previousTitle - Old column title
+ * @param {string|null} title - New column title, or null if the column was deleted
+ */
+function renameColumnSettings(previousTitle, title) {
+  const collapsed = getCollapsedTitles();
+  if (collapsed.includes(previousTitle)) {
+    setCollapsedTitles(title === null ?
+      collapsed.filter(item => item !== previousTitle) :
+      collapsed.map(item => item === previousTitle ? title : item));
+  }
+
+  const wipLimits = getWipLimitSettings();
+  if (wipLimits[previousTitle] !== undefined) {
+    const limits = { ...wipLimits };
+    if (title !== null) {
+      limits[title] = limits[previousTitle];
+    }
+    delete limits[previousTitle];
+    setSettingsEntry('wip-limits', Object.keys(limits).length > 0 ? limits : null);
+  }
+}
+
+/**
+ * Get the work-in-progress limits declared in the settings block
+ * @returns {Object} Map of column title to limit
+ */
+function getWipLimitSettings() {
+  const settings = boardState && boardState.settings;
+  return (settings && settings['wip-limits']) || {};
+}
+
+/**
+ * Get the work-in-progress limit of a column. A limit in the heading, as in
+ * `## Doing (3)`, takes precedence over one in the settings block.
+ * @param {string} columnId - Column ID
+ * @returns {number|null} The limit, or null if the column has none
+ */
+function getWipLimit(columnId) {
+  const column = findColumn(columnId);
+  if (!column) return null;
+  return column.wipLimit || getWipLimitSettings()[column.title] || null;
+}
+
+/**
+ * Check whether moves that would exceed a column's limit are refused
+ * @returns {boolean} True if limits are enforced
+ */
+function isWipLimitEnforced() {
+  return !!(boardState && boardState.settings && boardState.settings['wip-limits-enforced']);
+}
+
+/**
+ * Check whether cards may be moved into a column without exceeding its limit
+ * @param {string} columnId - Column ID
+ * @param {number} [count] - Number of cards to move in
+ * @returns {boolean} True if the column can take the cards
+ */
+function canAcceptCard(columnId, count = 1) {
+  const column = findColumn(columnId);
+  const limit = getWipLimit(columnId);
+  if (!column || !limit || !isWipLimitEnforced()) return true;
+  return column.cards.length + count <= limit;
+}
+
+/**
+ * Set the work-in-progress limit of a column. The limit is written into the
+ * column heading; clearing it also removes any limit from the settings block.
+ * @param {string} columnId - Column ID
+ * @param {number|null} limit - New limit, or null to remove it
+ */
+function setColumnWipLimit(columnId, limit) {
+  const column = findColumn(columnId);
+  if (!column) return;
+
+  const wipLimit = limit > 0 ? limit : null;
+  if (wipLimit === getWipLimit(columnId) && (column.wipLimit || null) === wipLimit) return;
+
+  recordHistory();
+  column.wipLimit = wipLimit;
+  if (wipLimit === null) {
+    renameColumnSettings(column.title, null);
+  }
+
+  emitBoardEvent('board:change', { type: 'setColumnWipLimit', columnId });
+}
+
+/**
+ * Change entries of the board's settings block
+ * @param {Object} changes - Settings to change; null values remove the entry
+ */
+function updateSettings(changes) {
+  if (!boardState) return;
+
+  recordHistory();
+  Object.entries(changes).forEach(([key, value]) => setSettingsEntry(key, value));
+
+  emitBoardEvent('board:change', { type: 'updateSettings' });
+}
+
+/**
+ * Bring back the columns, archive and settings of an earlier version of the
+ * board, as one step that can be undone
+ * @param {Object} board - The earlier version, as returned by parseBoard
+ * @param {string} version - Name of the version, e.g. a commit SHA, for the change log
+ */
+function restoreVersion(board, version) {
+  if (!boardState) return;
+
+  recordHistory();
+  const restored = JSON.parse(JSON.stringify({
+    columns: board.columns,
+    archive: board.archive || null,
+    settings: board.settings
+  }));
+  boardState.columns = restored.columns.map(withIds);
+  boardState.archive = restored.archive ? withIds(restored.archive) : null;
+  boardState.settings = restored.settings;
+
+  emitBoardEvent('board:change', { type: 'restoreVersion', version });
+}
+
+// Export the store for use in other modules
+window.boardStore = {
+  loadBoard,
+  getBoard,
+  findCard,
+  findCardByBlockId,
+  createBlockId,
+  assignBlockId,
+  findColumn,
+  addCard,
+  updateCard,
+  updateSubtask,
+  deleteCard,
+  moveCard,
+  moveCards,
+  revertCard,
+  updateCards,
+  deleteCards,
+  archiveCards,
+  restoreCard,
+  addColumn,
+  renameColumn,
+  moveColumn,
+  deleteColumn,
+  toggleColumnCollapsed,
+  isColumnCollapsed,
+  getWipLimit,
+  isWipLimitEnforced,
+  canAcceptCard,
+  setColumnWipLimit,
+  updateSettings,
+  restoreVersion,
+  undo,
+  redo,
+  getHistory
+};
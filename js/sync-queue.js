@@ -0,0 +1,744 @@
+/**
+ * sync-queue.js - Log of board changes that are not on GitHub yet
+ * Every change to a GitHub board is written to IndexedDB as it happens, so
+ * the list of unsynced changes survives going offline and closing the tab.
+ * Sync still pushes the whole board; an operation leaves the log once a sync
+ * that included it has succeeded.
+ */
+
+// IndexedDB database and object store holding the operations
+const QUEUE_DB_NAME = 'kanbanmd';
+const QUEUE_DB_VERSION = 1;
+const QUEUE_STORE = 'pendingOperations';
+
+// Longest card text quoted in an operation summary
+const SUMMARY_TEXT_LENGTH = 50;
+
+// Commit messages: the subject line is kept to this length, the rest of the
+// changes are listed in the body
+const COMMIT_SUBJECT_LENGTH = 72;
+const DEFAULT_COMMIT_MESSAGE = 'Update Kanban board via KanbanMD Tool';
+const DEFAULT_COMMIT_TEMPLATE = '{summary}\n\n{details}';
+const COMMIT_TEMPLATE_KEY = 'kanbanmd_commit_template';
+const REVIEW_PUSH_KEY = 'kanbanmd_review_push';
+
+// Opened database, or null where IndexedDB is unavailable
+let queueDb = null;
+
+// Operations kept in memory when IndexedDB is unavailable, e.g. in some
+// private browsing modes
+const memoryQueue = {
+  nextId: 1,
+  operations: []
+};
+
+// Writes to the log run one after another and reads wait for them, so an
+// operation logged just before a sync is part of it and cannot be overtaken
+// by the clear after the sync
+let queueWrites = Promise.resolve();
+
+/**
+ * Open the queue database, creating the object store on first use
+ * @returns {Promise<IDBDatabase|null>} The database, or null if IndexedDB cannot be used
+ */
+function openQueueDb() {
+  if (!queueDb) {
+    queueDb = new Promise(resolve => {
+      if (!window.indexedDB) {
+        resolve(null);
+        return;
+      }
+
+      const request = window.indexedDB.open(QUEUE_DB_NAME, QUEUE_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('boardKey', 'boardKey');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('Error opening the sync queue, keeping it in memory:', request.error);
+        resolve(null);
+      };
+    });
+  }
+  return queueDb;
+}
+
+/**
+ * Wait for an IndexedDB request
+ * @param {IDBRequest} request - The request
+ * @returns {Promise<*>} The request's result
+ */
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for an IndexedDB transaction to be committed
+ * @param {IDBTransaction} transaction - The transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Run a write to the log after the writes started before it
+ * @param {Function} write - Async function doing the write
+ * @returns {Promise<*>} What the write returns
+ */
+function enqueueWrite(write) {
+  const result = queueWrites.then(write);
+  queueWrites = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Log a board change of a board that is synced with GitHub
+ * @param {string} boardKey - Key of the board
+ * @param {Object} detail - Detail of the board:change event
+ * @returns {Promise<Object|null>} The stored operation, or null if it could not be stored
+ */
+function addOperation(boardKey, detail) {
+  // Described now, while the board is as the change left it
+  const operation = {
+    boardKey,
+    type: detail.type,
+    change: describeChange(detail),
+    summary: describeOperation(detail),
+    timestamp: new Date().toISOString()
+  };
+
+  return enqueueWrite(async () => {
+    try {
+      const db = await openQueueDb();
+      if (db) {
+        const transaction = db.transaction(QUEUE_STORE, 'readwrite');
+        operation.id = await requestResult(transaction.objectStore(QUEUE_STORE).add(operation));
+      } else {
+        operation.id = memoryQueue.nextId++;
+        memoryQueue.operations.push(operation);
+      }
+    } catch (error) {
+      console.error('Error logging board change:', error);
+      return null;
+    }
+
+    notifyQueueChange(boardKey);
+    return operation;
+  });
+}
+
+/**
+ * Get the logged operations of a board, oldest first, once the writes
+ * started before have finished
+ * @param {string} boardKey - Key of the board
+ * @returns {Promise<Array>} Operations as { id, boardKey, type, change, summary, timestamp }
+ */
+async function getOperations(boardKey) {
+  await queueWrites;
+  return readOperations(boardKey);
+}
+
+/**
+ * Read the logged operations of a board, oldest first
+ * @param {string} boardKey - Key of the board
+ * @returns {Promise<Array>} Operations as { id, boardKey, type, change, summary, timestamp }
+ */
+async function readOperations(boardKey) {
+  try {
+    const db = await openQueueDb();
+    if (!db) {
+      return memoryQueue.operations.filter(operation => operation.boardKey === boardKey);
+    }
+    const index = db.transaction(QUEUE_STORE).objectStore(QUEUE_STORE).index('boardKey');
+    return await requestResult(index.getAll(boardKey));
+  } catch (error) {
+    console.error('Error reading the sync queue:', error);
+    return [];
+  }
+}
+
+/**
+ * Remove operations from the log once they are on GitHub
+ * @param {Array} ids - IDs of the operations
+ * @returns {Promise<void>}
+ */
+function removeOperations(ids) {
+  return enqueueWrite(() => deleteOperations(ids));
+}
+
+/**
+ * Remove all logged operations of a board
+ * @param {string} boardKey - Key of the board
+ * @returns {Promise<void>}
+ */
+function clearOperations(boardKey) {
+  return enqueueWrite(async () => {
+    const operations = await readOperations(boardKey);
+    await deleteOperations(operations.map(operation => operation.id));
+  });
+}
+
+/**
+ * Delete operations from the log
+ * @param {Array} ids - IDs of the operations
+ * @returns {Promise<void>}
+ */
+async function deleteOperations(ids) {
+  if (ids.length === 0) return;
+
+  try {
+    const db = await openQueueDb();
+    if (db) {
+      const transaction = db.transaction(QUEUE_STORE, 'readwrite');
+      const store = transaction.objectStore(QUEUE_STORE);
+      ids.forEach(id => store.delete(id));
+      await transactionDone(transaction);
+    } else {
+      memoryQueue.operations = memoryQueue.operations.filter(operation => !ids.includes(operation.id));
+    }
+  } catch (error) {
+    console.error('Error updating the sync queue:', error);
+  }
+
+  notifyQueueChange(null);
+}
+
+/**
+ * Tell the sync status and an open list that the log changed
+ * @param {string|null} boardKey - Board whose operations changed, or null if unknown
+ */
+function notifyQueueChange(boardKey) {
+  window.dispatchEvent(new CustomEvent('sync:queue', { detail: { boardKey } }));
+}
+
+/**
+ * Describe a board change by what it did to which cards and columns
+ * @param {Object} detail - Detail of the board:change event
+ * @returns {Object} Change as { action, cards, from, to, column, previousTitle, version },
+ *   cards being { id, label } and from, to and column being column titles
+ */
+function describeChange(detail) {
+  const board = detail.board || { columns: [] };
+  const columns = board.archive ? [...board.columns, board.archive] : board.columns;
+  const columnTitle = (columnId) => {
+    const column = columns.find(item => item.id === columnId);
+    return column ? column.title : 'a removed column';
+  };
+  const findCard = (cardId) => columns.flatMap(column => column.cards).find(card => card.id === cardId);
+  const cardEntry = (card, cardId) => ({ id: card ? card.id : cardId, label: cardLabel(card) });
+  const cardEntries = (cardIds) => cardIds.map(cardId => cardEntry(findCard(cardId), cardId));
+
+  switch (detail.type) {
+    case 'addCard':
+      return { action: 'add', cards: cardEntries([detail.cardId]), to: columnTitle(detail.columnId) };
+    case 'updateCard': {
+      const card = findCard(detail.cardId);
+      const completedChanged = card && detail.previous && card.completed !== detail.previous.completed;
+      const action = completedChanged ? (card.completed ? 'complete' : 'reopen') : 'edit';
+      return { action, cards: [cardEntry(card, detail.cardId)] };
+    }
+    case 'deleteCard':
+      return { action: 'delete', cards: [cardEntry(detail.card, detail.cardId)] };
+    case 'moveCard':
+      if (detail.fromColumnId === detail.columnId) {
+        return { action: 'reorder', cards: cardEntries([detail.cardId]), to: columnTitle(detail.columnId) };
+      }
+      return {
+        action: 'move',
+        cards: cardEntries([detail.cardId]),
+        from: columnTitle(detail.fromColumnId),
+        to: columnTitle(detail.columnId)
+      };
+    case 'moveCards':
+      return {
+        action: 'move',
+        cards: cardEntries(detail.cardIds),
+        from: detail.fromColumnIds.length === 1 ? columnTitle(detail.fromColumnIds[0]) : null,
+        to: columnTitle(detail.columnId)
+      };
+    case 'updateCards':
+      return { action: 'edit', cards: cardEntries(detail.cardIds) };
+    case 'revertCard':
+      return { action: 'revert', cards: cardEntries([detail.cardId]), to: columnTitle(detail.columnId) };
+    case 'deleteCards':
+      return { action: 'delete', cards: detail.cards.map(card => cardEntry(card)) };
+    case 'archiveCards':
+      return { action: 'archive', cards: cardEntries(detail.cardIds) };
+    case 'addColumn':
+    case 'moveColumn':
+    case 'toggleColumnCollapsed':
+    case 'setColumnWipLimit':
+      return { action: detail.type, column: columnTitle(detail.columnId) };
+    case 'renameColumn':
+      return { action: 'renameColumn', column: columnTitle(detail.columnId), previousTitle: detail.previousTitle };
+    case 'deleteColumn':
+      return { action: 'deleteColumn', column: detail.column.title };
+    case 'restoreVersion':
+      return { action: 'restoreVersion', version: detail.version };
+    default:
+      return { action: detail.type || 'change' };
+  }
+}
+
+/**
+ * Quote a card's text for a change description, shortened to one line
+ * @param {Object} [card] - The card
+ * @returns {string} Plain text of the card, e.g. 'Fix login'
+ */
+function cardLabel(card) {
+  const text = window.markdown.toPlainText(card ? card.text : '').replace(/\s+/g, ' ').trim() || 'untitled';
+  return `'${text.length > SUMMARY_TEXT_LENGTH ? `${text.slice(0, SUMMARY_TEXT_LENGTH - 1)}…` : text}'`;
+}
+
+/**
+ * Put a change into words
+ * @param {Object} change - Change from describeChange, possibly covering several operations
+ * @returns {string} Lower-case phrase such as "move 'Fix login' Doing → Done"
+ */
+function phraseChange(change) {
+  const cards = change.cards || [];
+  const subject = cards.length === 1 ? cards[0].label : `${cards.length} cards`;
+
+  switch (change.action) {
+    case 'add':
+      return `add ${subject} to ${change.to}`;
+    case 'move':
+      return change.from ? `move ${subject} ${change.from} → ${change.to}` : `move ${subject} to ${change.to}`;
+    case 'reorder':
+      return `reorder ${subject} in ${change.to}`;
+    case 'revert':
+      return `restore an older version of ${subject} in ${change.to}`;
+    case 'edit':
+    case 'complete':
+    case 'reopen':
+    case 'delete':
+    case 'archive':
+      return `${change.action} ${subject}`;
+    case 'addColumn':
+      return `add column '${change.column}'`;
+    case 'renameColumn':
+      return `rename column '${change.previousTitle}' to '${change.column}'`;
+    case 'moveColumn':
+      return `move column '${change.column}'`;
+    case 'deleteColumn':
+      return `delete column '${change.column}'`;
+    case 'toggleColumnCollapsed':
+      return `collapse or expand column '${change.column}'`;
+    case 'setColumnWipLimit':
+      return `change the WIP limit of '${change.column}'`;
+    case 'updateSettings':
+      return 'change board settings';
+    case 'restoreVersion':
+      return `restore the board as of ${change.version}`;
+    case 'undo':
+      return 'undo a change';
+    case 'redo':
+      return 'redo a change';
+    default:
+      return 'change the board';
+  }
+}
+
+/**
+ * Start a phrase with a capital letter
+ * @param {string} text - Phrase
+ * @returns {string} The phrase as a sentence
+ */
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Describe a board change in a few words
+ * @param {Object} detail - Detail of the board:change event
+ * @returns {string} Summary such as "Move 'Fix login' Todo → Done"
+ */
+function describeOperation(detail) {
+  return capitalize(phraseChange(describeChange(detail)));
+}
+
+/**
+ * Combine logged operations into as few phrases as possible: moves of a card
+ * collapse into one, edits of cards added in the same batch are left out and
+ * the same action on several cards is counted, e.g. 'add 2 cards to Todo'
+ * @param {Array} operations - Logged operations, oldest first
+ * @returns {Array} Phrases describing the operations
+ */
+function summarizeOperations(operations) {
+  const groups = new Map();
+  const movesByCard = new Map();
+  const addedCardIds = new Set();
+
+  // Show the cards as they are now rather than when the change was logged,
+  // since new cards are usually added empty and then edited
+  const currentCards = (cards) => cards.map(entry => {
+    const found = window.boardStore.findCard(entry.id);
+    return found ? { id: entry.id, label: cardLabel(found.card) } : entry;
+  });
+
+  operations.forEach(operation => {
+    // Operations logged before changes were recorded in detail keep their summary
+    if (!operation.change) {
+      groups.set(`summary|${operation.summary}`, { phrase: operation.summary });
+      return;
+    }
+
+    const change = { ...operation.change, cards: currentCards(operation.change.cards || []) };
+
+    if (change.action === 'add') {
+      change.cards.forEach(card => addedCardIds.add(card.id));
+    }
+    if (['edit', 'reorder'].includes(change.action)) {
+      change.cards = change.cards.filter(card => !addedCardIds.has(card.id));
+      if (change.cards.length === 0) return;
+    }
+
+    // A card moved twice is reported as one move from where it started
+    if (change.action === 'move' && change.cards.length === 1) {
+      const earlier = movesByCard.get(change.cards[0].id);
+      if (earlier) {
+        earlier.to = change.to;
+        return;
+      }
+      movesByCard.set(change.cards[0].id, change);
+      groups.set(`move-card|${change.cards[0].id}`, { change });
+      return;
+    }
+
+    const key = [change.action, change.from, change.to, change.column, change.previousTitle, change.version].join('|');
+    const group = groups.get(key);
+    if (group) {
+      const ids = new Set(group.change.cards.map(card => card.id));
+      group.change.cards.push(...change.cards.filter(card => !ids.has(card.id)));
+    } else {
+      groups.set(key, { change });
+    }
+  });
+
+  return [...groups.values()]
+    .filter(group => !group.change || group.change.action !== 'move' || group.change.from !== group.change.to)
+    .map(group => group.phrase || phraseChange(group.change));
+}
+
+/**
+ * Get the template for commit messages
+ * @returns {string} Template with {summary}, {details}, {count} and {board} placeholders
+ */
+function getCommitTemplate() {
+  return localStorage.getItem(COMMIT_TEMPLATE_KEY) || DEFAULT_COMMIT_TEMPLATE;
+}
+
+/**
+ * Change the template for commit messages
+ * @param {string} template - New template, or an empty string for the default
+ */
+function setCommitTemplate(template) {
+  if (template.trim() && template !== DEFAULT_COMMIT_TEMPLATE) {
+    localStorage.setItem(COMMIT_TEMPLATE_KEY, template);
+  } else {
+    localStorage.removeItem(COMMIT_TEMPLATE_KEY);
+  }
+}
+
+/**
+ * Check whether a manual push asks to review the commit message first
+ * @returns {boolean} True unless turned off
+ */
+function isPushReviewEnabled() {
+  return localStorage.getItem(REVIEW_PUSH_KEY) !== 'false';
+}
+
+/**
+ * Write the commit message for the operations a sync pushes
+ * @param {Array} operations - Logged operations, oldest first
+ * @param {string} [template] - Template to fill in, the saved one by default
+ * @returns {string} Commit message, e.g. "Move 'Fix parser' Doing → Done; add 2 cards to Todo"
+ */
+function buildCommitMessage(operations, template = getCommitTemplate()) {
+  const phrases = summarizeOperations(operations);
+  if (phrases.length === 0) return DEFAULT_COMMIT_MESSAGE;
+
+  // As many phrases as fit on the subject line, the rest are counted
+  let summary = phrases[0];
+  let included = 1;
+  while (included < phrases.length && `${summary}; ${phrases[included]}`.length <= COMMIT_SUBJECT_LENGTH) {
+    summary += `; ${phrases[included]}`;
+    included++;
+  }
+  if (included < phrases.length) {
+    const rest = phrases.length - included;
+    summary += `; and ${rest} more ${rest === 1 ? 'change' : 'changes'}`;
+  }
+
+  const repoInfo = window.sync.getRepoInfo();
+  const values = {
+    summary: capitalize(summary),
+    details: phrases.length > 1 ? phrases.map(phrase => `- ${capitalize(phrase)}`).join('\n') : '',
+    count: String(operations.length),
+    board: repoInfo ? repoInfo.path : ''
+  };
+
+  const message = template
+    .replace(/\{(summary|details|count|board)\}/g, (match, name) => values[name])
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  return message || DEFAULT_COMMIT_MESSAGE;
+}
+
+/**
+ * Let the user review and edit the commit message before a manual push
+ * @param {Array} operations - Logged operations the push includes
+ * @returns {Promise<string|null>} The message to commit with, or null if cancelled
+ */
+function reviewCommitMessage(operations) {
+  return new Promise(resolve => {
+    const overlay = document.createElement('div');
+    overlay.className = 'dialog-overlay';
+
+    const dialog = document.createElement('div');
+    dialog.className = 'dialog commit-message-dialog';
+
+    const title = document.createElement('h3');
+    title.textContent = 'Push to GitHub';
+    dialog.appendChild(title);
+
+    const messageInput = document.createElement('textarea');
+    messageInput.className = 'commit-message-input';
+    messageInput.rows = 6;
+    messageInput.value = buildCommitMessage(operations);
+    dialog.appendChild(messageInput);
+
+    // The template is kept in this browser and used for every sync
+    const templateSection = document.createElement('details');
+    templateSection.className = 'commit-template';
+
+    const templateSummary = document.createElement('summary');
+    templateSummary.textContent = 'Message template';
+    templateSection.appendChild(templateSummary);
+
+    const templateInput = document.createElement('textarea');
+    templateInput.className = 'commit-template-input';
+    templateInput.rows = 3;
+    templateInput.value = getCommitTemplate();
+    templateSection.appendChild(templateInput);
+
+    const templateHelp = document.createElement('p');
+    templateHelp.className = 'commit-template-help';
+    templateHelp.textContent = 'Placeholders: {summary} one-line summary, {details} list of all changes, {count} number of changes, {board} path of the board file.';
+    templateSection.appendChild(templateHelp);
+
+    const templateButton = document.createElement('button');
+    templateButton.className = 'cancel-edit-btn';
+    templateButton.textContent = 'Save template';
+    templateButton.addEventListener('click', () => {
+      setCommitTemplate(templateInput.value);
+      templateInput.value = getCommitTemplate();
+      messageInput.value = buildCommitMessage(operations);
+    });
+    templateSection.appendChild(templateButton);
+    dialog.appendChild(templateSection);
+
+    const reviewLabel = document.createElement('label');
+    reviewLabel.className = 'commit-review-toggle';
+    const reviewCheckbox = document.createElement('input');
+    reviewCheckbox.type = 'checkbox';
+    reviewCheckbox.checked = isPushReviewEnabled();
+    reviewCheckbox.addEventListener('change', () => {
+      localStorage.setItem(REVIEW_PUSH_KEY, String(reviewCheckbox.checked));
+    });
+    reviewLabel.appendChild(reviewCheckbox);
+    reviewLabel.appendChild(document.createTextNode(' Review the message before every manual push'));
+    dialog.appendChild(reviewLabel);
+
+    const close = (result) => {
+      overlay.remove();
+      resolve(result);
+    };
+
+    const buttonsContainer = document.createElement('div');
+    buttonsContainer.className = 'edit-buttons-container';
+
+    const pushButton = document.createElement('button');
+    pushButton.className = 'save-edit-btn';
+    pushButton.textContent = 'Push';
+    pushButton.addEventListener('click', () => close(messageInput.value.trim() || DEFAULT_COMMIT_MESSAGE));
+
+    const cancelButton = document.createElement('button');
+    cancelButton.className = 'cancel-edit-btn';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', () => close(null));
+
+    buttonsContainer.appendChild(pushButton);
+    buttonsContainer.appendChild(cancelButton);
+    dialog.appendChild(buttonsContainer);
+
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) {
+        close(null);
+      }
+    });
+
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+    messageInput.focus();
+  });
+}
+
+/**
+ * Show the number of unsynced changes of the open board next to the sync status
+ * @returns {Promise<void>}
+ */
+async function updatePendingCount() {
+  const syncStatus = document.getElementById('sync-status');
+  if (!syncStatus) return;
+
+  const boardKey = window.sync.getCurrentBoardKey();
+  const count = boardKey ? (await getOperations(boardKey)).length : 0;
+
+  let badge = syncStatus.querySelector('.sync-pending-count');
+  if (!badge) {
+    badge = document.createElement('span');
+    badge.className = 'sync-pending-count';
+    syncStatus.appendChild(badge);
+  }
+  badge.textContent = count === 1 ? '1 unsynced change' : `${count} unsynced changes`;
+  badge.classList.toggle('hidden', count === 0);
+}
+
+/**
+ * Show the list of changes of the open board that are not on GitHub yet
+ */
+function showPendingChanges() {
+  if (document.querySelector('.pending-changes')) return;
+
+  const overlay = document.createElement('div');
+  overlay.className = 'dialog-overlay';
+
+  const dialog = document.createElement('div');
+  dialog.className = 'dialog pending-changes';
+
+  const title = document.createElement('h3');
+  title.textContent = 'Unsynced changes';
+  dialog.appendChild(title);
+
+  const status = document.createElement('p');
+  status.className = 'pending-changes-status';
+  dialog.appendChild(status);
+
+  const list = document.createElement('ul');
+  list.className = 'pending-changes-list';
+  dialog.appendChild(list);
+
+  const syncMode = window.sync.createSyncModeSection();
+  dialog.appendChild(syncMode.element);
+
+  const renderList = async () => {
+    const boardKey = window.sync.getCurrentBoardKey();
+    const operations = boardKey ? await getOperations(boardKey) : [];
+
+    if (!window.sync.getRepoInfo()) {
+      status.textContent = 'This board is not loaded from GitHub, so its changes are only saved in this browser.';
+    } else if (!navigator.onLine) {
+      status.textContent = 'You are offline. These changes are synced when the connection returns.';
+    } else if (!window.auth.isAuthenticated()) {
+      status.textContent = 'Log in with GitHub to sync these changes.';
+    } else {
+      status.textContent = operations.length === 0 ? 'All changes are on GitHub.' : '';
+    }
+
+    list.innerHTML = '';
+    // Newest changes first
+    [...operations].reverse().forEach(operation => {
+      const item = document.createElement('li');
+
+      const summary = document.createElement('span');
+      summary.className = 'pending-change-summary';
+      summary.textContent = operation.summary;
+
+      const time = document.createElement('time');
+      time.dateTime = operation.timestamp;
+      time.textContent = new Date(operation.timestamp).toLocaleString();
+
+      item.appendChild(summary);
+      item.appendChild(time);
+      list.appendChild(item);
+    });
+    syncButton.disabled = operations.length === 0;
+  };
+
+  const buttonsContainer = document.createElement('div');
+  buttonsContainer.className = 'edit-buttons-container';
+
+  const syncButton = document.createElement('button');
+  syncButton.className = 'save-edit-btn';
+  syncButton.textContent = 'Push now';
+  syncButton.addEventListener('click', async () => {
+    syncButton.disabled = true;
+    await window.sync.manualSync();
+    renderList();
+  });
+
+  const closeButton = document.createElement('button');
+  closeButton.className = 'cancel-edit-btn';
+  closeButton.textContent = 'Close';
+
+  const close = () => {
+    window.removeEventListener('sync:queue', renderList);
+    window.removeEventListener('sync:pullrequest', syncMode.render);
+    overlay.remove();
+  };
+  closeButton.addEventListener('click', close);
+
+  buttonsContainer.appendChild(syncButton);
+  buttonsContainer.appendChild(closeButton);
+  dialog.appendChild(buttonsContainer);
+
+  // Close when clicking outside
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) {
+      close();
+    }
+  });
+
+  window.addEventListener('sync:queue', renderList);
+  window.addEventListener('sync:pullrequest', syncMode.render);
+  renderList();
+  syncMode.render();
+  window.sync.refreshPullRequest();
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const syncStatus = document.getElementById('sync-status');
+  if (syncStatus) {
+    syncStatus.title = 'Show unsynced changes';
+    syncStatus.addEventListener('click', showPendingChanges);
+  }
+  updatePendingCount();
+});
+
+window.addEventListener('sync:queue', updatePendingCount);
+window.addEventListener('board:open', updatePendingCount);
+
+// Export functions for use in other modules
+window.syncQueue = {
+  addOperation,
+  getOperations,
+  removeOperations,
+  clearOperations,
+  describeOperation,
+  buildCommitMessage,
+  reviewCommitMessage,
+  isPushReviewEnabled,
+  showPendingChanges
+};
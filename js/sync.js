@@ -7,7 +7,14 @@
 const SYNC_CONFIG = {
   AUTO_SAVE_DELAY: 5000,     // 5 seconds delay for auto-save
   SYNC_DELAY: 30000,         // 30 seconds delay for sync to GitHub
-  LOCAL_STORAGE_KEY: 'kanbanmd_local_state'
+  LOCAL_STORAGE_KEY: 'kanbanmd_local_state',       // Prefix of the per-board keys; also the pre-multi-board key
+  CURRENT_BOARD_KEY: 'kanbanmd_current_board',     // Key of the board that was open last
+  RECENT_BOARDS_KEY: 'kanbanmd_recent_boards',     // Recently opened boards, newest first
+  HISTORY_KEY: 'kanbanmd_history',                 // Prefix of the per-board keys of the undo history
+  RECENT_BOARDS_LIMIT: 10,
+  RETRY_BASE_DELAY: 5000,    // First retry of a failed sync after 5 seconds, doubling after each failure
+  RETRY_MAX_DELAY: 300000,   // Retry at least every 5 minutes
+  POLL_INTERVAL: 60000       // Check GitHub for changes by others every minute
 };
 
 // Sync state
@@ -17,10 +24,26 @@ let syncState = {
   pendingChanges: false,     // Whether there are unsaved changes
   syncTimer: null,           // Timer for syncing to GitHub
   autoSaveTimer: null,       // Timer for auto-saving locally
+  retryTimer: null,          // Timer for retrying a failed sync
+  retryDelay: 0,             // Delay before the next retry, 0 until a sync fails
+  changeCount: 0,            // Number of board changes, to notice changes made during a sync
+  isSyncing: false,          // Whether a sync request is in flight
+  syncRequest: null,         // Promise of the sync in flight, shared with syncs started meanwhile
+  pollTimer: null,           // Interval checking GitHub for changes
+  etag: null,                // ETag of the file as last polled, for conditional requests
+  remoteVersion: null,       // { content, sha } pulled while the user was editing, applied afterwards
   isInitialized: false,      // Whether sync is initialized
+  boardKey: null,            // Key of the open board, e.g. 'github:owner/repo@main:kanban.md'
   currentRepo: null,         // Current repository being synced
   currentPath: null,         // Current file path being synced
-  currentBranch: 'master'    // Current branch being synced
+  currentBranch: 'master',   // Current branch being synced
+  currentSha: null,          // Blob SHA of the file version we last loaded or wrote
+  baseBoard: null,           // Columns (archive last) at currentSha, the ancestor for three-way merges
+  baseSettings: null,        // { frontMatter, settings } at currentSha, the ancestor for merging them
+  syncMode: 'direct',        // 'direct' commits to currentBranch, 'pullRequest' to a branch with a pull request
+  pullRequestBranch: null,   // Branch changes are committed to in pull request mode, null until the first push
+  pullRequestBase: null,     // Columns (archive last) when the branch was created, for the pull request summary
+  pullRequest: null          // { number, url, title, state, merged, draft, updatedAt } of the branch's pull request
 };
 
 /**
@@ -31,9 +54,27 @@ function initSync() {
   
   // Set up event listeners
   window.addEventListener('board:change', handleBoardChange);
+  window.addEventListener('online', handleOnline);
+  window.addEventListener('offline', () => window.auth.updateSyncStatus('offline'));
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+      flushPendingChanges();
+    } else {
+      pollRemoteChanges();
+    }
+  });
+  // Requests started while the page unloads are cancelled, so closing only
+  // saves; the logged changes are pushed when the board is opened again
+  window.addEventListener('beforeunload', saveBeforeUnload);
+  
+  // Reopen the board that was open last
+  migrateLegacyState();
+  syncState.boardKey = localStorage.getItem(SYNC_CONFIG.CURRENT_BOARD_KEY);
+  if (syncState.boardKey) {
+    loadFromLocalStorage();
+  }
   
-  // Initialize local storage
-  loadFromLocalStorage();
+  syncState.pollTimer = setInterval(pollRemoteChanges, SYNC_CONFIG.POLL_INTERVAL);
   
   syncState.isInitialized = true;
   console.log('Sync initialized');
@@ -46,6 +87,12 @@ function initSync() {
 function handleBoardChange(event) {
   // Mark that we have pending changes
   syncState.pendingChanges = true;
+  syncState.changeCount++;
+  
+  // Log the change so what still needs pushing survives going offline or closing the tab
+  if (syncState.currentRepo) {
+    window.syncQueue.addOperation(syncState.boardKey, event.detail);
+  }
   
   // Schedule auto-save
   scheduleAutoSave();
@@ -87,68 +134,592 @@ function scheduleSyncToGitHub() {
 }
 
 /**
- * Save current board state to local storage
+ * Retry a failed sync, waiting twice as long after each failure
+ */
+function scheduleRetry() {
+  clearTimeout(syncState.retryTimer);
+  syncState.retryDelay = Math.min(
+    syncState.retryDelay ? syncState.retryDelay * 2 : SYNC_CONFIG.RETRY_BASE_DELAY,
+    SYNC_CONFIG.RETRY_MAX_DELAY
+  );
+  syncState.retryTimer = setTimeout(syncToGitHub, syncState.retryDelay);
+  console.log(`Retrying sync in ${syncState.retryDelay / 1000} seconds`);
+}
+
+/**
+ * Push pending changes as soon as the connection returns
+ */
+function handleOnline() {
+  clearTimeout(syncState.retryTimer);
+  syncState.retryDelay = 0;
+  
+  if (!window.auth || !window.auth.isAuthenticated()) return;
+  
+  if (syncState.pendingChanges && syncState.currentRepo) {
+    syncToGitHub();
+  } else {
+    window.auth.updateSyncStatus('synced');
+    pollRemoteChanges();
+  }
+}
+
+/**
+ * Check whether the board file changed on GitHub and pull the new version.
+ * Conditional requests answered with 304 do not count against the rate limit.
+ * @returns {Promise<void>}
+ */
+async function pollRemoteChanges() {
+  if (!syncState.currentRepo || syncState.isSyncing || !navigator.onLine ||
+      document.visibilityState === 'hidden' || !window.auth || !window.auth.isAuthenticated()) {
+    return;
+  }
+  
+  // A version pulled while the user was editing is applied once they are done
+  if (syncState.remoteVersion) {
+    applyRemoteVersion();
+    return;
+  }
+  
+  const boardKey = syncState.boardKey;
+  const headers = window.auth.getGitHubHeaders();
+  if (syncState.etag) {
+    headers['If-None-Match'] = syncState.etag;
+  }
+  
+  try {
+    const response = await fetch(
+      `https://api.github.com/repos/${syncState.currentRepo}/contents/${syncState.currentPath.split('/').map(encodeURIComponent).join('/')}?ref=${encodeURIComponent(getWriteBranch())}`,
+      { headers, cache: 'no-store' }
+    );
+    if (response.status === 304 || boardKey !== syncState.boardKey) return;
+    if (!response.ok) {
+      console.error('Error checking GitHub for changes:', window.auth.describeGitHubError(response, syncState.currentPath));
+      return;
+    }
+    
+    const etag = response.headers.get('ETag');
+    const data = await response.json();
+    if (data.sha !== syncState.currentSha) {
+      // Files over 1 MB come without content and have to be fetched as a blob
+      let encoded = data.content;
+      if (data.encoding === 'none') {
+        const blobResponse = await fetch(
+          `https://api.github.com/repos/${syncState.currentRepo}/git/blobs/${data.sha}`,
+          { headers: window.auth.getGitHubHeaders() }
+        );
+        if (!blobResponse.ok) return;
+        encoded = (await blobResponse.json()).content;
+      }
+      if (boardKey !== syncState.boardKey) return;
+      
+      syncState.remoteVersion = { content: window.codec.decodeBase64(encoded), sha: data.sha };
+      applyRemoteVersion();
+    }
+    syncState.etag = etag;
+  } catch (error) {
+    console.error('Error checking GitHub for changes:', error);
+  }
+}
+
+/**
+ * Read the board file as it is on a branch now
+ * @param {string} branch - Branch to read
+ * @returns {Promise<Object|null>} { sha, content } with both null if the file
+ *   is not on the branch, or null if it could not be read
+ */
+async function fetchBoardFile(branch) {
+  try {
+    const response = await fetch(
+      `https://api.github.com/repos/${syncState.currentRepo}/contents/${syncState.currentPath.split('/').map(encodeURIComponent).join('/')}?ref=${encodeURIComponent(branch)}`,
+      { headers: window.auth.getGitHubHeaders(), cache: 'no-store' }
+    );
+    if (response.status === 404) {
+      return { sha: null, content: null };
+    }
+    if (!response.ok) {
+      console.error('Error reading the board from GitHub:', window.auth.describeGitHubError(response, syncState.currentPath));
+      return null;
+    }
+    
+    const data = await response.json();
+    // Files over 1 MB come without content and have to be fetched as a blob
+    let encoded = data.content;
+    if (data.encoding === 'none') {
+      const blobResponse = await fetch(
+        `https://api.github.com/repos/${syncState.currentRepo}/git/blobs/${data.sha}`,
+        { headers: window.auth.getGitHubHeaders() }
+      );
+      if (!blobResponse.ok) return null;
+      encoded = (await blobResponse.json()).content;
+    }
+    return { sha: data.sha, content: window.codec.decodeBase64(encoded) };
+  } catch (error) {
+    console.error('Error reading the board from GitHub:', error);
+    return null;
+  }
+}
+
+/**
+ * Replace the open board with the version pulled from GitHub, merged with
+ * our unsynced changes, unless the user is editing it
+ */
+function applyRemoteVersion() {
+  const remote = syncState.remoteVersion;
+  const current = window.boardStore.getBoard();
+  if (!remote || !current || syncState.isSyncing) return;
+  
+  // Re-rendering would close open editors and dialogs; try again at the next poll
+  if (isBoardBeingEdited()) return;
+  syncState.remoteVersion = null;
+  
+  const remoteBoard = parseBoard(remote.content);
+  let board = remoteBoard;
+  let merged = false;
+  
+  if (syncState.pendingChanges) {
+    const merge = syncState.baseBoard &&
+      mergeBoards(syncState.baseBoard, withArchiveColumn(current), withArchiveColumn(remoteBoard));
+    
+    // Cards changed on both sides are left to the conflict dialog of the next sync
+    if (!merge || merge.conflicts.length > 0) {
+      showRemoteChangeToast('Your unsynced changes conflict with it and will be merged when you sync.');
+      return;
+    }
+    board = {
+      ...current,
+      ...mergeBoardSettings(syncState.baseSettings, current, remoteBoard),
+      ...splitArchiveColumn(merge.columns)
+    };
+    merged = true;
+  }
+  
+  keepBoardIds(board, current);
+  setMergeBase(remoteBoard);
+  syncState.currentSha = remote.sha;
+  
+  // Keep the undo history, like a merge after a sync conflict
+  window.boardStore.loadBoard(board, window.boardStore.getHistory());
+  saveToLocalStorage();
+  
+  showRemoteChangeToast(merged ? 'Your unsynced changes were kept.' : '');
+}
+
+/**
+ * Give the cards and columns of a pulled version the IDs they have on the
+ * open board, so focus, selection and relations keep pointing at them
+ * @param {Object} board - Pulled board, changed in place
+ * @param {Object} current - The open board
+ */
+function keepBoardIds(board, current) {
+  const columns = withArchiveColumn(board);
+  const usedIds = new Set(columns.flatMap(column => [column.id, ...column.cards.map(card => card.id)]));
+  
+  // IDs of the open board's columns by title and cards by text, not yet given out
+  const columnIds = new Map();
+  const cardIds = new Map();
+  withArchiveColumn(current).forEach(column => {
+    if (!usedIds.has(column.id) && !columnIds.has(column.title)) {
+      columnIds.set(column.title, column.id);
+    }
+    column.cards.forEach(card => {
+      if (usedIds.has(card.id)) return;
+      cardIds.set(card.text, [...(cardIds.get(card.text) || []), card.id]);
+    });
+  });
+  
+  columns.forEach(column => {
+    if (!column.id && columnIds.has(column.title)) {
+      column.id = columnIds.get(column.title);
+      columnIds.delete(column.title);
+    }
+    column.cards.forEach(card => {
+      const ids = cardIds.get(card.text);
+      if (!card.id && ids && ids.length > 0) {
+        card.id = ids.shift();
+      }
+    });
+  });
+}
+
+/**
+ * Tell the user who changed the board on GitHub, from the file's last commit
+ * @param {string} note - Sentence to add to the message, or an empty string
+ * @returns {Promise<void>}
+ */
+async function showRemoteChangeToast(note) {
+  let message = 'The board was updated on GitHub.';
+  
+  try {
+    const response = await fetch(
+      `https://api.github.com/repos/${syncState.currentRepo}/commits?path=${encodeURIComponent(syncState.currentPath)}&sha=${encodeURIComponent(getWriteBranch())}&per_page=1`,
+      { headers: window.auth.getGitHubHeaders() }
+    );
+    if (response.ok) {
+      const [commit] = await response.json();
+      if (commit) {
+        const author = commit.author ? commit.author.login : commit.commit.author.name;
+        message = `${author} updated the board on GitHub: ${commit.commit.message.split('\n')[0]}`;
+      }
+    }
+  } catch (error) {
+    console.error('Error reading the latest commit:', error);
+  }
+  
+  showToast(note ? `${message} ${note}` : message);
+}
+
+/**
+ * Save the board and start pushing pending changes when the page is hidden,
+ * so they are not left waiting for the sync timer
+ */
+function flushPendingChanges() {
+  if (!syncState.boardKey || !window.boardStore.getBoard()) return;
+  
+  clearTimeout(syncState.autoSaveTimer);
+  saveToLocalStorage();
+  
+  if (syncState.pendingChanges && !syncState.isSyncing && navigator.onLine &&
+      window.auth && window.auth.isAuthenticated()) {
+    clearTimeout(syncState.syncTimer);
+    syncToGitHub();
+  }
+}
+
+/**
+ * Save the board when the page is closed
+ */
+function saveBeforeUnload() {
+  clearTimeout(syncState.autoSaveTimer);
+  saveToLocalStorage();
+}
+
+/**
+ * Build the key identifying a board in local storage and the recent boards
+ * @param {Object} source - { repo, path, branch } for GitHub boards, or { fileName } for local files
+ * @returns {string} Board key
+ */
+function getBoardKey(source) {
+  if (source.repo) {
+    return `github:${source.repo}@${source.branch}:${source.path}`;
+  }
+  return `local:${source.fileName}`;
+}
+
+/**
+ * Get the local storage key holding a board's state
+ * @param {string} boardKey - Board key
+ * @returns {string} Local storage key
+ */
+function getStorageKey(boardKey) {
+  return `${SYNC_CONFIG.LOCAL_STORAGE_KEY}:${boardKey}`;
+}
+
+/**
+ * Get the local storage key holding a board's undo history
+ * @param {string} boardKey - Board key
+ * @returns {string} Local storage key
+ */
+function getHistoryKey(boardKey) {
+  return `${SYNC_CONFIG.HISTORY_KEY}:${boardKey}`;
+}
+
+/**
+ * Move the state saved before boards had their own keys to a per-board key
+ */
+function migrateLegacyState() {
+  const savedData = localStorage.getItem(SYNC_CONFIG.LOCAL_STORAGE_KEY);
+  if (!savedData) return;
+  
+  try {
+    const repoInfo = JSON.parse(savedData).repoInfo || {};
+    const source = repoInfo.repo
+      ? { repo: repoInfo.repo, path: repoInfo.path, branch: repoInfo.branch || 'master' }
+      : { fileName: 'kanban.md' };
+    const boardKey = getBoardKey(source);
+    
+    localStorage.setItem(getStorageKey(boardKey), savedData);
+    localStorage.setItem(SYNC_CONFIG.CURRENT_BOARD_KEY, boardKey);
+    addRecentBoard(boardKey, source);
+    localStorage.removeItem(SYNC_CONFIG.LOCAL_STORAGE_KEY);
+  } catch (error) {
+    console.error('Error migrating saved board state:', error);
+  }
+}
+
+/**
+ * Get the recently opened boards
+ * @returns {Array} Entries of the form { key, name, repo, path, branch, fileName, openedAt }, newest first
+ */
+function getRecentBoards() {
+  try {
+    return JSON.parse(localStorage.getItem(SYNC_CONFIG.RECENT_BOARDS_KEY)) || [];
+  } catch (error) {
+    console.error('Error reading recent boards:', error);
+    return [];
+  }
+}
+
+/**
+ * Put a board at the top of the recent boards
+ * @param {string} boardKey - Board key
+ * @param {Object} source - { repo, path, branch } or { fileName }
+ */
+function addRecentBoard(boardKey, source) {
+  const path = source.path || source.fileName;
+  const entry = {
+    key: boardKey,
+    name: source.repo ? `${source.repo}: ${path}` : path,
+    ...source,
+    openedAt: new Date().toISOString()
+  };
+  
+  const recent = [entry, ...getRecentBoards().filter(item => item.key !== boardKey)]
+    .slice(0, SYNC_CONFIG.RECENT_BOARDS_LIMIT);
+  localStorage.setItem(SYNC_CONFIG.RECENT_BOARDS_KEY, JSON.stringify(recent));
+}
+
+/**
+ * Remove a board from the recent boards and delete its saved state
+ * @param {string} boardKey - Board key
+ */
+function forgetBoard(boardKey) {
+  const recent = getRecentBoards().filter(item => item.key !== boardKey);
+  localStorage.setItem(SYNC_CONFIG.RECENT_BOARDS_KEY, JSON.stringify(recent));
+  localStorage.removeItem(getStorageKey(boardKey));
+  localStorage.removeItem(getHistoryKey(boardKey));
+  window.syncQueue.clearOperations(boardKey);
+}
+
+/**
+ * Make a board the open board for saving and syncing
+ * @param {Object} source - { repo, path, branch } or { fileName }
+ */
+function openBoard(source) {
+  syncState.boardKey = getBoardKey(source);
+  localStorage.setItem(SYNC_CONFIG.CURRENT_BOARD_KEY, syncState.boardKey);
+  addRecentBoard(syncState.boardKey, source);
+  window.dispatchEvent(new CustomEvent('board:open', { detail: { boardKey: syncState.boardKey } }));
+}
+
+/**
+ * Save the open board and push its pending changes before another board is
+ * opened, then forget its repository information
+ * @returns {Promise<void>}
+ */
+async function closeBoard() {
+  clearTimeout(syncState.autoSaveTimer);
+  clearTimeout(syncState.syncTimer);
+  clearTimeout(syncState.retryTimer);
+  syncState.retryDelay = 0;
+  
+  if (syncState.boardKey && window.boardStore.getBoard()) {
+    saveToLocalStorage();
+    if (syncState.pendingChanges && window.auth && window.auth.isAuthenticated()) {
+      await syncToGitHub();
+    }
+  }
+  
+  syncState.boardKey = null;
+  syncState.currentRepo = null;
+  syncState.currentPath = null;
+  syncState.currentBranch = 'master';
+  syncState.currentSha = null;
+  setMergeBase(null);
+  syncState.pendingChanges = false;
+  syncState.etag = null;
+  syncState.remoteVersion = null;
+  restorePullRequestState(null);
+}
+
+/**
+ * Reopen a board from its saved state, including unsynced changes
+ * @param {string} boardKey - Board key
+ * @returns {boolean} Whether saved state was found and loaded
+ */
+function restoreBoard(boardKey) {
+  if (!localStorage.getItem(getStorageKey(boardKey))) return false;
+  
+  const entry = getRecentBoards().find(item => item.key === boardKey);
+  syncState.boardKey = boardKey;
+  localStorage.setItem(SYNC_CONFIG.CURRENT_BOARD_KEY, boardKey);
+  if (entry) {
+    addRecentBoard(boardKey, entry);
+  }
+  
+  return loadFromLocalStorage();
+}
+
+/**
+ * Check whether a board is saved in this browser with changes that are not
+ * on GitHub yet
+ * @param {Object} source - { repo, path, branch } of the board
+ * @returns {boolean} True if the saved board has unsynced changes
+ */
+function hasUnsyncedChanges(source) {
+  try {
+    const savedData = localStorage.getItem(getStorageKey(getBoardKey(source)));
+    return Boolean(savedData && JSON.parse(savedData).pendingChanges);
+  } catch (error) {
+    console.error('Error reading saved board state:', error);
+    return false;
+  }
+}
+
+/**
+ * Reopen a board saved with unsynced changes and merge in the version just
+ * fetched from GitHub, as if it had been pulled while the board was open
+ * @param {Object} source - { repo, path, branch } of the board
+ * @param {Object} file - { content, sha } fetched from GitHub
+ * @returns {boolean} Whether the saved board was reopened
+ */
+function restoreBoardWithRemote(source, file) {
+  if (!restoreBoard(getBoardKey(source))) return false;
+  
+  if (file.sha !== syncState.currentSha) {
+    syncState.remoteVersion = { content: file.content, sha: file.sha };
+    applyRemoteVersion();
+  }
+  return true;
+}
+
+/**
+ * Drop the logged changes of a saved board that is about to be loaded from
+ * GitHub again, so they are not pushed or listed as pending
+ * @param {Object} source - { repo, path, branch } of the board
+ * @returns {Promise<void>}
+ */
+async function discardUnsyncedChanges(source) {
+  await window.syncQueue.clearOperations(getBoardKey(source));
+}
+
+/**
+ * Save current board state to local storage under the open board's key
  */
 function saveToLocalStorage() {
   try {
-    // Get current board data from the DOM
-    const boardData = window.getBoardDataFromDOM();
+    const board = window.boardStore.getBoard();
+    if (!board || !syncState.boardKey) return;
     
-    // Save to local storage
-    localStorage.setItem(SYNC_CONFIG.LOCAL_STORAGE_KEY, JSON.stringify({
-      boardData,
+    const historyKey = getHistoryKey(syncState.boardKey);
+    const state = JSON.stringify({
+      board,
       timestamp: new Date().toISOString(),
       repoInfo: {
         repo: syncState.currentRepo,
         path: syncState.currentPath,
-        branch: syncState.currentBranch
+        branch: syncState.currentBranch,
+        sha: syncState.currentSha
+      },
+      baseBoard: syncState.baseBoard,
+      baseSettings: syncState.baseSettings,
+      pendingChanges: syncState.pendingChanges,
+      pullRequest: {
+        mode: syncState.syncMode,
+        branch: syncState.pullRequestBranch,
+        base: syncState.pullRequestBase,
+        info: syncState.pullRequest
       }
-    }));
+    });
+    
+    // The board is saved first; if storage is full, its undo history makes room
+    try {
+      localStorage.setItem(getStorageKey(syncState.boardKey), state);
+    } catch (error) {
+      localStorage.removeItem(historyKey);
+      localStorage.setItem(getStorageKey(syncState.boardKey), state);
+    }
     
     syncState.lastLocalSave = new Date();
     console.log('Saved to local storage at', syncState.lastLocalSave);
+    
+    // A history that does not fit is dropped rather than kept out of date
+    try {
+      localStorage.setItem(historyKey, JSON.stringify(window.boardStore.getHistory()));
+    } catch (error) {
+      console.error('Error saving the undo history to local storage:', error);
+      localStorage.removeItem(historyKey);
+    }
   } catch (error) {
     console.error('Error saving to local storage:', error);
   }
 }
 
 /**
- * Load board state from local storage
+ * Load the open board's state from local storage
+ * @returns {boolean} Whether a saved board was loaded
  */
 function loadFromLocalStorage() {
   try {
-    const savedData = localStorage.getItem(SYNC_CONFIG.LOCAL_STORAGE_KEY);
-    if (!savedData) return;
+    const savedData = localStorage.getItem(getStorageKey(syncState.boardKey));
+    if (!savedData) return false;
     
     const parsedData = JSON.parse(savedData);
-    if (!parsedData.boardData) return;
+    // Older saves only stored the columns
+    const board = parsedData.board || (parsedData.boardData && { columns: parsedData.boardData });
+    if (!board) return false;
     
     // Restore repository info
     if (parsedData.repoInfo) {
       syncState.currentRepo = parsedData.repoInfo.repo;
       syncState.currentPath = parsedData.repoInfo.path;
       syncState.currentBranch = parsedData.repoInfo.branch || 'master';
+      syncState.currentSha = parsedData.repoInfo.sha || null;
     }
     
-    // Render board with loaded data
-    if (window.renderKanbanBoard && document.getElementById('board-container')) {
-      window.renderKanbanBoard(
-        document.getElementById('board-container'), 
-        parsedData.boardData
-      );
+    syncState.baseBoard = parsedData.baseBoard || null;
+    syncState.baseSettings = parsedData.baseSettings || null;
+    syncState.pendingChanges = !!parsedData.pendingChanges;
+    restorePullRequestState(parsedData.pullRequest);
+    
+    // Load the board and its undo history into the store, which renders it.
+    // Older saves kept the history with the board.
+    const savedHistory = localStorage.getItem(getHistoryKey(syncState.boardKey));
+    window.boardStore.loadBoard(board, savedHistory ? JSON.parse(savedHistory) : parsedData.history);
+    
+    // Push changes that were not synced before the tab was closed
+    if (syncState.pendingChanges && syncState.currentRepo) {
+      scheduleSyncToGitHub();
     }
+    refreshPullRequest();
     
     console.log('Loaded from local storage, last saved at', parsedData.timestamp);
+    return true;
   } catch (error) {
     console.error('Error loading from local storage:', error);
+    return false;
   }
 }
 
 /**
- * Sync current board state to GitHub
+ * Sync current board state to GitHub. Only one sync runs at a time: a second
+ * write with the same SHA would come back as a conflict with our own, so a
+ * sync started while another is in flight shares its result.
+ * @param {string} [commitMessage] - Message of the commit, by default written
+ *   from the changes that are not on GitHub yet
  * @returns {Promise<boolean>} Whether sync was successful
  */
-async function syncToGitHub() {
+async function syncToGitHub(commitMessage) {
+  if (syncState.syncRequest) {
+    return syncState.syncRequest;
+  }
+  
+  // Flagged before the first await, so polls and flushes see it right away
+  syncState.isSyncing = true;
+  syncState.syncRequest = pushToGitHub(commitMessage);
+  try {
+    return await syncState.syncRequest;
+  } finally {
+    syncState.isSyncing = false;
+    syncState.syncRequest = null;
+  }
+}
+
+/**
+ * Push the board to GitHub, merging with the version there on a conflict
+ * @param {string} [commitMessage] - Message of the commit
+ * @returns {Promise<boolean>} Whether the push succeeded
+ */
+async function pushToGitHub(commitMessage) {
   if (!window.auth || !window.auth.isAuthenticated()) {
     console.log('Not authenticated, cannot sync to GitHub');
     return false;
@@ -164,38 +735,110 @@ async function syncToGitHub() {
     return false;
   }
   
+  // The online event starts the sync once the connection returns
+  if (!navigator.onLine) {
+    window.auth.updateSyncStatus('offline');
+    return false;
+  }
+  
+  clearTimeout(syncState.retryTimer);
+  const boardKey = syncState.boardKey;
+  const changeCount = syncState.changeCount;
+  const operations = await window.syncQueue.getOperations(boardKey);
+  
   try {
     window.auth.updateSyncStatus('syncing');
     
     // Get current board data
-    const boardData = window.getBoardDataFromDOM();
+    const board = window.boardStore.getBoard();
+    if (!board) {
+      window.auth.updateSyncStatus('synced');
+      return false;
+    }
     
-    // Convert board data back to markdown
-    const markdownContent = boardDataToMarkdown(boardData);
+    // Convert board data back to markdown with the same serializer used for downloads
+    const markdownContent = generateMarkdown(board);
     
     // Extract owner and repo from repo string (format: owner/repo)
     const [owner, repo] = syncState.currentRepo.split('/');
     
-    // Call Netlify Function to update file on GitHub
-    const response = await fetch('/.netlify/functions/github-update-file', {
+    // After a pull request was merged or closed, our SHA and merge base are
+    // those of its branch. Merge with the base branch as it is now, from the
+    // version the closed branch was created from, before starting a new branch.
+    const pullRequestMode = syncState.syncMode === 'pullRequest';
+    if (pullRequestMode && !syncState.pullRequestBranch && syncState.pullRequest && syncState.pullRequestBase) {
+      const file = await fetchBoardFile(syncState.currentBranch);
+      if (!file) {
+        window.auth.updateSyncStatus('offline');
+        scheduleRetry();
+        return false;
+      }
+      
+      syncState.baseBoard = syncState.pullRequestBase;
+      syncState.pullRequestBase = null;
+      syncState.currentSha = file.sha;
+      if (file.content !== null) {
+        return await resolveSyncConflict({ currentSha: file.sha, currentContent: file.content }, withArchiveColumn(board), commitMessage);
+      }
+    }
+    
+    // The first push of a pull request creates its branch from the current base
+    if (pullRequestMode && !syncState.pullRequestBranch) {
+      syncState.pullRequestBranch = createPullRequestBranchName();
+      syncState.pullRequestBase = syncState.baseBoard;
+    }
+    
+    // Call Netlify Function to update file on GitHub, directly or through the pull request
+    const response = await fetch(pullRequestMode ? '/.netlify/functions/github-pull-request' : '/.netlify/functions/github-update-file', {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        'Authorization': `token ${window.auth.getGitHubToken()}`
       },
       body: JSON.stringify({
         owner,
         repo,
         path: syncState.currentPath,
-        content: markdownContent,
-        commitMessage: 'Update Kanban board via KanbanMD Tool',
-        branch: syncState.currentBranch
+        content: window.codec.encodeBase64(markdownContent),
+        encoding: 'base64',
+        commitMessage: commitMessage || window.syncQueue.buildCommitMessage(operations),
+        branch: getWriteBranch(),
+        sha: syncState.currentSha,
+        ...(pullRequestMode ? {
+          baseBranch: syncState.currentBranch,
+          title: `Update ${syncState.currentPath} via KanbanMD Tool`,
+          body: describePullRequest(board)
+        } : {})
       })
     });
     
+    // The file changed on GitHub since we loaded it, or the pull request was
+    // closed. Awaited so the sync stays flagged as running until the merge
+    // and its retry are done.
+    if (response.status === 409) {
+      const conflictData = await response.json();
+      
+      // The branch's pull request was merged or closed; push to a new branch
+      if (conflictData.error === 'pull request closed') {
+        setPullRequest(conflictData.pullRequest);
+        return await pushToGitHub(commitMessage);
+      }
+      
+      console.warn('GitHub sync conflict, attempting merge:', conflictData.message);
+      return await resolveSyncConflict(conflictData, withArchiveColumn(board), commitMessage);
+    }
+    
     if (!response.ok) {
       const errorData = await response.json();
       console.error('GitHub sync error:', errorData);
       window.auth.updateSyncStatus('offline');
+      
+      // Server errors and rate limits pass; other errors need the user to act
+      if (response.status >= 500 || response.status === 429) {
+        scheduleRetry();
+      } else if (!pullRequestMode && (response.status === 403 || response.status === 422)) {
+        suggestPullRequest();
+      }
       return false;
     }
     
@@ -203,77 +846,90 @@ async function syncToGitHub() {
     console.log('GitHub sync successful:', result);
     
     // Update sync state
+    syncState.currentSha = result.sha;
+    setMergeBase(parseBoard(markdownContent));
     syncState.lastGitHubSync = new Date();
-    syncState.pendingChanges = false;
+    syncState.retryDelay = 0;
     window.auth.updateSyncStatus('synced');
+    if (result.pullRequest) {
+      const opened = !syncState.pullRequest || syncState.pullRequest.number !== result.pullRequest.number;
+      setPullRequest(result.pullRequest);
+      if (opened) {
+        showToast(`Opened pull request #${result.pullRequest.number} for your changes.`);
+      }
+    }
+    
+    // Changes made while the request was in flight still need pushing
+    syncState.pendingChanges = syncState.changeCount !== changeCount;
+    if (syncState.pendingChanges) {
+      await window.syncQueue.removeOperations(operations.map(operation => operation.id));
+      scheduleSyncToGitHub();
+    } else {
+      await window.syncQueue.clearOperations(boardKey);
+    }
+    saveToLocalStorage();
     
     return true;
   } catch (error) {
+    // Network failures end up here
     console.error('Error syncing to GitHub:', error);
     window.auth.updateSyncStatus('offline');
+    scheduleRetry();
     return false;
   }
 }
 
 /**
- * Convert board data to markdown format
- * @param {Array} boardData - The board data to convert
- * @returns {string} Markdown representation of the board
+ * Merge our board with the version that was pushed to GitHub in the meantime,
+ * then retry the sync with the merged result
+ * @param {Object} conflictData - The 409 payload from the github-update-file function
+ * @param {Array} localBoard - The board data we tried to push
+ * @param {string} [commitMessage] - Message the user chose for the commit
+ * @returns {Promise<boolean>} Whether the merged board was synced
  */
-function boardDataToMarkdown(boardData) {
-  let markdown = '';
+async function resolveSyncConflict(conflictData, localBoard, commitMessage) {
+  // Without the ancestor or the remote content there is nothing to merge against
+  if (!syncState.baseBoard || !conflictData.currentContent) {
+    window.auth.updateSyncStatus('conflict');
+    // Rules of protected branches also refuse writes with a conflict
+    if (!conflictData.currentContent && syncState.syncMode === 'direct') {
+      suggestPullRequest();
+    }
+    return false;
+  }
   
-  // Process each column
-  boardData.forEach(column => {
-    markdown += `## ${column.title}\n\n`;
-    
-    // Process each card in the column
-    column.cards.forEach(card => {
-      // Add the main task
-      const checkbox = card.completed ? '[x]' : '[ ]';
-      markdown += `- ${checkbox} ${card.text}\n`;
-      
-      // Add subtasks if any
-      if (card.subtasks && card.subtasks.length > 0) {
-        card.subtasks.forEach(subtask => {
-          const subtaskCheckbox = subtask.completed ? '[x]' : '[ ]';
-          const indent = '  '.repeat(subtask.indentation || 1);
-          markdown += `${indent}- ${subtaskCheckbox} ${subtask.text}\n`;
-        });
-      }
-      
-      // Add extended content if any
-      if (card.content) {
-        const contentLines = card.content.split('\n');
-        contentLines.forEach(line => {
-          markdown += `  ${line}\n`;
-        });
-      }
-      
-      // Add metadata if any
-      if (card.priority) {
-        markdown += `  !${card.priority}\n`;
-      }
-      
-      if (card.dueDate) {
-        markdown += `  @${card.dueDate}\n`;
-      }
-      
-      if (card.tags && card.tags.length > 0) {
-        card.tags.forEach(tag => {
-          markdown += `  #${tag}\n`;
-        });
-      }
-      
-      // Add spacing between cards
-      markdown += '\n';
-    });
-    
-    // Add spacing between columns
-    markdown += '\n';
-  });
+  const remote = parseBoard(conflictData.currentContent);
+  const remoteBoard = withArchiveColumn(remote);
+  let merge = mergeBoards(syncState.baseBoard, localBoard, remoteBoard);
+  
+  // Ask the user about cards that were changed on both sides
+  if (merge.conflicts.length > 0) {
+    const resolutions = await window.showMergeConflictDialog(merge.conflicts);
+    if (!resolutions) {
+      console.log('Merge cancelled by user');
+      window.auth.updateSyncStatus('conflict');
+      return false;
+    }
+    merge = mergeBoards(syncState.baseBoard, localBoard, remoteBoard, resolutions);
+  }
+  
+  const current = window.boardStore.getBoard();
+  const settings = mergeBoardSettings(syncState.baseSettings, current, remote);
   
-  return markdown;
+  // The remote version is now the common ancestor of the merged board
+  setMergeBase(remote);
+  syncState.currentSha = conflictData.currentSha;
+  
+  window.boardStore.loadBoard({
+    ...current,
+    ...settings,
+    ...splitArchiveColumn(merge.columns)
+  }, window.boardStore.getHistory());
+  
+  saveToLocalStorage();
+  console.log(`Merged remote changes (${merge.conflicts.length} conflicts resolved)`);
+  
+  return pushToGitHub(commitMessage);
 }
 
 /**
@@ -284,23 +940,311 @@ async function manualSync() {
   // Save to local storage first
   saveToLocalStorage();
   
+  // Let the user edit the commit message before pushing, unless turned off
+  let commitMessage;
+  const canPush = syncState.pendingChanges && syncState.currentRepo && window.auth.isAuthenticated();
+  if (canPush && window.syncQueue.isPushReviewEnabled()) {
+    const operations = await window.syncQueue.getOperations(syncState.boardKey);
+    commitMessage = await window.syncQueue.reviewCommitMessage(operations);
+    if (commitMessage === null) return false;
+  }
+  
   // Then sync to GitHub
-  return syncToGitHub();
+  return syncToGitHub(commitMessage);
+}
+
+/**
+ * Get the branch changes are committed to
+ * @returns {string} The pull request branch once it exists in pull request mode, otherwise the board's branch
+ */
+function getWriteBranch() {
+  if (syncState.syncMode === 'pullRequest' && syncState.pullRequestBranch) {
+    return syncState.pullRequestBranch;
+  }
+  return syncState.currentBranch;
 }
 
 /**
- * Set the current repository information
+ * Point the user to pull request mode when GitHub refuses a direct write
+ */
+function suggestPullRequest() {
+  showToast(`GitHub refused the change; ${syncState.currentBranch} may be protected. Choose to save to a pull request in the sync panel.`);
+}
+
+/**
+ * Make up the name of a new branch for a pull request
+ * @returns {string} Branch name such as 'kanbanmd/kanban-20261019-x7k2'
+ */
+function createPullRequestBranchName() {
+  const fileName = syncState.currentPath.split('/').pop().replace(/\.md$/i, '');
+  const slug = fileName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'board';
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return `kanbanmd/${slug}-${date}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Write the description of the pull request from the card changes on its branch
+ * @param {Object} board - The board being pushed
+ * @returns {string} Markdown description
+ */
+function describePullRequest(board) {
+  const changes = syncState.pullRequestBase ?
+    diffBoards(syncState.pullRequestBase, withArchiveColumn(board)) : [];
+  const lines = [`Board changes to \`${syncState.currentPath}\` made with KanbanMD.`];
+  
+  if (changes.length > 0) {
+    lines.push('', '### Card changes', '');
+    changes.forEach(change => lines.push(`- ${window.boardHistory.describeRevisionChange(change)}`));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Take over the pull request settings saved with a board
+ * @param {Object|null} saved - { mode, branch, base, info } as saved, or null for a board without
+ */
+function restorePullRequestState(saved) {
+  syncState.syncMode = saved && saved.mode === 'pullRequest' ? 'pullRequest' : 'direct';
+  syncState.pullRequestBranch = saved ? saved.branch || null : null;
+  syncState.pullRequestBase = saved ? saved.base || null : null;
+  syncState.pullRequest = saved ? saved.info || null : null;
+}
+
+/**
+ * Record the state of the branch's pull request. Once it is merged or
+ * closed, the next push starts a new branch and pull request; the version the
+ * closed branch was created from is kept to merge with the base branch then.
+ * @param {Object|null} pullRequest - Pull request from the github-pull-request function
+ */
+function setPullRequest(pullRequest) {
+  syncState.pullRequest = pullRequest;
+  if (pullRequest && pullRequest.state !== 'open') {
+    syncState.pullRequestBranch = null;
+  }
+  saveToLocalStorage();
+  window.dispatchEvent(new CustomEvent('sync:pullrequest', { detail: { pullRequest } }));
+}
+
+/**
+ * Choose whether changes are committed to the board's branch or through a pull request
+ * @param {string} mode - 'direct' or 'pullRequest'
+ * @returns {Promise<void>} Resolves once the file on the branch we now write to was checked
+ */
+async function setSyncMode(mode) {
+  const writeBranch = getWriteBranch();
+  syncState.syncMode = mode === 'pullRequest' ? 'pullRequest' : 'direct';
+  // The file on the other branch is compared against on the next poll
+  syncState.etag = null;
+  
+  // Our merge base is a version of the branch we wrote to until now; the one
+  // the pull request branch was created from is on both branches. The poll
+  // merges with the other branch's file and takes over its SHA.
+  const switched = getWriteBranch() !== writeBranch;
+  if (switched && syncState.pullRequestBase) {
+    syncState.baseBoard = syncState.pullRequestBase;
+  }
+  
+  saveToLocalStorage();
+  window.dispatchEvent(new CustomEvent('sync:pullrequest', { detail: { pullRequest: syncState.pullRequest } }));
+  if (switched) {
+    await pollRemoteChanges();
+  }
+}
+
+/**
+ * Get how changes of the open board are saved to GitHub
+ * @returns {Object} { mode, branch, pullRequest } with branch being the pull
+ *   request's branch, or null before the first push
+ */
+function getPullRequestState() {
+  return {
+    mode: syncState.syncMode,
+    branch: syncState.pullRequestBranch,
+    pullRequest: syncState.pullRequest
+  };
+}
+
+/**
+ * Ask GitHub for the state of the branch's pull request
+ * @returns {Promise<Object|null>} The pull request, or null if there is none or it cannot be read
+ */
+async function refreshPullRequest() {
+  if (syncState.syncMode !== 'pullRequest' || !syncState.pullRequestBranch || !syncState.currentRepo ||
+      !navigator.onLine || !window.auth || !window.auth.isAuthenticated()) {
+    return syncState.pullRequest;
+  }
+  
+  const boardKey = syncState.boardKey;
+  const [owner, repo] = syncState.currentRepo.split('/');
+  
+  try {
+    const response = await fetch('/.netlify/functions/github-pull-request', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `token ${window.auth.getGitHubToken()}`
+      },
+      body: JSON.stringify({
+        action: 'status',
+        owner,
+        repo,
+        branch: syncState.pullRequestBranch
+      })
+    });
+    if (!response.ok) {
+      console.error('Error reading the pull request:', await response.json());
+      return syncState.pullRequest;
+    }
+    
+    const result = await response.json();
+    if (boardKey === syncState.boardKey && result.pullRequest) {
+      setPullRequest(result.pullRequest);
+    }
+  } catch (error) {
+    console.error('Error reading the pull request:', error);
+  }
+  return syncState.pullRequest;
+}
+
+/**
+ * Create the choice between committing to the board's branch and saving
+ * through a pull request, with the state of the pull request
+ * @returns {Object} { element, render } where render updates the section
+ */
+function createSyncModeSection() {
+  const section = document.createElement('div');
+  section.className = 'sync-mode';
+  
+  const label = document.createElement('label');
+  label.textContent = 'Save changes to ';
+  const modeSelect = document.createElement('select');
+  modeSelect.addEventListener('change', () => setSyncMode(modeSelect.value));
+  label.appendChild(modeSelect);
+  section.appendChild(label);
+  
+  const status = document.createElement('p');
+  status.className = 'pull-request-status';
+  section.appendChild(status);
+  
+  const render = () => {
+    const repoInfo = getRepoInfo();
+    section.classList.toggle('hidden', !repoInfo);
+    if (!repoInfo) return;
+    
+    const { mode, branch, pullRequest } = getPullRequestState();
+    modeSelect.innerHTML = '';
+    [['direct', `${repoInfo.branch} directly`], ['pullRequest', 'a pull request']].forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      modeSelect.appendChild(option);
+    });
+    modeSelect.value = mode;
+    
+    status.innerHTML = '';
+    if (mode !== 'pullRequest') return;
+    
+    if (!pullRequest) {
+      status.textContent = `The next push creates a branch from ${repoInfo.branch} and opens a pull request.`;
+      return;
+    }
+    
+    const link = document.createElement('a');
+    link.href = pullRequest.url;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = `Pull request #${pullRequest.number}`;
+    status.appendChild(link);
+    
+    let state = pullRequest.draft ? ' is an open draft.' : ' is open.';
+    if (pullRequest.merged) {
+      state = ' was merged. The next push opens a new one.';
+    } else if (pullRequest.state !== 'open') {
+      state = ' was closed. The next push opens a new one.';
+    }
+    status.appendChild(document.createTextNode(state));
+    
+    if (branch) {
+      const refreshButton = document.createElement('button');
+      refreshButton.className = 'cancel-edit-btn';
+      refreshButton.textContent = 'Refresh';
+      refreshButton.addEventListener('click', () => refreshPullRequest());
+      status.appendChild(refreshButton);
+    }
+  };
+  
+  return { element: section, render };
+}
+
+/**
+ * Remember the markdown we loaded as the base version for three-way merges
+ * @param {string} markdown - Markdown content of the loaded file
+ */
+function setBaseVersion(markdown) {
+  setMergeBase(parseBoard(markdown));
+}
+
+/**
+ * Make a version of the file the common ancestor for three-way merges
+ * @param {Object|null} board - Board as returned by parseBoard, or null to forget the ancestor
+ */
+function setMergeBase(board) {
+  syncState.baseBoard = board ? withArchiveColumn(board) : null;
+  syncState.baseSettings = board ? { frontMatter: board.frontMatter, settings: board.settings } : null;
+}
+
+/**
+ * Set the current repository information, making the file the open board
  * @param {string} repo - Repository in format 'owner/repo'
  * @param {string} path - File path within the repository
  * @param {string} branch - Branch name (defaults to 'master')
+ * @param {string|null} sha - Blob SHA of the loaded file version
  */
-function setRepoInfo(repo, path, branch = 'master') {
+function setRepoInfo(repo, path, branch = 'master', sha = null) {
   syncState.currentRepo = repo;
   syncState.currentPath = path;
   syncState.currentBranch = branch;
+  syncState.currentSha = sha;
+  
+  // A board opened again keeps saving to GitHub the way it did before
+  const savedData = localStorage.getItem(getStorageKey(getBoardKey({ repo, path, branch })));
+  restorePullRequestState(savedData ? JSON.parse(savedData).pullRequest : null);
+  openBoard({ repo, path, branch });
   
   // Save the repo info to local storage
   saveToLocalStorage();
+  refreshPullRequest();
+}
+
+/**
+ * Make an uploaded file the open board; it is saved locally but not synced
+ * @param {string} fileName - Name of the uploaded file
+ */
+function setLocalFile(fileName) {
+  openBoard({ fileName });
+  saveToLocalStorage();
+}
+
+/**
+ * Get the key of the open board
+ * @returns {string|null} Board key
+ */
+function getCurrentBoardKey() {
+  return syncState.boardKey;
+}
+
+/**
+ * Get the repository the board was loaded from
+ * @returns {Object|null} { repo, path, branch }, or null for boards not loaded from GitHub
+ */
+function getRepoInfo() {
+  if (!syncState.currentRepo) return null;
+  
+  return {
+    repo: syncState.currentRepo,
+    path: syncState.currentPath,
+    branch: syncState.currentBranch
+  };
 }
 
 // Initialize sync when DOM is loaded
@@ -309,7 +1253,22 @@ document.addEventListener('DOMContentLoaded', initSync);
 // Export functions for use in other modules
 window.sync = {
   manualSync,
+  pollRemoteChanges,
+  setSyncMode,
+  refreshPullRequest,
+  createSyncModeSection,
   setRepoInfo,
+  setLocalFile,
+  getRepoInfo,
+  setBaseVersion,
+  closeBoard,
+  restoreBoard,
+  hasUnsyncedChanges,
+  restoreBoardWithRemote,
+  discardUnsyncedChanges,
+  forgetBoard,
+  getRecentBoards,
+  getCurrentBoardKey,
   loadFromLocalStorage,
   saveToLocalStorage
 };
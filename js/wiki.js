@@ -0,0 +1,232 @@
+/**
+ * wiki.js - Wiki-links and card references
+ * `[[Note Name]]` links in cards resolve to a file in the GitHub repository
+ * the board was loaded from, the way Obsidian resolves them within a vault,
+ * and open in a preview pane. `[[#^id]]` references and @blocks/@blockedBy
+ * relations point at the card with that Obsidian block ID and scroll to it.
+ */
+
+// File paths of the loaded repository, fetched once per repository and branch
+const repoTree = {
+  key: null,
+  paths: null
+};
+
+// File extensions shown as images in the preview pane
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'svg'];
+
+/**
+ * Fetch the paths of all files in the loaded repository
+ * @param {Object} repoInfo - { repo, branch } of the loaded board
+ * @returns {Promise<Array>} File paths
+ */
+async function fetchRepoPaths(repoInfo) {
+  const key = `${repoInfo.repo}@${repoInfo.branch}`;
+  if (repoTree.key === key) return repoTree.paths;
+
+  const response = await fetch(
+    `https://api.github.com/repos/${repoInfo.repo}/git/trees/${encodeURIComponent(repoInfo.branch)}?recursive=1`,
+    { headers: window.auth.getGitHubHeaders() }
+  );
+  if (!response.ok) {
+    throw new Error(window.auth.describeGitHubError(response, `${repoInfo.repo} (${repoInfo.branch})`));
+  }
+
+  const data = await response.json();
+  repoTree.key = key;
+  repoTree.paths = data.tree.filter(entry => entry.type === 'blob').map(entry => entry.path);
+  return repoTree.paths;
+}
+
+/**
+ * Find the file a wiki-link points to
+ * @param {string} target - Link target, e.g. 'Note Name', 'folder/Note' or 'Note#Heading'
+ * @param {Array} paths - File paths in the repository
+ * @param {string} [boardPath] - Path of the board file, whose folder is preferred
+ * @returns {string|null} Path of the file, or null if none matches
+ */
+function resolveWikiTarget(target, paths, boardPath = '') {
+  let name = target.split('#')[0].trim().replace(/^\/+/, '');
+  if (!name) return null;
+  if (!/\.\w+$/.test(name)) {
+    name += '.md';
+  }
+
+  const lowerName = name.toLowerCase();
+  const candidates = paths.filter(path => {
+    const lowerPath = path.toLowerCase();
+    return lowerPath === lowerName || lowerPath.endsWith(`/${lowerName}`);
+  });
+  if (candidates.length === 0) return null;
+
+  // Like Obsidian, prefer the file next to the board, then the shortest path
+  const folder = boardPath.includes('/') ? boardPath.slice(0, boardPath.lastIndexOf('/') + 1) : '';
+  const sibling = candidates.find(path => path.toLowerCase() === (folder + name).toLowerCase());
+  return sibling || candidates.sort((a, b) => a.split('/').length - b.split('/').length || a.length - b.length)[0];
+}
+
+/**
+ * Resolve a wiki-link and show the file in the preview pane
+ * @param {string} target - Link target
+ */
+async function openWikiPreview(target) {
+  const repoInfo = window.sync && window.sync.getRepoInfo();
+  if (!repoInfo) {
+    showPreviewPane(target, '<p>Wiki-links open files from the GitHub repository the board was loaded from. Load the board from GitHub to follow them.</p>');
+    return;
+  }
+
+  showPreviewPane(target, '<p class="wiki-preview-loading">Loading...</p>');
+
+  try {
+    const path = resolveWikiTarget(target, await fetchRepoPaths(repoInfo), repoInfo.path);
+    if (!path) {
+      showPreviewPane(target, `<p>No file named <code>${window.markdown.escapeHtml(target.split('#')[0])}</code> in ${window.markdown.escapeHtml(repoInfo.repo)}.</p>`);
+      return;
+    }
+
+    const githubUrl = `https://github.com/${repoInfo.repo}/blob/${repoInfo.branch}/${path}`;
+    const extension = path.split('.').pop().toLowerCase();
+    const response = await fetch(
+      `https://api.github.com/repos/${repoInfo.repo}/contents/${path.split('/').map(encodeURIComponent).join('/')}?ref=${encodeURIComponent(repoInfo.branch)}`,
+      { headers: window.auth.getGitHubHeaders() }
+    );
+    if (!response.ok) {
+      throw new Error(window.auth.describeGitHubError(response, path));
+    }
+    const data = await response.json();
+
+    let html;
+    if (extension === 'md') {
+      html = window.markdown.renderMarkdown(window.codec.decodeBase64(data.content));
+    } else if (IMAGE_EXTENSIONS.includes(extension)) {
+      html = window.markdown.sanitizeHtml(`<img src="${window.markdown.escapeHtml(data.download_url)}" alt="">`);
+    } else {
+      html = '<p>This file cannot be previewed.</p>';
+    }
+
+    showPreviewPane(path, html, githubUrl);
+  } catch (error) {
+    console.error('Error opening wiki-link:', error);
+    showPreviewPane(target, `<p class="wiki-preview-error">${window.markdown.escapeHtml(error.message)}</p>`);
+  }
+}
+
+/**
+ * Show the preview pane, replacing what it showed before
+ * @param {string} title - Pane title
+ * @param {string} html - Sanitised HTML for the pane body
+ * @param {string} [url] - Link to the file on GitHub
+ */
+function showPreviewPane(title, html, url) {
+  let pane = document.querySelector('.wiki-preview');
+  if (!pane) {
+    pane = document.createElement('aside');
+    pane.className = 'wiki-preview';
+    pane.tabIndex = -1;
+    pane.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        pane.remove();
+      }
+    });
+    document.body.appendChild(pane);
+  }
+  pane.innerHTML = '';
+
+  const header = document.createElement('div');
+  header.className = 'wiki-preview-header';
+
+  const titleElement = document.createElement('h3');
+  titleElement.textContent = title;
+  header.appendChild(titleElement);
+
+  if (url) {
+    const githubLink = document.createElement('a');
+    githubLink.href = url;
+    githubLink.target = '_blank';
+    githubLink.rel = 'noopener noreferrer';
+    githubLink.textContent = 'Open on GitHub';
+    header.appendChild(githubLink);
+  }
+
+  const closeButton = document.createElement('button');
+  closeButton.className = 'wiki-preview-close';
+  closeButton.innerHTML = '&times;';
+  closeButton.title = 'Close preview';
+  closeButton.addEventListener('click', () => {
+    pane.remove();
+  });
+  header.appendChild(closeButton);
+
+  const body = document.createElement('div');
+  body.className = 'wiki-preview-body';
+  body.innerHTML = html;
+
+  pane.appendChild(header);
+  pane.appendChild(body);
+  pane.focus();
+}
+
+/**
+ * Scroll to the card with a block ID and highlight it
+ * @param {string} blockId - Block ID without the leading ^
+ */
+function navigateToCardRef(blockId) {
+  const found = window.boardStore.findCardByBlockId(blockId);
+  if (!found) {
+    alert(`No card on this board has the block ID ^${blockId}.`);
+    return;
+  }
+  navigateToCard(found.card.id);
+}
+
+/**
+ * Scroll to a card and highlight it, opening the archive for archived cards
+ * @param {string} cardId - Card ID
+ */
+function navigateToCard(cardId) {
+  const store = window.boardStore;
+  const found = store.findCard(cardId);
+  if (!found) return;
+
+  if (found.column === store.getBoard().archive) {
+    showArchiveView();
+    return;
+  }
+
+  if (store.isColumnCollapsed(found.column.id)) {
+    store.toggleColumnCollapsed(found.column.id);
+  }
+
+  const cardElement = document.querySelector(`.kanban-card[data-card-id="${found.card.id}"]`);
+  if (!cardElement) return;
+
+  cardElement.focus();
+  if (cardElement.scrollIntoView) {
+    cardElement.scrollIntoView({ block: 'center', inline: 'center', behavior: 'smooth' });
+  }
+  cardElement.classList.add('card-highlight');
+  setTimeout(() => cardElement.classList.remove('card-highlight'), 1500);
+}
+
+// Follow wiki-links and card references wherever they are rendered
+document.addEventListener('click', (e) => {
+  const link = e.target.closest && e.target.closest('a.wiki-link, a.card-ref');
+  if (!link) return;
+
+  e.preventDefault();
+  e.stopPropagation();
+  if (link.dataset.cardRef) {
+    navigateToCardRef(link.dataset.cardRef);
+  } else {
+    openWikiPreview(link.dataset.wikiTarget);
+  }
+});
+
+// Export functions for use in other modules
+window.wiki = {
+  openWikiPreview,
+  navigateToCardRef,
+  navigateToCard,
+  resolveWikiTarget
+};
@@ -0,0 +1,182 @@
+const {
+  jsonResponse, repoUrl, encodePath, parseRequest, githubErrorResponse, writeFile
+} = require('../lib/github-file');
+
+/**
+ * Find the most recent pull request from a branch
+ * @param {string} url - Repository API URL
+ * @param {Object} githubHeaders - Headers carrying the user's token
+ * @param {string} owner - Repository owner
+ * @param {string} branch - Head branch of the pull request
+ * @returns {Promise<Object|null>} The pull request as returned by GitHub, open
+ *   or not, or null if there is none
+ * @throws {Response} The GitHub response if the request fails
+ */
+async function findPullRequest(url, githubHeaders, owner, branch) {
+  const response = await fetch(
+    `${url}/pulls?head=${encodeURIComponent(`${owner}:${branch}`)}&state=all&sort=created&direction=desc&per_page=1`,
+    { headers: githubHeaders }
+  );
+  if (!response.ok) throw response;
+
+  const pullRequests = await response.json();
+  return pullRequests[0] || null;
+}
+
+/**
+ * Reduce a GitHub pull request to what the board shows
+ * @param {Object|null} pullRequest - Pull request as returned by GitHub
+ * @returns {Object|null} { number, url, title, state, merged, draft, updatedAt }
+ */
+function summarizePullRequest(pullRequest) {
+  if (!pullRequest) return null;
+
+  return {
+    number: pullRequest.number,
+    url: pullRequest.html_url,
+    title: pullRequest.title,
+    state: pullRequest.state,
+    merged: Boolean(pullRequest.merged_at),
+    draft: Boolean(pullRequest.draft),
+    updatedAt: pullRequest.updated_at
+  };
+}
+
+/**
+ * Create a branch from the base branch unless it exists
+ * @param {string} url - Repository API URL
+ * @param {Object} githubHeaders - Headers carrying the user's token
+ * @param {string} branch - Branch to create
+ * @param {string} baseBranch - Branch to create it from
+ * @returns {Promise<Object|null>} A function response if GitHub failed, otherwise null
+ */
+async function ensureBranch(url, githubHeaders, branch, baseBranch) {
+  const branchResponse = await fetch(`${url}/git/ref/heads/${encodePath(branch)}`, {
+    headers: githubHeaders
+  });
+  if (branchResponse.ok) return null;
+  if (branchResponse.status !== 404) {
+    return githubErrorResponse(branchResponse, 'reading the branch');
+  }
+
+  const baseResponse = await fetch(`${url}/git/ref/heads/${encodePath(baseBranch)}`, {
+    headers: githubHeaders
+  });
+  if (!baseResponse.ok) {
+    return githubErrorResponse(baseResponse, 'reading the base branch');
+  }
+  const baseRef = await baseResponse.json();
+
+  const createResponse = await fetch(`${url}/git/refs`, {
+    method: 'POST',
+    headers: githubHeaders,
+    body: JSON.stringify({ ref: `refs/heads/${branch}`, sha: baseRef.object.sha })
+  });
+  // 422 means the branch was created in the meantime, which is fine
+  if (!createResponse.ok && createResponse.status !== 422) {
+    return githubErrorResponse(createResponse, 'creating the branch');
+  }
+  console.log(`Created branch ${branch} from ${baseBranch}`);
+  return null;
+}
+
+exports.handler = async (event, context) => {
+  // CORS preflight, method, body and token
+  const request = parseRequest(event);
+  if (request.response) {
+    return request.response;
+  }
+
+  try {
+    const {
+      action = 'push', owner, repo, path, content, encoding, commitMessage,
+      branch, baseBranch, sha, title, body
+    } = request.body;
+
+    const isPush = action === 'push';
+    if (!owner || !repo || !branch || (isPush && (!path || !baseBranch || typeof content !== 'string'))) {
+      console.error('Missing required parameters');
+      return jsonResponse(400, {
+        error: isPush ? 'Missing owner, repo, path, content, branch or baseBranch' : 'Missing owner, repo or branch'
+      });
+    }
+
+    const { githubHeaders } = request;
+    const url = repoUrl(owner, repo);
+    let pullRequest = await findPullRequest(url, githubHeaders, owner, branch);
+
+    // The state of the branch's pull request, for the board's status view
+    if (action === 'status') {
+      return jsonResponse(200, { pullRequest: summarizePullRequest(pullRequest) });
+    }
+
+    if (!isPush) {
+      return jsonResponse(400, { error: `Unknown action '${action}'` });
+    }
+
+    // A branch whose pull request was merged or closed is not pushed to again;
+    // the client starts a new branch
+    if (pullRequest && pullRequest.state !== 'open') {
+      console.log(`Pull request #${pullRequest.number} of ${branch} is ${pullRequest.state}`);
+      return jsonResponse(409, {
+        error: 'pull request closed',
+        message: 'The pull request of this branch was merged or closed',
+        pullRequest: summarizePullRequest(pullRequest)
+      });
+    }
+
+    // Create the branch from the base branch on the first push
+    const branchError = await ensureBranch(url, githubHeaders, branch, baseBranch);
+    if (branchError) {
+      return branchError;
+    }
+
+    // Commit the board to the branch, unless it changed since it was loaded
+    const write = await writeFile({ owner, repo, path, branch, sha, content, encoding, commitMessage }, githubHeaders);
+    if (write.response) {
+      return write.response;
+    }
+
+    // Open a pull request for the branch, or bring the open one's summary up to date
+    const pullRequestResponse = pullRequest ?
+      await fetch(`${url}/pulls/${pullRequest.number}`, {
+        method: 'PATCH',
+        headers: githubHeaders,
+        body: JSON.stringify({ body: body || '' })
+      }) :
+      await fetch(`${url}/pulls`, {
+        method: 'POST',
+        headers: githubHeaders,
+        body: JSON.stringify({
+          title: title || `Update ${path}`,
+          head: branch,
+          base: baseBranch,
+          body: body || ''
+        })
+      });
+
+    if (!pullRequestResponse.ok) {
+      return githubErrorResponse(pullRequestResponse, pullRequest ? 'updating the pull request' : 'opening the pull request');
+    }
+    pullRequest = await pullRequestResponse.json();
+
+    return jsonResponse(200, {
+      sha: write.result.content.sha,
+      commitSha: write.result.commit.sha,
+      commitUrl: write.result.commit.html_url,
+      pullRequest: summarizePullRequest(pullRequest)
+    });
+  } catch (error) {
+    // Failed GitHub requests thrown by findPullRequest
+    if (error && typeof error.text === 'function') {
+      return githubErrorResponse(error, 'listing pull requests');
+    }
+
+    console.error('Unexpected error saving to a pull request:', error);
+
+    return jsonResponse(500, {
+      error: 'Failed to save the board to a pull request',
+      message: error.message || 'Unknown error'
+    });
+  }
+};
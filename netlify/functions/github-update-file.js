@@ -0,0 +1,37 @@
+const { jsonResponse, parseRequest, writeFile } = require('../lib/github-file');
+
+exports.handler = async (event, context) => {
+  // CORS preflight, method, body and token
+  const request = parseRequest(event);
+  if (request.response) {
+    return request.response;
+  }
+
+  try {
+    const { owner, repo, path, content, encoding, commitMessage, branch, sha } = request.body;
+
+    if (!owner || !repo || !path || typeof content !== 'string') {
+      console.error('Missing required parameters');
+      return jsonResponse(400, { error: 'Missing owner, repo, path or content' });
+    }
+
+    // Write the file using the user's token, unless it changed since it was loaded
+    const write = await writeFile({ owner, repo, path, branch, sha, content, encoding, commitMessage }, request.githubHeaders);
+    if (write.response) {
+      return write.response;
+    }
+
+    return jsonResponse(200, {
+      sha: write.result.content.sha,
+      commitSha: write.result.commit.sha,
+      commitUrl: write.result.commit.html_url
+    });
+  } catch (error) {
+    console.error('Unexpected error updating file:', error);
+
+    return jsonResponse(500, {
+      error: 'Failed to update file on GitHub',
+      message: error.message || 'Unknown error'
+    });
+  }
+};
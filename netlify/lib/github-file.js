@@ -0,0 +1,253 @@
+/**
+ * github-file.js - Shared by the Netlify functions that write the board file
+ * to GitHub: request handling, the user's token, and writing a file only if
+ * it is still at the version the client loaded.
+ */
+
+// Base URL for the GitHub REST API. Can be pointed at a local stand-in
+// for the GitHub API when testing the functions.
+const GITHUB_API_URL = process.env.GITHUB_API_URL || 'https://api.github.com';
+
+// Response headers allowing the app to call the functions
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Content-Type': 'application/json'
+};
+
+/**
+ * Build a function response with a JSON body
+ * @param {number} statusCode - HTTP status
+ * @param {Object} body - Body to send as JSON
+ * @returns {Object} Function response
+ */
+function jsonResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: CORS_HEADERS,
+    body: JSON.stringify(body)
+  };
+}
+
+/**
+ * Build the API URL of a repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {string} Repository API URL
+ */
+function repoUrl(owner, repo) {
+  return `${GITHUB_API_URL}/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+}
+
+/**
+ * Encode a file path or branch name for a URL, keeping its slashes
+ * @param {string} path - Path or branch name, e.g. 'kanbanmd/board-20261019'
+ * @returns {string} The encoded path
+ */
+function encodePath(path) {
+  return path.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * Extract the user's GitHub token from the Authorization header
+ * @param {Object} requestHeaders - Incoming request headers
+ * @returns {string|null} The token or null if not present
+ */
+function getTokenFromHeaders(requestHeaders) {
+  const authorization = requestHeaders && (requestHeaders.authorization || requestHeaders.Authorization);
+  if (!authorization) return null;
+
+  const match = authorization.match(/^(?:token|Bearer)\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Check the parts every function request shares: the CORS preflight, the
+ * method, the JSON body and the user's token
+ * @param {Object} event - Netlify function event
+ * @returns {Object} { response } to return as is when the request cannot go
+ *   on, otherwise { body, githubHeaders } with the parsed body and headers
+ *   carrying the user's token
+ */
+function parseRequest(event) {
+  // Handle preflight OPTIONS request
+  if (event.httpMethod === 'OPTIONS') {
+    return { response: { statusCode: 200, headers: CORS_HEADERS, body: '' } };
+  }
+
+  // Only allow POST requests
+  if (event.httpMethod !== 'POST') {
+    return { response: jsonResponse(405, { error: 'Method Not Allowed' }) };
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body);
+  } catch (e) {
+    console.error('Error parsing request body:', e);
+    return { response: jsonResponse(400, { error: 'Invalid JSON in request body' }) };
+  }
+
+  const token = getTokenFromHeaders(event.headers);
+  if (!token) {
+    return { response: jsonResponse(401, { error: 'Missing GitHub token' }) };
+  }
+
+  return {
+    body,
+    githubHeaders: {
+      'Accept': 'application/vnd.github+json',
+      'Authorization': `token ${token}`,
+      'Content-Type': 'application/json'
+    }
+  };
+}
+
+/**
+ * Build the response for a failed GitHub API request
+ * @param {Response} response - The failed GitHub response
+ * @param {string} action - What was attempted, for the log
+ * @returns {Promise<Object>} Function response passing on GitHub's status
+ */
+async function githubErrorResponse(response, action) {
+  const errorText = await response.text();
+  console.error(`GitHub API error ${action}:`, response.status, errorText);
+
+  return jsonResponse(response.status, {
+    error: 'GitHub API error',
+    status: response.status,
+    message: response.statusText,
+    details: errorText
+  });
+}
+
+/**
+ * Fetch the file as it is on GitHub now
+ * @param {string} fileUrl - Contents API URL of the file
+ * @param {string} [branch] - Branch to read, the default branch if omitted
+ * @param {Object} githubHeaders - Headers carrying the user's token
+ * @returns {Promise<Object>} { response, sha, content } with sha and content
+ *   null if the file does not exist or could not be read
+ */
+async function fetchCurrentFile(fileUrl, branch, githubHeaders) {
+  const refQuery = branch ? `?ref=${encodeURIComponent(branch)}` : '';
+  const response = await fetch(`${fileUrl}${refQuery}`, {
+    headers: githubHeaders
+  });
+  if (!response.ok) {
+    return { response, sha: null, content: null };
+  }
+
+  const file = await response.json();
+  return {
+    response,
+    sha: file.sha,
+    content: file.content ? Buffer.from(file.content, 'base64').toString('utf8') : null
+  };
+}
+
+/**
+ * Write a file, provided it is still at the version the client loaded. A
+ * client that sends no SHA cannot tell, so an existing file is never
+ * overwritten without one.
+ * @param {Object} options - What to write
+ * @param {string} options.owner - Repository owner
+ * @param {string} options.repo - Repository name
+ * @param {string} options.path - File path within the repository
+ * @param {string} [options.branch] - Branch to write to, the default branch if omitted
+ * @param {string|null} options.sha - Blob SHA of the version the client loaded
+ * @param {string} options.content - New content
+ * @param {string} [options.encoding] - 'base64' if the content is base64 encoded UTF-8
+ * @param {string} [options.commitMessage] - Message of the commit
+ * @param {Object} githubHeaders - Headers carrying the user's token
+ * @returns {Promise<Object>} { result } with GitHub's answer to the write, or
+ *   { response } with the function response to send when it failed, a 409
+ *   with the current version of the file if it changed
+ */
+async function writeFile(options, githubHeaders) {
+  const { owner, repo, path, branch, sha, content, encoding, commitMessage } = options;
+  const fileUrl = `${repoUrl(owner, repo)}/contents/${encodePath(path)}`;
+  const location = `${owner}/${repo}/${path}${branch ? ` (${branch})` : ''}`;
+
+  // Fetch the current blob SHA so we can detect upstream changes
+  const current = await fetchCurrentFile(fileUrl, branch, githubHeaders);
+  if (!current.response.ok && current.response.status !== 404) {
+    return { response: await githubErrorResponse(current.response, 'fetching file') };
+  }
+
+  // Reject the write if the file changed since the client loaded it
+  if ((sha || null) !== current.sha) {
+    console.log(`Conflict on ${location}: expected ${sha}, found ${current.sha}`);
+    return {
+      response: jsonResponse(409, {
+        error: 'conflict',
+        message: 'The file has changed on GitHub since it was loaded',
+        expectedSha: sha,
+        currentSha: current.sha,
+        currentContent: current.content
+      })
+    };
+  }
+
+  // Write the file using the user's token
+  const updateResponse = await fetch(fileUrl, {
+    method: 'PUT',
+    headers: githubHeaders,
+    body: JSON.stringify({
+      message: commitMessage || 'Update Kanban board via KanbanMD Tool',
+      // The client may send the content already base64 encoded from UTF-8
+      content: encoding === 'base64' ? content : Buffer.from(content, 'utf8').toString('base64'),
+      sha: current.sha || undefined,
+      branch: branch || undefined
+    })
+  });
+
+  // GitHub answers 409 when the file moved on between our read and write;
+  // the new version is sent along so the client can merge with it
+  if (updateResponse.status === 409) {
+    const errorText = await updateResponse.text();
+    const latest = await fetchCurrentFile(fileUrl, branch, githubHeaders);
+
+    // An unchanged file means GitHub refused the write for another reason,
+    // e.g. a rule of a protected branch, and merging would not help
+    if (latest.sha === current.sha) {
+      console.error('GitHub refused the update:', errorText);
+      return {
+        response: jsonResponse(409, {
+          error: 'GitHub API error',
+          status: 409,
+          message: updateResponse.statusText,
+          details: errorText
+        })
+      };
+    }
+
+    return {
+      response: jsonResponse(409, {
+        error: 'conflict',
+        message: 'The file was changed on GitHub while saving',
+        expectedSha: sha || current.sha,
+        currentSha: latest.sha,
+        currentContent: latest.content
+      })
+    };
+  }
+
+  if (!updateResponse.ok) {
+    return { response: await githubErrorResponse(updateResponse, 'updating file') };
+  }
+
+  const result = await updateResponse.json();
+  console.log(`Updated ${location} in commit ${result.commit.sha}`);
+  return { result };
+}
+
+module.exports = {
+  jsonResponse,
+  repoUrl,
+  encodePath,
+  parseRequest,
+  githubErrorResponse,
+  writeFile
+};
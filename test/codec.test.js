@@ -0,0 +1,42 @@
+/**
+ * Tests for codec.js: board text survives the round trip through the base64
+ * the GitHub API uses, whatever script it is written in.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { codec } = loadScripts(['js/codec.js'], { atob, btoa, TextEncoder, TextDecoder });
+
+const BOARD = '## À faire\n\n- [ ] Café avec Zoë 🎉\n- [ ] 日本語のカード\n- [ ] Überprüfen ✓ 한국어\n';
+
+test('non-ASCII text round-trips unchanged', () => {
+  assert.strictEqual(codec.decodeBase64(codec.encodeBase64(BOARD)), BOARD);
+});
+
+test('the encoding is base64 of the UTF-8 bytes, as GitHub sends it', () => {
+  const base64 = Buffer.from(BOARD, 'utf8').toString('base64');
+
+  assert.strictEqual(codec.encodeBase64(BOARD), base64);
+  assert.strictEqual(codec.decodeBase64(base64), BOARD);
+});
+
+test('base64 wrapped over several lines is decoded', () => {
+  // GitHub wraps the content field every 60 characters
+  const wrapped = Buffer.from(BOARD, 'utf8').toString('base64').replace(/.{60}/g, '$&\n');
+  assert.ok(wrapped.split('\n').length > 2);
+
+  assert.strictEqual(codec.decodeBase64(wrapped), BOARD);
+  assert.strictEqual(codec.decodeBase64(wrapped.replace(/\n/g, '\r\n')), BOARD);
+});
+
+test('text longer than one encoding chunk round-trips unchanged', () => {
+  // Several chunks of 0x8000 bytes, with multi-byte characters across chunk borders
+  const text = `${BOARD}${'- [ ] Ünïcödé 🎉 日本\n'.repeat(5000)}`;
+  assert.ok(Buffer.byteLength(text) > 3 * 0x8000);
+
+  const base64 = codec.encodeBase64(text);
+  assert.strictEqual(base64, Buffer.from(text, 'utf8').toString('base64'));
+  assert.strictEqual(codec.decodeBase64(base64), text);
+});
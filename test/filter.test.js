@@ -0,0 +1,122 @@
+/**
+ * Tests for filter.js: structured search terms and how cards are matched
+ * against them.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { boardFilter, parseBoard } = loadScripts(['js/markdown.js', 'js/parser.js', 'js/filter.js'], {
+  URLSearchParams,
+  location: { search: '' }
+});
+
+const BOARD = [
+  '## Todo',
+  '',
+  '- [ ] Fix the login page #bug !high @due(2026-11-01)',
+  '    The session cookie expires too early',
+  '- [ ] Write release notes #docs !low',
+  '    - [ ] Mention the new search bar',
+  '',
+  '## Done',
+  '',
+  '- [x] Plan the sprint #planning @due(2026-10-15)',
+  ''
+].join('\n');
+
+const cards = parseBoard(BOARD).columns.flatMap(column => column.cards);
+
+/**
+ * List the cards matching a query
+ * @param {string} query - Filter query
+ * @returns {Array} Texts of the matching cards, which keep their tags
+ */
+function matching(query) {
+  const terms = boardFilter.parseFilterQuery(query);
+  return Array.from(cards.filter(card => boardFilter.cardMatchesFilter(card, terms)), card => card.text);
+}
+
+/**
+ * Parse a query into plain terms that compare across contexts
+ * @param {string} query - Filter query
+ * @returns {Array} Terms
+ */
+function parse(query) {
+  return JSON.parse(JSON.stringify(boardFilter.parseFilterQuery(query)));
+}
+
+test('queries are split into typed terms', () => {
+  assert.deepStrictEqual(parse('#Bug !HIGH due:<2026-11-01 is:done login'), [
+    { type: 'tag', value: 'bug', negate: false },
+    { type: 'priority', value: 'high', negate: false },
+    { type: 'due', operator: '<', value: '2026-11-01', negate: false },
+    { type: 'status', value: 'done', negate: false },
+    { type: 'text', value: 'login', negate: false }
+  ]);
+  assert.deepStrictEqual(parse('-#docs -"release notes" "  "'), [
+    { type: 'tag', value: 'docs', negate: true },
+    { type: 'text', value: 'release notes', negate: true }
+  ]);
+});
+
+test('terms that are not valid structured terms are searched as text', () => {
+  assert.deepStrictEqual(parse('!urgent due:tomorrow is:blocked'), [
+    { type: 'text', value: '!urgent', negate: false },
+    { type: 'text', value: 'due:tomorrow', negate: false },
+    { type: 'text', value: 'is:blocked', negate: false }
+  ]);
+});
+
+test('a tag term matches cards with the tag, in any case', () => {
+  assert.deepStrictEqual(matching('#bug'), ['Fix the login page #bug']);
+  assert.deepStrictEqual(matching('#BUG'), ['Fix the login page #bug']);
+  assert.deepStrictEqual(matching('#bu'), []);
+});
+
+test('a priority term matches cards with the priority', () => {
+  assert.deepStrictEqual(matching('!low'), ['Write release notes #docs']);
+  assert.deepStrictEqual(matching('!medium'), []);
+});
+
+test('due terms compare the due date', () => {
+  assert.deepStrictEqual(matching('due:2026-11-01'), ['Fix the login page #bug']);
+  assert.deepStrictEqual(matching('due:<2026-11-01'), ['Plan the sprint #planning']);
+  assert.deepStrictEqual(matching('due:<=2026-11-01'), ['Fix the login page #bug', 'Plan the sprint #planning']);
+  assert.deepStrictEqual(matching('due:>2026-10-15'), ['Fix the login page #bug']);
+  assert.deepStrictEqual(matching('due:>=2026-10-15'), ['Fix the login page #bug', 'Plan the sprint #planning']);
+  assert.deepStrictEqual(matching('due:any'), ['Fix the login page #bug', 'Plan the sprint #planning']);
+  assert.deepStrictEqual(matching('due:none'), ['Write release notes #docs']);
+});
+
+test('status terms match completed or open cards', () => {
+  assert.deepStrictEqual(matching('is:done'), ['Plan the sprint #planning']);
+  assert.deepStrictEqual(matching('is:open'), ['Fix the login page #bug', 'Write release notes #docs']);
+});
+
+test('free text is searched in the text, content and subtasks', () => {
+  assert.deepStrictEqual(matching('LOGIN'), ['Fix the login page #bug']);
+  assert.deepStrictEqual(matching('cookie'), ['Fix the login page #bug']);
+  assert.deepStrictEqual(matching('search bar'), ['Write release notes #docs']);
+  assert.deepStrictEqual(matching('"the session"'), ['Fix the login page #bug']);
+  assert.deepStrictEqual(matching('"session the"'), []);
+});
+
+test('combined terms must all match', () => {
+  assert.deepStrictEqual(matching('is:open !high'), ['Fix the login page #bug']);
+  assert.deepStrictEqual(matching('is:open #planning'), []);
+  assert.deepStrictEqual(matching('due:any is:open page'), ['Fix the login page #bug']);
+});
+
+test('negated terms exclude the cards they match', () => {
+  assert.deepStrictEqual(matching('-#bug'), ['Write release notes #docs', 'Plan the sprint #planning']);
+  assert.deepStrictEqual(matching('-is:done -!low'), ['Fix the login page #bug']);
+  assert.deepStrictEqual(matching('-due:none -"login page"'), ['Plan the sprint #planning']);
+  assert.deepStrictEqual(matching('is:open -notes'), ['Fix the login page #bug']);
+});
+
+test('an empty query matches every card', () => {
+  assert.deepStrictEqual(matching(''), ['Fix the login page #bug', 'Write release notes #docs', 'Plan the sprint #planning']);
+  assert.deepStrictEqual(matching('   '), ['Fix the login page #bug', 'Write release notes #docs', 'Plan the sprint #planning']);
+});
@@ -0,0 +1,133 @@
+/**
+ * Tests for the github-pull-request function against a local stand-in for
+ * the GitHub API, covering the branch and its pull request.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startGitHubStandIn, blobSha } = require('./github-stand-in');
+
+let standIn;
+let handler;
+
+test.before(async () => {
+  standIn = await startGitHubStandIn();
+  process.env.GITHUB_API_URL = standIn.url;
+  ({ handler } = require('../netlify/functions/github-pull-request'));
+});
+
+test.after(() => standIn.close());
+
+test.beforeEach(() => {
+  standIn.files.clear();
+  standIn.branches.clear();
+  standIn.branches.add('main');
+  standIn.pulls.length = 0;
+  standIn.onPut = null;
+  standIn.setFile('main', 'kanban.md', '## Todo\n\n- [ ] Original\n');
+});
+
+/**
+ * Push the board to a branch the way the client does
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} { statusCode, body } with the body parsed
+ */
+async function push(body) {
+  const result = await handler({
+    httpMethod: 'POST',
+    headers: { authorization: 'token test-token' },
+    body: JSON.stringify({
+      owner: 'octo', repo: 'board', path: 'kanban.md',
+      branch: 'kanbanmd/board', baseBranch: 'main', ...body
+    })
+  });
+  return { statusCode: result.statusCode, body: JSON.parse(result.body) };
+}
+
+test('creates the branch and opens a pull request on the first push', async () => {
+  const result = await push({
+    content: '## Todo\n\n- [ ] Changed\n',
+    sha: blobSha('## Todo\n\n- [ ] Original\n'),
+    title: 'Update the board'
+  });
+
+  assert.strictEqual(result.statusCode, 200);
+  assert.ok(standIn.branches.has('kanbanmd/board'));
+  assert.strictEqual(standIn.files.get('kanbanmd/board:kanban.md').content, '## Todo\n\n- [ ] Changed\n');
+  assert.strictEqual(standIn.files.get('main:kanban.md').content, '## Todo\n\n- [ ] Original\n');
+  assert.strictEqual(standIn.pulls.length, 1);
+  assert.strictEqual(result.body.pullRequest.number, 1);
+  assert.strictEqual(result.body.pullRequest.title, 'Update the board');
+});
+
+test('pushes to the open pull request again instead of opening another', async () => {
+  await push({ content: '## Todo\n\n- [ ] Changed\n', sha: blobSha('## Todo\n\n- [ ] Original\n') });
+  const result = await push({
+    content: '## Todo\n\n- [ ] Changed again\n',
+    sha: blobSha('## Todo\n\n- [ ] Changed\n'),
+    body: 'Two changes'
+  });
+
+  assert.strictEqual(result.statusCode, 200);
+  assert.strictEqual(standIn.pulls.length, 1);
+  assert.strictEqual(standIn.pulls[0].body, 'Two changes');
+  assert.strictEqual(standIn.files.get('kanbanmd/board:kanban.md').content, '## Todo\n\n- [ ] Changed again\n');
+});
+
+test('does not push to a branch whose pull request was merged or closed', async () => {
+  for (const closed of [{ state: 'closed', merged_at: '2026-10-19T10:00:00Z' }, { state: 'closed' }]) {
+    standIn.pulls.length = 0;
+    standIn.branches.delete('kanbanmd/board');
+    standIn.files.delete('kanbanmd/board:kanban.md');
+    await push({ content: '## Todo\n\n- [ ] Changed\n', sha: blobSha('## Todo\n\n- [ ] Original\n') });
+    Object.assign(standIn.pulls[0], closed);
+
+    const result = await push({
+      content: '## Todo\n\n- [ ] Later\n',
+      sha: standIn.files.get('kanbanmd/board:kanban.md').sha
+    });
+
+    assert.strictEqual(result.statusCode, 409);
+    assert.strictEqual(result.body.error, 'pull request closed');
+    assert.strictEqual(result.body.pullRequest.merged, Boolean(closed.merged_at));
+    assert.strictEqual(standIn.files.get('kanbanmd/board:kanban.md').content, '## Todo\n\n- [ ] Changed\n');
+    assert.strictEqual(standIn.pulls.length, 1);
+  }
+});
+
+test('opens a new pull request without a conflict after the last one was closed', async () => {
+  await push({ content: '## Todo\n\n- [ ] Changed\n', sha: blobSha('## Todo\n\n- [ ] Original\n') });
+  standIn.pulls[0].state = 'closed';
+
+  // The client starts a new branch with the SHA of the file on the base branch
+  const result = await push({
+    branch: 'kanbanmd/board-2',
+    content: '## Todo\n\n- [ ] Changed\n- [ ] Later\n',
+    sha: standIn.files.get('main:kanban.md').sha
+  });
+
+  assert.strictEqual(result.statusCode, 200);
+  assert.strictEqual(result.body.pullRequest.number, 2);
+  assert.strictEqual(result.body.pullRequest.state, 'open');
+  assert.strictEqual(standIn.files.get('kanbanmd/board-2:kanban.md').content, '## Todo\n\n- [ ] Changed\n- [ ] Later\n');
+  assert.strictEqual(standIn.files.get('kanbanmd/board:kanban.md').content, '## Todo\n\n- [ ] Changed\n');
+});
+
+test('answers 409 with the current version when the branch changed since it was loaded', async () => {
+  const result = await push({ content: '## Todo\n\n- [ ] Mine\n', sha: blobSha('older') });
+
+  assert.strictEqual(result.statusCode, 409);
+  assert.strictEqual(result.body.error, 'conflict');
+  assert.strictEqual(result.body.currentContent, '## Todo\n\n- [ ] Original\n');
+  assert.strictEqual(standIn.pulls.length, 0);
+});
+
+test('reports the state of the branch\'s pull request', async () => {
+  let result = await push({ action: 'status' });
+  assert.strictEqual(result.statusCode, 200);
+  assert.strictEqual(result.body.pullRequest, null);
+
+  await push({ content: '## Todo\n\n- [ ] Changed\n', sha: blobSha('## Todo\n\n- [ ] Original\n') });
+  result = await push({ action: 'status' });
+  assert.strictEqual(result.body.pullRequest.state, 'open');
+});
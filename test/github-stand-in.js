@@ -0,0 +1,164 @@
+/**
+ * github-stand-in.js - Local stand-in for the parts of the GitHub API the
+ * Netlify functions use, for tests. Files are kept in memory per branch,
+ * along with the branches and pull requests.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+/**
+ * Compute a blob SHA the way git does, so equal content gets equal SHAs
+ * @param {string} content - File content
+ * @returns {string} The SHA
+ */
+function blobSha(content) {
+  const bytes = Buffer.from(content, 'utf8');
+  return crypto.createHash('sha1').update(`blob ${bytes.length}\0`).update(bytes).digest('hex');
+}
+
+/**
+ * Start a stand-in GitHub API on a free local port
+ * @returns {Promise<Object>} Stand-in with { url, files, branches, pulls,
+ *   requests, setFile, onPut, close }; files maps 'branch:path' to
+ *   { sha, content }, branches is a set of branch names and pulls a list of
+ *   pull requests
+ */
+async function startGitHubStandIn() {
+  const files = new Map();
+  const branches = new Set(['main']);
+  const pulls = [];
+  const requests = [];
+  const standIn = {
+    files,
+    branches,
+    pulls,
+    requests,
+    // Called before a PUT is applied, e.g. to change the file concurrently
+    onPut: null,
+    setFile(branch, path, content) {
+      files.set(`${branch}:${path}`, { sha: blobSha(content), content });
+    }
+  };
+
+  const send = (response, status, body) => {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+  };
+
+  /**
+   * Answer requests for branches and pull requests
+   * @returns {boolean} Whether the request was answered
+   */
+  const handleRefsAndPulls = (method, route, url, body, response) => {
+    const ref = route.match(/^\/git\/ref\/heads\/(.+)$/);
+    if (ref && method === 'GET') {
+      const branch = ref[1].split('/').map(decodeURIComponent).join('/');
+      if (branches.has(branch)) {
+        send(response, 200, { ref: `refs/heads/${branch}`, object: { sha: `head-${branch}` } });
+      } else {
+        send(response, 404, { message: 'Not Found' });
+      }
+      return true;
+    }
+
+    if (route === '/git/refs' && method === 'POST') {
+      const branch = JSON.parse(body).ref.replace(/^refs\/heads\//, '');
+      const base = JSON.parse(body).sha.replace(/^head-/, '');
+      if (branches.has(branch)) {
+        send(response, 422, { message: 'Reference already exists' });
+        return true;
+      }
+      branches.add(branch);
+      // The new branch starts with the files of the branch it was made from
+      [...files].filter(([key]) => key.startsWith(`${base}:`)).forEach(([key, file]) => {
+        files.set(`${branch}:${key.slice(base.length + 1)}`, { ...file });
+      });
+      send(response, 201, { ref: `refs/heads/${branch}` });
+      return true;
+    }
+
+    if (route === '/pulls' && method === 'GET') {
+      const head = url.searchParams.get('head').split(':')[1];
+      const state = url.searchParams.get('state');
+      send(response, 200, pulls
+        .filter(pull => pull.head === head && (state === 'all' || pull.state === state))
+        .reverse());
+      return true;
+    }
+
+    if (route === '/pulls' && method === 'POST') {
+      const { title, head, base, body: description } = JSON.parse(body);
+      const number = pulls.length + 1;
+      const pull = { number, html_url: `https://github.com/pull/${number}`, title, head, base, body: description, state: 'open', merged_at: null, draft: false };
+      pulls.push(pull);
+      send(response, 201, pull);
+      return true;
+    }
+
+    const pullNumber = route.match(/^\/pulls\/(\d+)$/);
+    if (pullNumber && method === 'PATCH') {
+      const pull = pulls[Number(pullNumber[1]) - 1];
+      Object.assign(pull, JSON.parse(body));
+      send(response, 200, pull);
+      return true;
+    }
+
+    return false;
+  };
+
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+      const url = new URL(request.url, 'http://localhost');
+      requests.push(`${request.method} ${url.pathname}${url.search}`);
+
+      const route = url.pathname.replace(/^\/repos\/[^/]+\/[^/]+/, '');
+      if (handleRefsAndPulls(request.method, route, url, body, response)) return;
+
+      const contents = route.match(/^\/contents\/(.+)$/);
+      if (!contents) {
+        send(response, 404, { message: 'Not Found' });
+        return;
+      }
+      const path = contents[1].split('/').map(decodeURIComponent).join('/');
+
+      if (request.method === 'GET') {
+        const file = files.get(`${url.searchParams.get('ref') || 'main'}:${path}`);
+        if (!file) {
+          send(response, 404, { message: 'Not Found' });
+          return;
+        }
+        send(response, 200, { sha: file.sha, content: Buffer.from(file.content).toString('base64'), encoding: 'base64' });
+        return;
+      }
+
+      const update = JSON.parse(body);
+      const key = `${update.branch || 'main'}:${path}`;
+      if (standIn.onPut) {
+        standIn.onPut(update);
+      }
+      const existing = files.get(key);
+      if ((existing ? existing.sha : undefined) !== update.sha) {
+        send(response, 409, { message: `${path} does not match ${update.sha}` });
+        return;
+      }
+
+      const content = Buffer.from(update.content, 'base64').toString('utf8');
+      standIn.setFile(update.branch || 'main', path, content);
+      const sha = files.get(key).sha;
+      send(response, existing ? 200 : 201, {
+        content: { sha },
+        commit: { sha: `commit-${sha}`, html_url: `https://github.com/commit/${sha}`, message: update.message }
+      });
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  standIn.url = `http://127.0.0.1:${server.address().port}`;
+  standIn.close = () => new Promise(resolve => server.close(resolve));
+  return standIn;
+}
+
+module.exports = { startGitHubStandIn, blobSha };
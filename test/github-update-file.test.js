@@ -0,0 +1,90 @@
+/**
+ * Tests for the github-update-file function against a local stand-in for
+ * the GitHub API, covering the conflict checks.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startGitHubStandIn, blobSha } = require('./github-stand-in');
+
+let standIn;
+let handler;
+
+test.before(async () => {
+  standIn = await startGitHubStandIn();
+  process.env.GITHUB_API_URL = standIn.url;
+  ({ handler } = require('../netlify/functions/github-update-file'));
+});
+
+test.after(() => standIn.close());
+
+test.beforeEach(() => {
+  standIn.files.clear();
+  standIn.onPut = null;
+  standIn.setFile('main', 'kanban.md', '## Todo\n\n- [ ] Original\n');
+});
+
+/**
+ * Call the function the way the client does
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} { statusCode, body } with the body parsed
+ */
+async function updateFile(body) {
+  const result = await handler({
+    httpMethod: 'POST',
+    headers: { authorization: 'token test-token' },
+    body: JSON.stringify({ owner: 'octo', repo: 'board', path: 'kanban.md', branch: 'main', ...body })
+  });
+  return { statusCode: result.statusCode, body: JSON.parse(result.body) };
+}
+
+test('writes the file when the SHA matches', async () => {
+  const sha = blobSha('## Todo\n\n- [ ] Original\n');
+  const result = await updateFile({ content: '## Todo\n\n- [ ] Changed\n', sha });
+
+  assert.strictEqual(result.statusCode, 200);
+  assert.strictEqual(standIn.files.get('main:kanban.md').content, '## Todo\n\n- [ ] Changed\n');
+  assert.strictEqual(result.body.sha, blobSha('## Todo\n\n- [ ] Changed\n'));
+});
+
+test('answers 409 with the current version when the file changed since it was loaded', async () => {
+  const result = await updateFile({ content: '## Todo\n\n- [ ] Mine\n', sha: blobSha('older') });
+
+  assert.strictEqual(result.statusCode, 409);
+  assert.strictEqual(result.body.error, 'conflict');
+  assert.strictEqual(result.body.currentSha, blobSha('## Todo\n\n- [ ] Original\n'));
+  assert.strictEqual(result.body.currentContent, '## Todo\n\n- [ ] Original\n');
+  assert.strictEqual(standIn.files.get('main:kanban.md').content, '## Todo\n\n- [ ] Original\n');
+});
+
+test('does not overwrite an existing file when no SHA is sent', async () => {
+  for (const sha of [undefined, null]) {
+    const result = await updateFile({ content: '## Todo\n\n- [ ] Blind write\n', sha });
+
+    assert.strictEqual(result.statusCode, 409);
+    assert.strictEqual(result.body.currentContent, '## Todo\n\n- [ ] Original\n');
+  }
+  assert.strictEqual(standIn.files.get('main:kanban.md').content, '## Todo\n\n- [ ] Original\n');
+});
+
+test('creates a file that does not exist yet without a SHA', async () => {
+  standIn.files.clear();
+  const result = await updateFile({ content: '## Todo\n' });
+
+  assert.strictEqual(result.statusCode, 200);
+  assert.strictEqual(standIn.files.get('main:kanban.md').content, '## Todo\n');
+});
+
+test('returns the new version when the file changes between the check and the write', async () => {
+  const sha = blobSha('## Todo\n\n- [ ] Original\n');
+  standIn.onPut = () => {
+    standIn.onPut = null;
+    standIn.setFile('main', 'kanban.md', '## Todo\n\n- [ ] Theirs\n');
+  };
+  const result = await updateFile({ content: '## Todo\n\n- [ ] Mine\n', sha });
+
+  assert.strictEqual(result.statusCode, 409);
+  assert.strictEqual(result.body.error, 'conflict');
+  assert.strictEqual(result.body.currentSha, blobSha('## Todo\n\n- [ ] Theirs\n'));
+  assert.strictEqual(result.body.currentContent, '## Todo\n\n- [ ] Theirs\n');
+});
@@ -0,0 +1,51 @@
+/**
+ * Tests for history.js: restoring a card from an older version of the board.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+/**
+ * Load the store and board history with a board
+ * @param {string} markdown - Markdown of the open board
+ * @returns {Object} The context, with boardStore, boardHistory and parseBoard
+ */
+function loadBoard(markdown) {
+  const context = loadScripts(['js/markdown.js', 'js/parser.js', 'js/merge.js', 'js/store.js', 'js/history.js'], {
+    CustomEvent,
+    dispatchEvent: () => true
+  });
+  context.boardStore.loadBoard(context.parseBoard(markdown));
+  return context;
+}
+
+/**
+ * List the card texts of each column of the open board
+ * @param {Object} boardStore - The store
+ * @returns {Object} Map of column title to card texts
+ */
+function texts(boardStore) {
+  return Object.fromEntries(boardStore.getBoard().columns.map(column => [column.title, Array.from(column.cards, card => card.text)]));
+}
+
+test('a moved and edited card goes back to its old place in one undo step', () => {
+  const { boardStore, boardHistory, parseBoard, withArchiveColumn } =
+    loadBoard('## Todo\n\n- [ ] a\n- [ ] c\n\n## Done\n\n- [x] Write the final report\n- [ ] d\n');
+  const revision = withArchiveColumn(parseBoard('## Todo\n\n- [ ] a\n- [ ] Write the report\n- [ ] c\n\n## Done\n\n- [ ] d\n'));
+
+  assert.strictEqual(boardHistory.restoreCardVersion(revision, revision[0].cards[1], 'Todo'), true);
+  assert.deepStrictEqual(texts(boardStore), { Todo: ['a', 'Write the report', 'c'], Done: ['d'] });
+  assert.strictEqual(boardStore.getBoard().columns[0].cards[1].completed, false);
+
+  boardStore.undo();
+  assert.deepStrictEqual(texts(boardStore), { Todo: ['a', 'c'], Done: ['Write the final report', 'd'] });
+});
+
+test('a deleted card is added back at its old position', () => {
+  const { boardStore, boardHistory, parseBoard, withArchiveColumn } = loadBoard('## Todo\n\n- [ ] a\n- [ ] c\n');
+  const revision = withArchiveColumn(parseBoard('## Todo\n\n- [ ] a\n- [ ] b\n- [ ] c\n'));
+
+  assert.strictEqual(boardHistory.restoreCardVersion(revision, revision[0].cards[1], 'Todo'), true);
+  assert.deepStrictEqual(texts(boardStore), { Todo: ['a', 'b', 'c'] });
+});
@@ -0,0 +1,30 @@
+/**
+ * load-scripts.js - Run the app's browser scripts in Node for tests
+ * The modules are classic scripts that define globals and export through
+ * `window`, so they are evaluated in a shared context whose global object
+ * doubles as `window`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Evaluate scripts of the app in a fresh context
+ * @param {Array} files - Paths relative to the repository root, in load order
+ * @param {Object} [globals] - Extra globals, e.g. a stand-in for localStorage
+ * @returns {Object} The context, holding the scripts' globals and `window`
+ */
+function loadScripts(files, globals = {}) {
+  const context = vm.createContext({ console, ...globals });
+  context.window = context;
+  files.forEach(file => {
+    const code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    vm.runInContext(code, context, { filename: file });
+  });
+  return context;
+}
+
+module.exports = { loadScripts, ROOT };
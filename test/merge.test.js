@@ -0,0 +1,122 @@
+/**
+ * Tests for merge.js: three-way merges of board versions and card diffs.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { mergeBoards, mergeBoardSettings, diffBoards, parseBoard } = loadScripts(['js/markdown.js', 'js/parser.js', 'js/merge.js']);
+
+/**
+ * Parse board markdown into the columns merges work on
+ * @param {string} markdown - Board markdown
+ * @returns {Array} Columns
+ */
+function columns(markdown) {
+  return parseBoard(markdown).columns;
+}
+
+/**
+ * Summarise merged columns as titles and card texts, as arrays of this realm
+ * so they compare with deepStrictEqual
+ * @param {Array} merged - Merged columns
+ * @returns {Object} Map of column title to card texts
+ */
+function texts(merged) {
+  return Object.fromEntries(merged.map(column => [column.title, Array.from(column.cards, card => card.text)]));
+}
+
+test('a deleted card and a new card in its place are not merged as an edit', () => {
+  const base = columns('## Todo\n\n- [ ] Keep me\n- [ ] Old task\n\n## Done\n');
+  const mine = columns('## Todo\n\n- [ ] Keep me\n- [ ] Something unrelated\n\n## Done\n');
+  const theirs = columns('## Todo\n\n- [ ] Keep me\n\n## Done\n\n- [ ] Old task\n');
+
+  const merge = mergeBoards(base, mine, theirs);
+
+  // Deleted here, moved there: a real conflict about the old card only
+  assert.strictEqual(merge.conflicts.length, 1);
+  assert.strictEqual(merge.conflicts[0].base.card.text, 'Old task');
+  assert.strictEqual(merge.conflicts[0].mine, null);
+  assert.deepStrictEqual(texts(merge.columns).Todo, ['Keep me', 'Something unrelated']);
+});
+
+test('an edited card title is still matched to its base card', () => {
+  const base = columns('## Todo\n\n- [ ] Fix login bug\n- [ ] Write docs\n\n## Done\n');
+  const mine = columns('## Todo\n\n- [ ] Fix the login bug\n- [ ] Write docs\n\n## Done\n');
+  const theirs = columns('## Todo\n\n- [ ] Write docs\n\n## Done\n\n- [ ] Fix login bug\n');
+
+  const merge = mergeBoards(base, mine, theirs);
+
+  assert.strictEqual(merge.conflicts.length, 0);
+  assert.deepStrictEqual(texts(merge.columns), { Todo: ['Write docs'], Done: ['Fix the login bug'] });
+});
+
+test('cards are matched by block ID when their text was rewritten', () => {
+  const base = columns('## Todo\n\n- [ ] Old wording ^a1b2c3\n\n## Done\n');
+  const mine = columns('## Todo\n\n- [ ] Completely different ^a1b2c3\n\n## Done\n');
+  const theirs = columns('## Todo\n\n## Done\n\n- [ ] Old wording ^a1b2c3\n');
+
+  const merge = mergeBoards(base, mine, theirs);
+
+  assert.strictEqual(merge.conflicts.length, 0);
+  assert.deepStrictEqual(texts(merge.columns), { Todo: [], Done: ['Completely different'] });
+});
+
+test('diffBoards lists a replaced card as removed and added', () => {
+  const older = columns('## Todo\n\n- [ ] Old idea\n');
+  const newer = columns('## Todo\n\n- [ ] Brand new plan\n');
+
+  const changes = diffBoards(older, newer);
+
+  assert.deepStrictEqual(Array.from(changes, change => change.type).sort(), ['added', 'removed']);
+});
+
+test('a column renamed on one side keeps the cards added to it on the other', () => {
+  const base = columns('## Todo\n\n- [ ] Plan\n\n## Doing\n\n- [ ] Build\n\n## Done\n');
+  const mine = columns('## Todo\n\n- [ ] Plan\n\n## In progress\n\n- [ ] Build\n\n## Done\n');
+  const theirs = columns('## Todo\n\n- [ ] Plan\n\n## Doing\n\n- [ ] Build\n- [ ] Test\n\n## Review\n\n## Done\n');
+
+  const merge = mergeBoards(base, mine, theirs);
+
+  assert.strictEqual(merge.conflicts.length, 0);
+  assert.deepStrictEqual(texts(merge.columns), {
+    Todo: ['Plan'],
+    'In progress': ['Build', 'Test'],
+    Review: [],
+    Done: []
+  });
+  assert.deepStrictEqual(Array.from(merge.columns, column => column.title), ['Todo', 'In progress', 'Review', 'Done']);
+});
+
+test('diffBoards does not report the cards of a renamed column as moved', () => {
+  const older = columns('## Todo\n\n- [ ] Plan\n\n## Doing\n\n- [ ] Build\n');
+  const newer = columns('## Todo\n\n- [ ] Plan\n\n## In progress\n\n- [ ] Build\n');
+
+  assert.strictEqual(diffBoards(older, newer).length, 0);
+});
+
+test('a WIP limit set on one side survives cards changed on the other', () => {
+  const base = columns('## Todo\n\n- [ ] Plan\n\n## Doing\n\n## Done\n');
+  const mine = columns('## Todo\n\n- [ ] Plan\n\n## Doing (3)\n\n## Done\n');
+  const theirs = columns('## Todo\n\n## Doing\n\n- [ ] Plan\n\n## Done (10)\n');
+
+  const merge = mergeBoards(base, mine, theirs);
+
+  assert.deepStrictEqual(Array.from(merge.columns, column => [column.title, column.wipLimit]),
+    [['Todo', null], ['Doing', 3], ['Done', 10]]);
+  assert.deepStrictEqual(texts(merge.columns).Doing, ['Plan']);
+});
+
+test('front matter and settings changed on different sides are both kept', () => {
+  const settings = (json) => `## Todo\n\n%% kanban:settings\n\`\`\`\n${json}\n\`\`\`\n%%\n`;
+  const base = parseBoard(`---\nkanban-plugin: basic\n---\n\n${settings('{"kanban-plugin":"basic","lane-width":272}')}`);
+  const mine = parseBoard(`---\nkanban-plugin: basic\ntags: [work]\n---\n\n${settings('{"kanban-plugin":"basic","lane-width":300}')}`);
+  const theirs = parseBoard(`---\nkanban-plugin: basic\n---\n\n${settings('{"kanban-plugin":"basic","lane-width":272,"show-checkboxes":true}')}`);
+
+  const merged = mergeBoardSettings({ frontMatter: base.frontMatter, settings: base.settings }, mine, theirs);
+
+  assert.strictEqual(merged.frontMatter, 'kanban-plugin: basic\ntags: [work]');
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(merged.settings)),
+    { 'kanban-plugin': 'basic', 'lane-width': 300, 'show-checkboxes': true });
+});
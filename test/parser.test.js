@@ -0,0 +1,49 @@
+/**
+ * Round-trip tests for parser.js: an untouched board is written back byte for
+ * byte, and the markdown generated for a board parses to the same board.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadScripts } = require('./load-scripts');
+
+const { parseBoard, generateMarkdown } = loadScripts(['js/markdown.js', 'js/parser.js']);
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+/**
+ * Copy a parsed board without the source lines kept for lossless writing, so
+ * boards can be compared by content
+ * @param {*} value - Board or part of it
+ * @returns {*} The copy
+ */
+function withoutSource(value) {
+  return JSON.parse(JSON.stringify(value, (key, item) => (key === 'source' ? undefined : item)));
+}
+
+fs.readdirSync(FIXTURES).filter(file => file.endsWith('.md')).forEach(file => {
+  const markdown = fs.readFileSync(path.join(FIXTURES, file), 'utf8');
+
+  test(`${file}: generateMarkdown(parseBoard(x)) === x`, () => {
+    assert.strictEqual(generateMarkdown(parseBoard(markdown)), markdown);
+  });
+
+  test(`${file}: parse → generate → parse gives the same board`, () => {
+    const board = parseBoard(markdown);
+    assert.deepStrictEqual(withoutSource(parseBoard(generateMarkdown(board))), withoutSource(board));
+  });
+
+  test(`${file}: a board written without its source lines parses to the same board`, () => {
+    const board = parseBoard(markdown);
+    const rewritten = generateMarkdown({ ...withoutSource(board), source: board.source });
+    assert.deepStrictEqual(withoutSource(parseBoard(rewritten)), withoutSource(board));
+  });
+});
+
+test('CRLF files keep their line endings and missing final newline after an edit', () => {
+  const board = parseBoard('## Todo\r\n\r\n- [ ] One\r\n- [ ] Two');
+  board.columns[0].cards[1].text = 'Two, edited';
+  assert.strictEqual(generateMarkdown(board), '## Todo\r\n\r\n- [ ] One\r\n- [ ] Two, edited');
+});
@@ -0,0 +1,102 @@
+/**
+ * Tests for store.js: the undo history stays small enough to save with the
+ * board, and undoing a command writes the board back as it was.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadScripts } = require('./load-scripts');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+/**
+ * Load the store with the parser in a fresh context
+ * @returns {Object} The context, with boardStore, parseBoard and generateMarkdown
+ */
+function loadStore() {
+  return loadScripts(['js/markdown.js', 'js/parser.js', 'js/store.js'], {
+    CustomEvent,
+    dispatchEvent: () => true
+  });
+}
+
+test('undo snapshots leave out source lines', () => {
+  const { boardStore, parseBoard } = loadStore();
+  boardStore.loadBoard(parseBoard(fs.readFileSync(path.join(FIXTURES, 'nested-content.md'), 'utf8')));
+
+  const [column] = boardStore.getBoard().columns;
+  boardStore.updateCard(column.cards[0].id, { text: 'Edited' });
+
+  const json = JSON.stringify(boardStore.getHistory());
+  assert.ok(!json.includes('"source"'));
+  assert.ok(!json.includes('"canonical"'));
+});
+
+test('a board is written back byte for byte after undo', () => {
+  const { boardStore, parseBoard, generateMarkdown } = loadStore();
+  const markdown = fs.readFileSync(path.join(FIXTURES, 'nested-content.md'), 'utf8');
+  boardStore.loadBoard(parseBoard(markdown));
+
+  const [column] = boardStore.getBoard().columns;
+  boardStore.updateCard(column.cards[0].id, { text: 'Edited' });
+  boardStore.undo();
+  assert.strictEqual(generateMarkdown(boardStore.getBoard()), markdown);
+
+  boardStore.redo();
+  boardStore.undo();
+  assert.strictEqual(generateMarkdown(boardStore.getBoard()), markdown);
+});
+
+test('the history of a large board is capped in size', () => {
+  const { boardStore, parseBoard } = loadStore();
+  const cards = Array.from({ length: 300 }, (_, index) => `- [ ] Card ${index} ${'with a long description '.repeat(4)}`);
+  boardStore.loadBoard(parseBoard(`## Todo\n\n${cards.join('\n')}\n`));
+
+  const [column] = boardStore.getBoard().columns;
+  for (let i = 0; i < 50; i++) {
+    boardStore.updateCard(column.cards[i].id, { text: `Edited ${i}` });
+  }
+
+  const { undo } = boardStore.getHistory();
+  assert.ok(undo.length > 0 && undo.length < 50);
+  assert.ok(JSON.stringify(undo).length <= 500000);
+
+  // The most recent steps are the ones kept
+  boardStore.undo();
+  assert.strictEqual(boardStore.getBoard().columns[0].cards[49].text.startsWith('Card 49'), true);
+});
+
+test('revertCard edits and moves a card as one undo step', () => {
+  const { boardStore, parseBoard } = loadStore();
+  boardStore.loadBoard(parseBoard('## Todo\n\n- [ ] a\n- [ ] b\n- [ ] c\n\n## Done\n\n- [ ] d\n'));
+
+  const [todo, done] = boardStore.getBoard().columns;
+  const cardId = done.cards[0].id;
+  assert.strictEqual(boardStore.revertCard(cardId, { text: 'd before' }, todo.id, 1), true);
+  assert.deepStrictEqual(Array.from(todo.cards, card => card.text), ['a', 'd before', 'b', 'c']);
+  assert.strictEqual(done.cards.length, 0);
+
+  boardStore.undo();
+  const [todoAfter, doneAfter] = boardStore.getBoard().columns;
+  assert.deepStrictEqual(Array.from(todoAfter.cards, card => card.text), ['a', 'b', 'c']);
+  assert.deepStrictEqual(Array.from(doneAfter.cards, card => card.text), ['d']);
+  assert.strictEqual(boardStore.getHistory().undo.length, 0);
+});
+
+test('deleting a column does not move its cards past an enforced WIP limit', () => {
+  const { boardStore, parseBoard } = loadStore();
+  boardStore.loadBoard(parseBoard('## Todo\n\n- [ ] a\n- [ ] b\n\n## Doing\n\n- [ ] c\n\n## Done\n'));
+  const [todo, doing, done] = boardStore.getBoard().columns;
+  boardStore.setColumnWipLimit(doing.id, 2);
+  boardStore.updateSettings({ 'wip-limits-enforced': true });
+
+  assert.strictEqual(boardStore.deleteColumn(todo.id, doing.id), false);
+  assert.deepStrictEqual(Array.from(boardStore.getBoard().columns, column => column.title), ['Todo', 'Doing', 'Done']);
+  assert.strictEqual(boardStore.findColumn(doing.id).cards.length, 1);
+
+  // Columns without a limit still take the cards
+  assert.strictEqual(boardStore.deleteColumn(todo.id, done.id), true);
+  assert.deepStrictEqual(Array.from(boardStore.findColumn(done.id).cards, card => card.text), ['a', 'b']);
+});
@@ -0,0 +1,220 @@
+/**
+ * Tests for sync-queue.js: the log of unsynced changes, kept in IndexedDB or
+ * in memory where IndexedDB is unavailable, and the commit messages written
+ * from it.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+/**
+ * Build a stand-in for the parts of IndexedDB the queue uses, answering each
+ * request in a later task like the real one
+ * @param {number} addDelay - Milliseconds an add takes, longer than other requests
+ * @returns {Object} Stand-in for window.indexedDB
+ */
+function createIndexedDB(addDelay) {
+  const rows = new Map();
+  let nextId = 1;
+
+  const db = {
+    transaction: () => {
+      const transaction = {};
+      let pending = 0;
+      const request = (delay, produce) => {
+        const result = {};
+        pending++;
+        setTimeout(() => {
+          result.result = produce();
+          if (result.onsuccess) result.onsuccess();
+          if (--pending === 0) setTimeout(() => transaction.oncomplete && transaction.oncomplete());
+        }, delay);
+        return result;
+      };
+      transaction.objectStore = () => ({
+        add: value => request(addDelay, () => {
+          const id = nextId++;
+          rows.set(id, { ...value, id });
+          return id;
+        }),
+        delete: id => request(0, () => rows.delete(id)),
+        index: () => ({
+          getAll: boardKey => request(0, () => [...rows.values()].filter(row => row.boardKey === boardKey))
+        })
+      });
+      return transaction;
+    }
+  };
+
+  return {
+    open: () => {
+      const result = {};
+      setTimeout(() => {
+        result.result = db;
+        result.onsuccess();
+      });
+      return result;
+    }
+  };
+}
+
+/**
+ * Load the queue with a board open
+ * @param {string} markdown - Markdown of the open board
+ * @param {Object} [indexedDB] - Stand-in for IndexedDB, kept in memory if omitted
+ * @returns {Object} The context, with syncQueue, boardStore and the events
+ *   sent as queueEvents
+ */
+function loadQueue(markdown, indexedDB) {
+  const queueEvents = [];
+  const storage = new Map();
+  const context = loadScripts(['js/markdown.js', 'js/parser.js', 'js/store.js', 'js/sync-queue.js'], {
+    CustomEvent,
+    addEventListener: () => {},
+    dispatchEvent: event => {
+      if (event.type === 'sync:queue') queueEvents.push(event.detail.boardKey);
+      return true;
+    },
+    document: { addEventListener: () => {} },
+    indexedDB,
+    localStorage: {
+      getItem: key => (storage.has(key) ? storage.get(key) : null),
+      setItem: (key, value) => storage.set(key, String(value)),
+      removeItem: key => storage.delete(key)
+    }
+  });
+  context.sync = { getRepoInfo: () => ({ repo: 'octo/board', path: 'boards/kanban.md', branch: 'main' }) };
+  context.queueEvents = queueEvents;
+  context.boardStore.loadBoard(context.parseBoard(markdown));
+  return context;
+}
+
+/**
+ * Build the detail of a board:change event adding a card, as the store sends it
+ * @param {Object} context - Context of the app's scripts
+ * @param {string} text - Text of the card to add to the first column
+ * @returns {Object} Event detail
+ */
+function addCard(context, text) {
+  const board = context.boardStore.getBoard();
+  const cardId = context.boardStore.addCard(board.columns[0].id, { text });
+  return { type: 'addCard', cardId, columnId: board.columns[0].id, board: context.boardStore.getBoard() };
+}
+
+test('keeps the operations of each board in memory without IndexedDB', async () => {
+  const context = loadQueue('## Todo\n\n## Done\n');
+  const { syncQueue } = context;
+
+  await syncQueue.addOperation('board-a', addCard(context, 'Write the report'));
+  await syncQueue.addOperation('board-b', addCard(context, 'Plan the release'));
+  const stored = await syncQueue.addOperation('board-a', addCard(context, 'Book the room'));
+
+  const operations = await syncQueue.getOperations('board-a');
+  assert.deepStrictEqual(Array.from(operations, operation => operation.summary), [
+    "Add 'Write the report' to Todo",
+    "Add 'Book the room' to Todo"
+  ]);
+  assert.strictEqual(operations[1].id, stored.id);
+  assert.deepStrictEqual(context.queueEvents, ['board-a', 'board-b', 'board-a']);
+
+  await syncQueue.removeOperations([operations[0].id]);
+  assert.deepStrictEqual(Array.from(await syncQueue.getOperations('board-a'), operation => operation.id), [stored.id]);
+
+  await syncQueue.clearOperations('board-a');
+  assert.strictEqual((await syncQueue.getOperations('board-a')).length, 0);
+  assert.strictEqual((await syncQueue.getOperations('board-b')).length, 1);
+});
+
+test('reads and clears wait for operations that are still being logged', async () => {
+  const context = loadQueue('## Todo\n\n## Done\n', createIndexedDB(20));
+  const { syncQueue } = context;
+
+  // Logged without waiting, as board changes are
+  syncQueue.addOperation('board-a', addCard(context, 'Write the report'));
+  assert.strictEqual((await syncQueue.getOperations('board-a')).length, 1);
+
+  syncQueue.addOperation('board-a', addCard(context, 'Plan the release'));
+  await syncQueue.clearOperations('board-a');
+  assert.strictEqual((await syncQueue.getOperations('board-a')).length, 0);
+
+  // An operation logged after the clear started is kept
+  const cleared = syncQueue.clearOperations('board-a');
+  syncQueue.addOperation('board-a', addCard(context, 'Book the room'));
+  await cleared;
+  assert.deepStrictEqual(Array.from(await syncQueue.getOperations('board-a'), operation => operation.summary), [
+    "Add 'Book the room' to Todo"
+  ]);
+});
+
+/**
+ * Log board changes the way sync does and read them back
+ * @param {Object} context - Context of the app's scripts
+ * @param {Array} details - Details of board:change events
+ * @returns {Promise<Array>} The logged operations
+ */
+async function logChanges(context, details) {
+  details.forEach(detail => context.syncQueue.addOperation('board-a', detail));
+  return context.syncQueue.getOperations('board-a');
+}
+
+test('the default commit message sums up the changes with a list below', async () => {
+  const context = loadQueue('## Todo\n\n## Done\n');
+  const added = [addCard(context, 'Write the report'), addCard(context, 'Plan the release')];
+  const [todo, done] = context.boardStore.getBoard().columns;
+  context.boardStore.moveCard(added[0].cardId, done.id, 0);
+  const operations = await logChanges(context, [
+    ...added,
+    { type: 'moveCard', cardId: added[0].cardId, fromColumnId: todo.id, columnId: done.id, board: context.boardStore.getBoard() }
+  ]);
+
+  assert.strictEqual(context.syncQueue.buildCommitMessage(operations),
+    "Add 2 cards to Todo; move 'Write the report' Todo → Done\n\n" +
+    '- Add 2 cards to Todo\n' +
+    "- Move 'Write the report' Todo → Done");
+});
+
+test('a single change makes a one-line commit message', async () => {
+  const context = loadQueue('## Todo\n\n## Done\n');
+  const operations = await logChanges(context, [addCard(context, 'Write the report')]);
+
+  assert.strictEqual(context.syncQueue.buildCommitMessage(operations), "Add 'Write the report' to Todo");
+});
+
+test('a custom template fills in its placeholders', async () => {
+  const context = loadQueue('## Todo\n\n## Done\n');
+  const operations = await logChanges(context, [
+    addCard(context, 'Write the report'),
+    addCard(context, 'Plan the release')
+  ]);
+
+  assert.strictEqual(
+    context.syncQueue.buildCommitMessage(operations, '[{board}] {summary} ({count} changes)'),
+    '[boards/kanban.md] Add 2 cards to Todo (2 changes)'
+  );
+});
+
+test('unknown placeholders are left in the commit message as written', async () => {
+  const context = loadQueue('## Todo\n\n## Done\n');
+  const operations = await logChanges(context, [addCard(context, 'Write the report')]);
+
+  assert.strictEqual(
+    context.syncQueue.buildCommitMessage(operations, '{summary} by {author}'),
+    "Add 'Write the report' to Todo by {author}"
+  );
+});
+
+test('without operations the commit message is the default one', () => {
+  const context = loadQueue('## Todo\n\n## Done\n');
+
+  assert.strictEqual(context.syncQueue.buildCommitMessage([]), 'Update Kanban board via KanbanMD Tool');
+  assert.strictEqual(context.syncQueue.buildCommitMessage([], '{details}'), 'Update Kanban board via KanbanMD Tool');
+});
+
+test('a template that comes out empty falls back to the default message', async () => {
+  const context = loadQueue('## Todo\n\n## Done\n');
+  const operations = await logChanges(context, [addCard(context, 'Write the report')]);
+
+  // There are no details to list for a single change
+  assert.strictEqual(context.syncQueue.buildCommitMessage(operations, '{details}'), 'Update Kanban board via KanbanMD Tool');
+});
@@ -0,0 +1,214 @@
+/**
+ * Tests for sync.js: pushing the open board through the Netlify functions to
+ * a local stand-in for the GitHub API.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+const { startGitHubStandIn, blobSha } = require('./github-stand-in');
+
+const BOARD = '## Todo\n\n- [ ] Write the report\n- [ ] Plan the release\n\n## Done\n';
+
+let standIn;
+let functions;
+
+test.before(async () => {
+  standIn = await startGitHubStandIn();
+  process.env.GITHUB_API_URL = standIn.url;
+  functions = {
+    'github-update-file': require('../netlify/functions/github-update-file').handler,
+    'github-pull-request': require('../netlify/functions/github-pull-request').handler
+  };
+});
+
+test.after(() => standIn.close());
+
+test.beforeEach(() => {
+  standIn.files.clear();
+  standIn.branches.clear();
+  standIn.branches.add('main');
+  standIn.pulls.length = 0;
+  standIn.requests.length = 0;
+  standIn.onPut = null;
+  standIn.setFile('main', 'kanban.md', BOARD);
+});
+
+/**
+ * Load the app's sync with the board from the stand-in opened, as the app
+ * does after loading it from GitHub
+ * @returns {Object} { context, calls, timers, outage } with the status of
+ *   every function call and the timers set, which never fire by themselves;
+ *   functions answer 502 while outage.down is set
+ */
+function openBoard() {
+  const calls = [];
+  const outage = { down: false };
+  const timers = [];
+  const documentListeners = [];
+  const storage = new Map();
+  const events = new EventTarget();
+
+  // Functions are called directly, GitHub API requests go to the stand-in
+  const fetchStandIn = async (url, options = {}) => {
+    const functionName = url.match(/^\/\.netlify\/functions\/(.+)$/);
+    if (functionName) {
+      if (outage.down) {
+        calls.push({ name: functionName[1], status: 502, body: {} });
+        return new Response('{}', { status: 502 });
+      }
+      const result = await functions[functionName[1]]({ httpMethod: 'POST', headers: options.headers, body: options.body });
+      calls.push({ name: functionName[1], status: result.statusCode, body: JSON.parse(result.body) });
+      return new Response(result.body, { status: result.statusCode });
+    }
+    const { cache, ...fetchOptions } = options;
+    return fetch(url.replace('https://api.github.com', standIn.url), fetchOptions);
+  };
+
+  const context = loadScripts(
+    ['js/markdown.js', 'js/parser.js', 'js/merge.js', 'js/store.js', 'js/codec.js', 'js/sync-queue.js', 'js/history.js', 'js/sync.js'],
+    {
+      console: { ...console, log: () => {}, warn: () => {} },
+      CustomEvent,
+      Response,
+      TextEncoder,
+      TextDecoder,
+      atob,
+      btoa,
+      addEventListener: events.addEventListener.bind(events),
+      removeEventListener: events.removeEventListener.bind(events),
+      dispatchEvent: events.dispatchEvent.bind(events),
+      document: {
+        visibilityState: 'visible',
+        addEventListener: (type, listener) => documentListeners.push({ type, listener }),
+        getElementById: () => null,
+        querySelector: () => null
+      },
+      localStorage: {
+        getItem: key => (storage.has(key) ? storage.get(key) : null),
+        setItem: (key, value) => storage.set(key, String(value)),
+        removeItem: key => storage.delete(key)
+      },
+      navigator: { onLine: true },
+      fetch: fetchStandIn,
+      setTimeout: (callback, delay) => timers.push({ callback, delay }),
+      clearTimeout: () => {},
+      setInterval: () => 0,
+      showToast: () => {},
+      isBoardBeingEdited: () => false
+    }
+  );
+  context.auth = {
+    isAuthenticated: () => true,
+    getGitHubToken: () => 'test-token',
+    getGitHubHeaders: () => ({ Authorization: 'token test-token' }),
+    updateSyncStatus: () => {},
+    describeGitHubError: response => `GitHub answered ${response.status}`
+  };
+  documentListeners.filter(({ type }) => type === 'DOMContentLoaded').forEach(({ listener }) => listener());
+
+  // Pushes go out without asking to review the commit message
+  context.localStorage.setItem('kanbanmd_review_push', 'false');
+  context.boardStore.loadBoard(context.parseBoard(BOARD));
+  context.sync.setRepoInfo('octo/board', 'kanban.md', 'main', blobSha(BOARD));
+  context.sync.setBaseVersion(BOARD);
+  return { context, calls, timers, outage };
+}
+
+/**
+ * Change the text of a card of the open board
+ * @param {Object} context - Context of the app's scripts
+ * @param {string} text - Current text of the card
+ * @param {string} newText - New text
+ */
+function editCard(context, text, newText) {
+  const card = context.boardStore.getBoard().columns.flatMap(column => column.cards).find(item => item.text === text);
+  context.boardStore.updateCard(card.id, { text: newText });
+}
+
+test('a push after the pull request was closed opens a new one without a conflict', async () => {
+  const { context, calls } = openBoard();
+  await context.sync.setSyncMode('pullRequest');
+
+  editCard(context, 'Write the report', 'Write the final report');
+  assert.strictEqual(await context.sync.manualSync(), true);
+  const [firstBranch] = [...standIn.branches].filter(branch => branch !== 'main');
+  standIn.pulls[0].state = 'closed';
+
+  editCard(context, 'Plan the release', 'Plan the next release');
+  assert.strictEqual(await context.sync.manualSync(), true);
+
+  assert.deepStrictEqual(calls.map(call => call.status), [200, 409, 200]);
+  assert.strictEqual(calls[1].body.error, 'pull request closed');
+  assert.strictEqual(standIn.pulls.length, 2);
+  assert.strictEqual(standIn.pulls[1].state, 'open');
+
+  // The edit made for the closed pull request is kept on the new branch
+  const [secondBranch] = [...standIn.branches].filter(branch => branch !== 'main' && branch !== firstBranch);
+  const content = standIn.files.get(`${secondBranch}:kanban.md`).content;
+  assert.match(content, /Write the final report/);
+  assert.match(content, /Plan the next release/);
+  assert.strictEqual(standIn.files.get('main:kanban.md').content, BOARD);
+});
+
+test('switching back from a pull request keeps its changes with the unsynced ones', async () => {
+  const { context, calls } = openBoard();
+  await context.sync.setSyncMode('pullRequest');
+
+  editCard(context, 'Write the report', 'Write the final report');
+  assert.strictEqual(await context.sync.manualSync(), true);
+  editCard(context, 'Plan the release', 'Plan the next release');
+
+  // The board's branch does not have the pull request's change yet
+  await context.sync.setSyncMode('direct');
+  assert.strictEqual(await context.sync.manualSync(), true);
+
+  assert.deepStrictEqual(calls.map(call => [call.name, call.status]), [
+    ['github-pull-request', 200],
+    ['github-update-file', 200]
+  ]);
+  const content = standIn.files.get('main:kanban.md').content;
+  assert.match(content, /Write the final report/);
+  assert.match(content, /Plan the next release/);
+});
+
+test('a sync started while another is in flight waits for it instead of pushing again', async () => {
+  const { context, calls } = openBoard();
+
+  editCard(context, 'Write the report', 'Write the final report');
+  const results = await Promise.all([context.sync.manualSync(), context.sync.manualSync()]);
+
+  assert.deepStrictEqual(Array.from(results), [true, true]);
+  assert.deepStrictEqual(calls.map(call => call.status), [200]);
+  assert.strictEqual(standIn.requests.filter(request => request.startsWith('PUT')).length, 1);
+});
+
+test('a change made while a sync is in flight stays logged for the next one', async () => {
+  const { context } = openBoard();
+
+  editCard(context, 'Write the report', 'Write the final report');
+  standIn.onPut = () => editCard(context, 'Plan the release', 'Plan the next release');
+  assert.strictEqual(await context.sync.manualSync(), true);
+
+  const operations = await context.syncQueue.getOperations(context.sync.getCurrentBoardKey());
+  assert.deepStrictEqual(Array.from(operations, operation => operation.summary), ["Edit 'Plan the next release'"]);
+});
+
+test('failed syncs are retried after twice as long each time, from the start after a success', async () => {
+  const { context, timers, outage } = openBoard();
+  const retries = () => timers.filter(timer => timer.callback.name === 'syncToGitHub').map(timer => timer.delay);
+
+  editCard(context, 'Write the report', 'Write the final report');
+  outage.down = true;
+  for (let attempt = 0; attempt < 3; attempt++) {
+    assert.strictEqual(await context.sync.manualSync(), false);
+  }
+  assert.deepStrictEqual(retries(), [5000, 10000, 20000]);
+
+  outage.down = false;
+  assert.strictEqual(await context.sync.manualSync(), true);
+  editCard(context, 'Plan the release', 'Plan the next release');
+  outage.down = true;
+  assert.strictEqual(await context.sync.manualSync(), false);
+  assert.deepStrictEqual(retries(), [5000, 10000, 20000, 5000]);
+});